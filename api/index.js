@@ -1,122 +1,1008 @@
 import express from 'express';
-import { createClient } from "@supabase/supabase-js";
-import { synchronizeMatchesData } from '../sync.js';
+import { LIVE_STATUSES, MAX_SYNC_RANGE_DAYS, countRangeDays, hasMatchesInProgress, isSyncLocked, synchronizeLiveScores, synchronizeMatchesData } from '../sync.js';
+import { hashPassword, login, requireAuth, requireRole, revokeSession, revokeUserSessions } from '../lib/auth.js';
+import { listAuditEntries, recordAudit } from '../lib/audit.js';
+import { storage } from '../lib/storage/index.js';
+import { checkAllStreams, checkChannelStreams, fetchStreamHealth, isStreamCheckDue, rankStreams, withStreamHealth } from '../lib/streamHealth.js';
+import { diffChannels, parseCsv, toCsv, toExportChannel } from '../lib/channelTransfer.js';
+import { buildM3u, buildXmltv } from '../lib/iptv.js';
+import { cors } from '../lib/cors.js';
+import { CRON_JOBS, isCronConfigured, isCronRequest, runCronJob } from '../lib/cron.js';
+import { latestTimestamp, sendCached } from '../lib/httpCache.js';
+import { applyRulesToUpcoming, initialLinks, previewRule } from '../lib/linkRules.js';
+import { isHiddenMatch, isManualMatch, overrideChanges, toManualMatch } from '../lib/matchOverrides.js';
+import { getQuotaStatus, isQuotaError } from '../lib/apiQuota.js';
+import { getMatchDetails, refreshMatchDetails } from '../lib/matchDetails.js';
+import { listMatchesPage, parseMatchQuery } from '../lib/matchQuery.js';
+import { previewRetention, runRetention } from '../lib/retention.js';
+import { generateWebhookSecret, matchEvents, pingWebhook, publishEvents, redeliver } from '../lib/webhooks.js';
+import { DEFAULT_TIMEZONE, addDays, isCalendarDate, isValidTimeZone, localDate, localDayRange, todayIn } from '../lib/time.js';
+import { adminUserSchema, channelImportSchema, channelSchema, leagueSchema, linkRulePreviewSchema, linkRuleSchema, linkSchema, manualMatchSchema, matchOverridesSchema, syncSchema, sendValidationError, validate, validateBody, webhookSchema } from '../lib/validation.js';
 
 const app = express();
 app.use(express.json());
 
-// --- Environment Variables ---
-const ADMIN_PANEL_PASSKEY = process.env.ADMIN_PANEL_PASSKEY;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// --- CORS Middleware (origin allowlists: CORS_PUBLIC_ORIGINS, CORS_ADMIN_ORIGINS) ---
+app.use(cors);
 
-// --- Supabase Client ---
-const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+// --- API Routes ---
 
-// --- CORS Middleware ---
-app.use((req, res, next) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Passkey');
-    if (req.method === 'OPTIONS') return res.status(200).end();
-    next();
+// POST /api/auth/login -> issues an expiring session token
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) return res.status(400).json({ error: 'Username and password are required.' });
+    try {
+        const session = await login(username, password);
+        if (!session) return res.status(401).json({ error: 'Invalid credentials.' });
+        res.status(200).json(session);
+    } catch (e) {
+        console.error('Error during login:', e.message);
+        res.status(500).json({ error: 'Server error during login.' });
+    }
 });
 
-// --- Simple Authentication Middleware ---
-const checkAdminPasskey = (req, res, next) => {
-    const passkey = req.headers['x-admin-passkey'];
-    if (passkey && passkey === ADMIN_PANEL_PASSKEY) {
-        return next();
-    }
-    res.status(401).json({ error: 'Unauthorized' });
+// --- Timezones ---
+
+// Reads ?tz= (IANA name, defaults to DEFAULT_TIMEZONE); answers 400 and returns null when invalid
+const resolveTimeZone = (req, res) => {
+    const tz = req.query.tz || DEFAULT_TIMEZONE;
+    if (isValidTimeZone(tz)) return tz;
+    sendValidationError(res, [{ field: 'tz', message: 'Must be a valid IANA timezone, e.g. Africa/Cairo.' }]);
+    return null;
 };
 
-// --- API Routes ---
+// Stored matchDate is the day in DEFAULT_TIMEZONE; other zones get it recomputed from kickoffTime
+const withLocalDate = (match, tz) => tz === DEFAULT_TIMEZONE ? match : { ...match, matchDate: localDate(match.kickoffTime, tz) };
+
+// --- Public (read-only) API ---
+
+// Admin-only bookkeeping fields that never leave the public surface
+const PUBLIC_HIDDEN_FIELDS = ['syncedAt', 'externalId', 'linkedManually', 'overrides', 'providerKickoffTime'];
+// Stream URLs are ordered (or dropped) by their last health check; see PUBLIC_DEAD_STREAMS
+const toPublicChannel = ({ id, name, logo, category, urls }, health) => ({ id, name, logo, category, urls: rankStreams(urls || [], health) });
+
+// A channel left without any URL is omitted, so it disappears from the matches it is linked to
+const toPublicChannels = async (channels) => {
+    const health = await fetchStreamHealth(channels);
+    return channels.map(ch => toPublicChannel(ch, health.get(String(ch.id)))).filter(ch => ch.urls.length > 0);
+};
+
+// Fetches the channels referenced by the given matches in a single query
+const fetchChannelsById = async (matches) => {
+    const ids = [...new Set(matches.flatMap(m => m.broadcastChannels || []))];
+    if (ids.length === 0) return new Map();
+    const data = await toPublicChannels(await storage.channels.findByIds(ids));
+    return new Map(data.map(ch => [ch.id, ch]));
+};
+
+const toPublicMatch = (match, channelsById) => {
+    const publicMatch = { ...match };
+    PUBLIC_HIDDEN_FIELDS.forEach(field => delete publicMatch[field]);
+    publicMatch.title = match.overrides?.title ?? null;
+    publicMatch.featured = !!match.overrides?.featured;
+    publicMatch.broadcastChannels = (match.broadcastChannels || []).map(id => channelsById.get(id)).filter(Boolean);
+    return publicMatch;
+};
+
+// Hidden matches are left out; featured ones come first, each group in kickoff order
+const publicMatchList = (matches) => matches.filter(m => !isHiddenMatch(m))
+    .sort((a, b) => !!b.overrides?.featured - !!a.overrides?.featured);
+
+// Last-Modified for a response built from `matches`: the newest match change or completed sync
+const matchesLastModified = (matches, meta) => latestTimestamp(meta?.last_successful_sync, ...matches.map(m => m.lastUpdated));
+
+// Edge caches keep responses with a match in play only briefly, so scores stay current
+const matchesCachePolicy = (matches) => matches.some(m => LIVE_STATUSES.includes(m.status)) ? 'live' : 'public';
+
+// GET /api/public/matches?date=YYYY-MM-DD&tz=Area/City (defaults to today in tz)
+app.get('/api/public/matches', async (req, res) => {
+    const tz = resolveTimeZone(req, res);
+    if (!tz) return;
+    const date = req.query.date || todayIn(tz);
+    if (!isCalendarDate(date)) {
+        return sendValidationError(res, [{ field: 'date', message: 'Must be a date in YYYY-MM-DD format.' }]);
+    }
+    try {
+        const { start, end } = localDayRange(date, tz);
+        const [matches, meta] = await Promise.all([storage.matches.list({ from: start, to: end }), storage.syncMetadata.get()]);
+        const data = publicMatchList(matches);
+        const channelsById = await fetchChannelsById(data);
+        sendCached(req, res, data.map(m => toPublicMatch(withLocalDate(m, tz), channelsById)), {
+            policy: matchesCachePolicy(data),
+            lastModified: matchesLastModified(data, meta)
+        });
+    } catch (e) {
+        console.error('Error fetching public matches:', e.message);
+        res.status(500).json({ error: "Server error while fetching matches." });
+    }
+});
+
+// Stored events and line-ups in API shape, or null when they were never fetched
+const toPublicDetails = (details) => details && { events: details.events, lineups: details.lineups, fetchedAt: details.fetched_at };
+
+// GET /api/public/matches/:matchId?tz=Area/City -> includes `details` (events, line-ups) once an admin fetched them
+app.get('/api/public/matches/:matchId', async (req, res) => {
+    const tz = resolveTimeZone(req, res);
+    if (!tz) return;
+    try {
+        const data = await storage.matches.get(req.params.matchId);
+        if (!data || isHiddenMatch(data)) return res.status(404).json({ error: 'Match not found.' });
+        const [channelsById, details, meta] = await Promise.all([fetchChannelsById([data]), getMatchDetails(data.matchId), storage.syncMetadata.get()]);
+        sendCached(req, res, { ...toPublicMatch(withLocalDate(data, tz), channelsById), details: toPublicDetails(details) }, {
+            policy: matchesCachePolicy([data]),
+            lastModified: latestTimestamp(matchesLastModified([data], meta), details?.fetched_at)
+        });
+    } catch (e) {
+        console.error('Error fetching public match:', e.message);
+        res.status(500).json({ error: "Server error while fetching match." });
+    }
+});
+
+// --- IPTV exports (public) ---
+
+// Origin the client reached us on, for absolute links; Vercel terminates TLS in front of the app
+const baseUrl = (req) => `${(req.headers['x-forwarded-proto'] || req.protocol).split(',')[0]}://${req.get('host')}`;
+
+const MAX_EPG_DAYS = 14;
+
+// GET /api/public/playlist.m3u (or .m3u8)?category= -> every channel's streams, grouped by category
+app.get(['/api/public/playlist.m3u', '/api/public/playlist.m3u8'], async (req, res) => {
+    try {
+        const [allChannels, meta] = await Promise.all([storage.channels.list(), storage.syncMetadata.get()]);
+        let channels = await toPublicChannels(allChannels);
+        if (req.query.category) channels = channels.filter(ch => ch.category === req.query.category);
+        res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+        // Stream order follows the health checks; channel edits carry no timestamp and only change the ETag
+        sendCached(req, res, buildM3u(channels, { epgUrl: `${baseUrl(req)}/api/public/epg.xml` }), {
+            policy: 'feed',
+            lastModified: meta?.last_stream_check
+        });
+    } catch (e) {
+        console.error('Error building playlist:', e.message);
+        res.status(500).json({ error: "Server error while building playlist." });
+    }
+});
+
+// GET /api/public/epg.xml?days=3&tz=Area/City -> XMLTV guide of linked matches, from the start of today in tz
+app.get('/api/public/epg.xml', async (req, res) => {
+    const tz = resolveTimeZone(req, res);
+    if (!tz) return;
+    const days = req.query.days === undefined ? 3 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EPG_DAYS) {
+        return sendValidationError(res, [{ field: 'days', message: `Must be an integer between 1 and ${MAX_EPG_DAYS}.` }]);
+    }
+    try {
+        const today = todayIn(tz);
+        const [matches, allChannels, meta] = await Promise.all([
+            storage.matches.list({ from: localDayRange(today, tz).start, to: localDayRange(addDays(today, days - 1), tz).end }),
+            storage.channels.list(),
+            storage.syncMetadata.get()
+        ]);
+        const channels = await toPublicChannels(allChannels);
+        const listed = publicMatchList(matches).filter(m => m.broadcastChannels?.length > 0);
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        sendCached(req, res, buildXmltv(channels, listed), {
+            policy: 'feed',
+            lastModified: latestTimestamp(matchesLastModified(listed, meta), meta?.last_stream_check)
+        });
+    } catch (e) {
+        console.error('Error building EPG:', e.message);
+        res.status(500).json({ error: "Server error while building EPG." });
+    }
+});
 
-// A dedicated endpoint just for verifying the passkey on login
-app.post('/api/verify-passkey', (req, res) => {
-    const passkey = req.headers['x-admin-passkey'];
-    if (passkey && passkey === ADMIN_PANEL_PASSKEY) {
-        return res.status(200).json({ message: 'Passkey is valid.' });
+// --- Scheduled jobs (Vercel Cron; authenticated by CRON_SECRET, not an admin session) ---
+
+// GET /api/cron/:job (sync | live | retention | webhooks | streams) -> the job's sync result; 409 when locked, 429 when out of quota
+app.get('/api/cron/:job', async (req, res) => {
+    if (!isCronConfigured()) return res.status(503).json({ error: 'Cron is not configured.' });
+    if (!isCronRequest(req)) return res.status(401).json({ error: 'Invalid cron secret.' });
+    if (!Object.hasOwn(CRON_JOBS, req.params.job)) return res.status(404).json({ error: 'Unknown cron job.' });
+    try {
+        const result = await runCronJob(req.params.job);
+        if (result.locked) return res.status(409).json(result);
+        if (result.skipped) return res.status(429).json(result);
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (e) {
+        console.error(`Cron ${req.params.job} failed:`, e.message);
+        res.status(500).json({ error: e.message });
     }
-    res.status(401).json({ error: 'Unauthorized' });
 });
 
+// All other routes require a valid session
+app.use('/api', requireAuth);
+
+// POST /api/auth/logout
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await revokeSession(req.sessionToken);
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
 
-// All other routes are protected by the middleware
-app.use('/api', checkAdminPasskey);
+// GET /api/auth/me
+app.get('/api/auth/me', (req, res) => {
+    res.status(200).json(req.admin);
+});
 
-// GET /api/matches (with efficient sync logic)
+// GET /api/settings -> server-side configuration the panel needs for display
+app.get('/api/settings', (req, res) => {
+    res.status(200).json({ timezone: DEFAULT_TIMEZONE });
+});
+
+// GET /api/matches?tz=Area/City (with stale-while-revalidate sync logic)
+// Filters (all optional): date=YYYY-MM-DD or from=&to= (days in tz), league=39,140,
+// status=live,upcoming,finished, team=<name search>, hasChannels=true|false.
+// Pages hold `limit` matches (default 100, max 500) ordered by kickoff; X-Next-Cursor, when present,
+// is passed back as `cursor` for the next page.
+// X-Sync-Status tells the client how fresh the data is:
+//   fresh   - no refresh needed
+//   stale   - cached data; this request started a refresh in the background
+//   syncing - cached data; a refresh started elsewhere is still running
 app.get('/api/matches', async (req, res) => {
+    const tz = resolveTimeZone(req, res);
+    if (!tz) return;
+    const { filters, errors } = parseMatchQuery(req.query, tz);
+    if (errors.length) return sendValidationError(res, errors);
     try {
         const SYNC_INTERVAL_HOURS = 3;
-        const { data: meta } = await supabaseAdmin.from('sync_metadata').select('last_successful_sync').eq('id', 1).single();
-        
+        const LIVE_SYNC_INTERVAL_SECONDS = 60;
+        const meta = await storage.syncMetadata.get();
+
         const now = new Date();
         const lastSync = meta?.last_successful_sync ? new Date(meta.last_successful_sync) : null;
         const hoursDiff = lastSync ? (now - lastSync) / 36e5 : Infinity;
+        const lastLiveSync = meta?.last_live_sync ? new Date(meta.last_live_sync) : null;
+        const liveSecondsDiff = lastLiveSync ? (now - lastLiveSync) / 1000 : Infinity;
 
+        let refresh = null;
         if (hoursDiff > SYNC_INTERVAL_HOURS) {
             console.log(`Sync needed. Last sync was ${hoursDiff.toFixed(1)} hours ago.`);
-            await synchronizeMatchesData();
+            refresh = synchronizeMatchesData;
+        } else if (liveSecondsDiff > LIVE_SYNC_INTERVAL_SECONDS && await hasMatchesInProgress(now)) {
+            console.log(`Live sync needed. Last live sync was ${liveSecondsDiff.toFixed(0)} seconds ago.`);
+            refresh = synchronizeLiveScores;
         }
 
-        const { data, error } = await supabaseAdmin.from('matches').select('*').order('kickoffTime', { ascending: true });
-        if (error) throw error;
-        res.status(200).json(data);
+        let syncStatus = 'fresh';
+        if (refresh && isSyncLocked(meta)) {
+            syncStatus = 'syncing';
+        } else if (refresh && !lastSync) {
+            // Nothing cached yet, so there is nothing to serve while waiting
+            await refresh({ trigger: 'auto' });
+        } else if (refresh) {
+            syncStatus = 'stale';
+            // Not awaited: the response goes out now. If the platform freezes the function before the
+            // refresh finishes, the sync lock's TTL frees it for the next request to retry.
+            refresh({ trigger: 'auto' }).then(result => {
+                if (!result.success && !result.locked && !result.skipped) console.error('Background sync failed:', result.error);
+            }).catch(e => console.error('Background sync failed:', e.message));
+        }
+
+        const { matches, nextCursor } = await listMatchesPage(filters);
+        res.setHeader('X-Sync-Status', syncStatus);
+        if (lastSync) res.setHeader('X-Last-Sync', lastSync.toISOString());
+        if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+        sendCached(req, res, matches.map(m => withLocalDate(m, tz)), {
+            policy: 'private',
+            lastModified: matchesLastModified(matches, meta)
+        });
     } catch (e) {
         console.error('Error fetching matches:', e.message);
         res.status(500).json({ error: "Server error while fetching matches." });
     }
 });
 
-// GET /api/channels
+// GET /api/channels -> each channel with `health` per URL; starts a background stream check when due
+// (best effort: the platform may freeze it, so the "streams" cron job is what keeps checks regular)
 app.get('/api/channels', async (req, res) => {
     try {
-        const { data, error } = await supabaseAdmin.from('channels').select('*').order('name', { ascending: true });
-        if (error) throw error;
-        res.status(200).json(data);
+        const meta = await storage.syncMetadata.get();
+        if (isStreamCheckDue(meta)) {
+            checkAllStreams().catch(e => console.error('Background stream check failed:', e.message));
+        }
+        const data = await storage.channels.list();
+        sendCached(req, res, await withStreamHealth(data), { policy: 'private', lastModified: meta?.last_stream_check });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
 // POST /api/channels
-app.post('/api/channels', async (req, res) => {
-    const { data, error } = await supabaseAdmin.from('channels').insert([req.body]).select().single();
-    if (error) return res.status(500).json({ error: error.message });
-    res.status(201).json(data);
+app.post('/api/channels', requireRole('channel_editor'), validateBody(channelSchema), async (req, res) => {
+    try {
+        const data = await storage.channels.create(req.body);
+        await recordAudit(req, { entityType: 'channel', entityId: data.id, after: data });
+        const [channel] = await withStreamHealth([data]);
+        res.status(201).json(channel);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
 // PUT /api/channels/:id
-app.put('/api/channels/:id', async (req, res) => {
-    const { data, error } = await supabaseAdmin.from('channels').update(req.body).eq('id', req.params.id).select().single();
-    if (error) return res.status(500).json({ error: error.message });
-    res.status(200).json(data);
+app.put('/api/channels/:id', requireRole('channel_editor'), validateBody(channelSchema, { partial: true }), async (req, res) => {
+    try {
+        const before = await storage.channels.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Channel not found.' });
+        const data = await storage.channels.update(req.params.id, req.body);
+        await recordAudit(req, { entityType: 'channel', entityId: req.params.id, before, after: data });
+        const [channel] = await withStreamHealth([data]);
+        res.status(200).json(channel);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
 // DELETE /api/channels/:id
-app.delete('/api/channels/:id', async (req, res) => {
-    const { error } = await supabaseAdmin.from('channels').delete().eq('id', req.params.id);
-    if (error) return res.status(500).json({ error: error.message });
-    res.status(200).json({ message: "Channel deleted." });
+app.delete('/api/channels/:id', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const before = await storage.channels.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Channel not found.' });
+        await storage.channels.remove(req.params.id);
+        await storage.streamChecks.removeForChannel(req.params.id);
+        await recordAudit(req, { entityType: 'channel', entityId: req.params.id, before });
+        res.status(200).json({ message: "Channel deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/channels/export?format=json|csv -> the whole catalogue as a download
+app.get('/api/channels/export', async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) return sendValidationError(res, [{ field: 'format', message: 'Must be one of: json, csv.' }]);
+    try {
+        const channels = (await storage.channels.list()).map(toExportChannel);
+        res.setHeader('Content-Disposition', `attachment; filename="channels-${todayIn()}.${format}"`);
+        if (format === 'json') return res.status(200).json(channels);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.status(200).send(toCsv(channels));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+const MAX_IMPORT_CHANNELS = 1000;
+
+// POST /api/channels/import?dryRun=true
+// Body: a JSON array of channels (or { channels: [...] }), or CSV sent as text/csv (see lib/channelTransfer.js).
+// Answers with the diff; without dryRun it is applied in a single transaction.
+app.post('/api/channels/import', requireRole('channel_editor'), express.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+    let imported;
+    try {
+        imported = typeof req.body === 'string' ? parseCsv(req.body) : Array.isArray(req.body) ? req.body : req.body?.channels;
+    } catch (e) {
+        return sendValidationError(res, [{ field: 'body', message: e.message }]);
+    }
+    if (!Array.isArray(imported) || imported.length === 0) {
+        return sendValidationError(res, [{ field: 'body', message: 'Expected a non-empty list of channels.' }]);
+    }
+    if (imported.length > MAX_IMPORT_CHANNELS) {
+        return sendValidationError(res, [{ field: 'body', message: `At most ${MAX_IMPORT_CHANNELS} channels per import.` }]);
+    }
+    const results = imported.map((channel, i) => validate(channelImportSchema, channel, { prefix: `channels[${i}].` }));
+    const errors = results.flatMap(r => r.errors);
+    if (errors.length) return sendValidationError(res, errors);
+
+    try {
+        const { changes, errors: conflicts } = diffChannels(results.map(r => r.value), await storage.channels.list());
+        if (conflicts.length) return sendValidationError(res, conflicts);
+        const dryRun = req.query.dryRun === 'true';
+        const summary = { create: 0, update: 0, unchanged: 0 };
+        changes.forEach(c => summary[c.action]++);
+        const report = { dryRun, summary, changes: changes.map(({ channel, ...change }) => change) };
+        if (dryRun) return res.status(200).json(report);
+
+        await storage.channels.applyImport({
+            creates: changes.filter(c => c.action === 'create').map(c => c.channel),
+            updates: changes.filter(c => c.action === 'update').map(c => ({ id: c.id, ...c.channel }))
+        });
+        await recordAudit(req, { entityType: 'channel', after: { import: summary, changes: report.changes } });
+        res.status(200).json(report);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
+// POST /api/channels/check-streams -> probes every channel's URLs now
+app.post('/api/channels/check-streams', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const result = await checkAllStreams();
+        res.status(200).json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/channels/:id/check-streams -> probes one channel's URLs and returns it with fresh health
+app.post('/api/channels/:id/check-streams', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const channel = await storage.channels.get(req.params.id);
+        if (!channel) return res.status(404).json({ error: 'Channel not found.' });
+        const result = await checkChannelStreams([channel]);
+        const [data] = await withStreamHealth([channel]);
+        res.status(200).json({ ...result, channel: data });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// One validation error per id in `channelIds` that names no existing channel
+const unknownChannelErrors = async (channelIds, field) => {
+    if (channelIds.length === 0) return [];
+    const known = new Set((await storage.channels.findByIds(channelIds)).map(ch => String(ch.id)));
+    return channelIds.flatMap((id, i) => known.has(String(id)) ? [] : [{ field: `${field}[${i}]`, message: `Channel ${id} does not exist.` }]);
+};
+
 // POST /api/link
-app.post('/api/link', async (req, res) => {
-    const { matchId, channelIds } = req.body;
-    const { data, error } = await supabaseAdmin.from('matches').update({ broadcastChannels: channelIds }).eq('matchId', matchId).select().single();
-    if (error) return res.status(500).json({ error: error.message });
-    res.status(200).json({ message: "Channels linked.", data });
+app.post('/api/link', requireRole('channel_editor'), validateBody(linkSchema), async (req, res) => {
+    const matchId = String(req.body.matchId);
+    const channelIds = [...new Set(req.body.channelIds)];
+
+    try {
+        const before = await storage.matches.get(matchId);
+        const errors = await unknownChannelErrors(channelIds, 'channelIds');
+        if (!before) errors.unshift({ field: 'matchId', message: 'Match does not exist.' });
+        if (errors.length) return sendValidationError(res, errors);
+
+        // Marked as hand-set, so link rules leave this match alone from now on
+        const data = await storage.matches.update(matchId, { broadcastChannels: channelIds, linkedManually: true });
+        await recordAudit(req, { entityType: 'match', entityId: matchId, before, after: data });
+        await publishEvents(matchEvents(before, data));
+        res.status(200).json({ message: "Channels linked.", data });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Manual matches and overrides ---
+
+const NOT_MANUAL_ERROR = 'Only manual matches can be edited or deleted; change synced matches through their overrides.';
+
+// Applies validated broadcastChannels to a manual match row, or answers 400 for unknown channels
+const withManualLinks = async (match, channelIds) => {
+    if (!channelIds) return { match };
+    const ids = [...new Set(channelIds)];
+    const errors = await unknownChannelErrors(ids, 'broadcastChannels');
+    return { match: { ...match, broadcastChannels: ids, linkedManually: true }, errors };
+};
+
+// POST /api/matches -> a match the provider does not know; without broadcastChannels, league defaults and rules link it
+app.post('/api/matches', requireRole('channel_editor'), validateBody(manualMatchSchema), async (req, res) => {
+    try {
+        const { broadcastChannels, ...input } = req.body;
+        const { match, errors } = await withManualLinks(toManualMatch(input, null, DEFAULT_TIMEZONE), broadcastChannels);
+        if (errors?.length) return sendValidationError(res, errors);
+        if (!broadcastChannels) match.broadcastChannels = await initialLinks(match);
+        const data = await storage.matches.create(match);
+        await recordAudit(req, { entityType: 'match', entityId: data.matchId, after: data });
+        res.status(201).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/matches/:matchId?tz=Area/City -> the match with its stored `details` (events, line-ups) or null
+app.get('/api/matches/:matchId', async (req, res) => {
+    const tz = resolveTimeZone(req, res);
+    if (!tz) return;
+    try {
+        const data = await storage.matches.get(req.params.matchId);
+        if (!data) return res.status(404).json({ error: 'Match not found.' });
+        const [details, meta] = await Promise.all([getMatchDetails(data.matchId), storage.syncMetadata.get()]);
+        sendCached(req, res, { ...withLocalDate(data, tz), details: toPublicDetails(details) }, {
+            policy: 'private',
+            lastModified: latestTimestamp(matchesLastModified([data], meta), details?.fetched_at)
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/matches/:matchId/details -> fetches events and line-ups from the provider now (2 API requests)
+app.post('/api/matches/:matchId/details', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const match = await storage.matches.get(req.params.matchId);
+        if (!match) return res.status(404).json({ error: 'Match not found.' });
+        if (isManualMatch(match)) return res.status(400).json({ error: 'Manual matches have no provider details.' });
+        res.status(200).json(toPublicDetails(await refreshMatchDetails(match)));
+    } catch (e) {
+        res.status(isQuotaError(e) ? 429 : 500).json({ error: e.message });
+    }
+});
+
+// PUT /api/matches/:matchId -> manual matches only
+app.put('/api/matches/:matchId', requireRole('channel_editor'), validateBody(manualMatchSchema, { partial: true }), async (req, res) => {
+    try {
+        const before = await storage.matches.get(req.params.matchId);
+        if (!before) return res.status(404).json({ error: 'Match not found.' });
+        if (!isManualMatch(before)) return res.status(400).json({ error: NOT_MANUAL_ERROR });
+        const { broadcastChannels, ...input } = req.body;
+        const { match, errors } = await withManualLinks(toManualMatch(input, before, DEFAULT_TIMEZONE), broadcastChannels);
+        if (errors?.length) return sendValidationError(res, errors);
+        const { matchId, ...changes } = match;
+        const data = await storage.matches.update(matchId, changes);
+        await recordAudit(req, { entityType: 'match', entityId: matchId, before, after: data });
+        await publishEvents(matchEvents(before, data));
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE /api/matches/:matchId -> manual matches only
+app.delete('/api/matches/:matchId', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const before = await storage.matches.get(req.params.matchId);
+        if (!before) return res.status(404).json({ error: 'Match not found.' });
+        if (!isManualMatch(before)) return res.status(400).json({ error: NOT_MANUAL_ERROR });
+        await storage.matches.removeMany([before.matchId]);
+        await recordAudit(req, { entityType: 'match', entityId: before.matchId, before });
+        res.status(200).json({ message: "Match deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUT /api/matches/:matchId/overrides -> { title, hidden, featured, kickoffTime }; null clears one. Sync keeps them.
+app.put('/api/matches/:matchId/overrides', requireRole('channel_editor'), validateBody(matchOverridesSchema, { partial: true }), async (req, res) => {
+    try {
+        const before = await storage.matches.get(req.params.matchId);
+        if (!before) return res.status(404).json({ error: 'Match not found.' });
+        if (isManualMatch(before) && 'kickoffTime' in req.body) {
+            return sendValidationError(res, [{ field: 'kickoffTime', message: 'Edit the kickoff time of a manual match directly.' }]);
+        }
+        const data = await storage.matches.update(before.matchId, overrideChanges(before, req.body, DEFAULT_TIMEZONE));
+        await recordAudit(req, { entityType: 'match', entityId: before.matchId, before, after: data });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
 });
 
 // POST /api/sync
-app.post('/api/sync', async (req, res) => {
-    const result = await synchronizeMatchesData();
+// Body (all optional): { from, to } for a date range, or { league, season } for a season backfill.
+// An empty body syncs the default window. Unfinished ranges come back as `remaining`.
+// 429 when the API-Football quota allows no requests at all.
+app.post('/api/sync', requireRole('channel_editor'), validateBody(syncSchema), async (req, res) => {
+    const { from, to, league, season } = req.body;
+    const errors = [];
+    if ((from || to) && (league || season)) errors.push({ field: 'body', message: 'Send either a date range or a league season, not both.' });
+    if (to && !from) errors.push({ field: 'from', message: 'Is required when "to" is given.' });
+    if (from && to) {
+        const days = countRangeDays(from, to);
+        if (days < 1) errors.push({ field: 'to', message: 'Must not be before "from".' });
+        if (days > MAX_SYNC_RANGE_DAYS) errors.push({ field: 'to', message: `Range must not exceed ${MAX_SYNC_RANGE_DAYS} days.` });
+    }
+    if (league && !season) errors.push({ field: 'season', message: 'Is required when "league" is given.' });
+    if (season && !league) errors.push({ field: 'league', message: 'Is required when "season" is given.' });
+    if (errors.length) return sendValidationError(res, errors);
+
+    try {
+        const result = await synchronizeMatchesData({ ...req.body, trigger: 'manual', triggeredBy: req.admin.username });
+        if (result.locked) return res.status(409).json(result);
+        if (result.skipped) return res.status(429).json(result);
+        await recordAudit(req, { entityType: 'sync', after: result });
+        if (result.success) return res.status(200).json(result);
+        res.status(500).json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/sync/live
+app.post('/api/sync/live', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const result = await synchronizeLiveScores({ trigger: 'manual', triggeredBy: req.admin.username });
+        if (result.locked) return res.status(409).json(result);
+        if (result.skipped) return res.status(429).json(result);
+        await recordAudit(req, { entityType: 'sync', after: result });
+        if (result.success) return res.status(200).json(result);
+        res.status(500).json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/sync/status -> freshness timestamps, the last scheduled (cron) call, whether a run is in progress, and the API-Football quota
+app.get('/api/sync/status', async (req, res) => {
+    try {
+        const meta = await storage.syncMetadata.get();
+        const lastFailure = await storage.syncRuns.latestFailure();
+        res.status(200).json({
+            lastSuccessfulSync: meta.last_successful_sync,
+            lastLiveSync: meta.last_live_sync,
+            lastCronRun: meta.last_cron_run ? { job: meta.last_cron_job, at: meta.last_cron_run } : null,
+            running: isSyncLocked(meta),
+            lastFailure,
+            quota: await getQuotaStatus()
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/sync/runs?limit=&kind=&trigger=&failed=true
+app.get('/api/sync/runs', async (req, res) => {
+    try {
+        const data = await storage.syncRuns.list({
+            limit: Math.min(Number(req.query.limit) || 20, 100),
+            kind: req.query.kind,
+            trigger: req.query.trigger,
+            failed: req.query.failed === 'true'
+        });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Retention ---
+
+// GET /api/retention/preview -> the matches a retention run would archive or delete right now
+app.get('/api/retention/preview', async (req, res) => {
+    try {
+        res.status(200).json(await previewRetention());
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/retention/run -> archives or deletes old matches (see MATCH_RETENTION_* settings)
+app.post('/api/retention/run', requireRole('super_admin'), async (req, res) => {
+    const result = await runRetention({ trigger: 'manual', triggeredBy: req.admin.username });
+    if (result.locked) return res.status(409).json(result);
+    await recordAudit(req, { entityType: 'sync', after: result });
     if (result.success) return res.status(200).json(result);
     res.status(500).json(result);
 });
 
+// --- Leagues ---
+
+// GET /api/leagues (ordered by priority)
+app.get('/api/leagues', async (req, res) => {
+    try {
+        const data = await storage.leagues.list();
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/leagues
+app.post('/api/leagues', requireRole('channel_editor'), validateBody(leagueSchema), async (req, res) => {
+    try {
+        const data = await storage.leagues.create(req.body);
+        await recordAudit(req, { entityType: 'league', entityId: data.id, after: data });
+        res.status(201).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUT /api/leagues/:id
+app.put('/api/leagues/:id', requireRole('channel_editor'), validateBody(leagueSchema, { partial: true }), async (req, res) => {
+    const { id, ...changes } = req.body;
+    if (id !== undefined && String(id) !== req.params.id) {
+        return sendValidationError(res, [{ field: 'id', message: 'Cannot be changed.' }]);
+    }
+    try {
+        const before = await storage.leagues.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'League not found.' });
+        const data = await storage.leagues.update(req.params.id, { ...changes, updated_at: new Date().toISOString() });
+        await recordAudit(req, { entityType: 'league', entityId: req.params.id, before, after: data });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE /api/leagues/:id
+app.delete('/api/leagues/:id', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const before = await storage.leagues.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'League not found.' });
+        await storage.leagues.remove(req.params.id);
+        await recordAudit(req, { entityType: 'league', entityId: req.params.id, before });
+        res.status(200).json({ message: "League deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Link rules ---
+
+// Cross-field checks on a complete rule (after merging an update into the stored row)
+const linkRuleErrors = async (rule) => {
+    const errors = [];
+    if (rule.league_id == null && !rule.team && !rule.country) {
+        errors.push({ field: 'body', message: 'Set at least one of "league_id", "team" and "country".' });
+    }
+    if (rule.date_from && rule.date_to && rule.date_to < rule.date_from) {
+        errors.push({ field: 'date_to', message: 'Must not be before "date_from".' });
+    }
+    return [...errors, ...await unknownChannelErrors(rule.channel_ids || [], 'channel_ids')];
+};
+
+// GET /api/link-rules
+app.get('/api/link-rules', async (req, res) => {
+    try {
+        const data = await storage.linkRules.list();
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/link-rules
+app.post('/api/link-rules', requireRole('channel_editor'), validateBody(linkRuleSchema), async (req, res) => {
+    try {
+        const errors = await linkRuleErrors(req.body);
+        if (errors.length) return sendValidationError(res, errors);
+        const data = await storage.linkRules.create(req.body);
+        await recordAudit(req, { entityType: 'link_rule', entityId: data.id, after: data });
+        res.status(201).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/link-rules/preview -> upcoming matches an (unsaved) rule would link; every field is optional
+app.post('/api/link-rules/preview', validateBody(linkRulePreviewSchema), async (req, res) => {
+    try {
+        res.status(200).json(await previewRule(req.body));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/link-rules/apply -> relinks stored upcoming matches now rather than at their next sync
+app.post('/api/link-rules/apply', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const result = await applyRulesToUpcoming();
+        await recordAudit(req, { entityType: 'link_rule', after: result });
+        res.status(200).json(result);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUT /api/link-rules/:id
+app.put('/api/link-rules/:id', requireRole('channel_editor'), validateBody(linkRuleSchema, { partial: true }), async (req, res) => {
+    try {
+        const before = await storage.linkRules.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Link rule not found.' });
+        const errors = await linkRuleErrors({ ...before, ...req.body });
+        if (errors.length) return sendValidationError(res, errors);
+        const data = await storage.linkRules.update(req.params.id, { ...req.body, updated_at: new Date().toISOString() });
+        await recordAudit(req, { entityType: 'link_rule', entityId: req.params.id, before, after: data });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE /api/link-rules/:id
+app.delete('/api/link-rules/:id', requireRole('channel_editor'), async (req, res) => {
+    try {
+        const before = await storage.linkRules.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Link rule not found.' });
+        await storage.linkRules.remove(req.params.id);
+        await recordAudit(req, { entityType: 'link_rule', entityId: req.params.id, before });
+        res.status(200).json({ message: "Link rule deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Admin user management (super-admin only) ---
+
+// Password hashes never leave the server
+const toAdminUser = (user) => user && ({ id: user.id, username: user.username, role: user.role, disabled: user.disabled, created_at: user.created_at });
+
+// GET /api/admin-users
+app.get('/api/admin-users', requireRole('super_admin'), async (req, res) => {
+    try {
+        const data = await storage.adminUsers.list();
+        res.status(200).json(data.map(toAdminUser));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/admin-users
+app.post('/api/admin-users', requireRole('super_admin'), validateBody(adminUserSchema), async (req, res) => {
+    const { username, password, role } = req.body;
+    try {
+        const data = toAdminUser(await storage.adminUsers.create({ username, password_hash: hashPassword(password), role }));
+        await recordAudit(req, { entityType: 'admin_user', entityId: data.id, after: data });
+        res.status(201).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUT /api/admin-users/:id (role, disabled, password)
+app.put('/api/admin-users/:id', requireRole('super_admin'), validateBody(adminUserSchema, { partial: true }), async (req, res) => {
+    const { username, role, disabled, password } = req.body;
+    const changes = {};
+    if (username !== undefined) changes.username = username;
+    if (role !== undefined) changes.role = role;
+    if (disabled !== undefined) changes.disabled = disabled;
+    if (password) changes.password_hash = hashPassword(password);
+    // As with deleting, so user management always keeps an active super_admin
+    if (String(req.admin.id) === req.params.id) {
+        if (disabled) return res.status(400).json({ error: 'You cannot disable your own account.' });
+        if (role !== undefined && role !== 'super_admin') return res.status(400).json({ error: 'You cannot change your own role.' });
+    }
+
+    let before, data;
+    try {
+        before = toAdminUser(await storage.adminUsers.get(req.params.id));
+        if (!before) return res.status(404).json({ error: 'User not found.' });
+        data = toAdminUser(await storage.adminUsers.update(req.params.id, changes));
+    } catch (e) {
+        return res.status(500).json({ error: e.message });
+    }
+    // A disabled account or a new password invalidates every open session
+    if (changes.disabled || changes.password_hash) await revokeUserSessions(req.params.id).catch(e => console.error('Failed to revoke sessions:', e.message));
+    // Password hashes never go into the log; only the fact that one was changed
+    await recordAudit(req, { entityType: 'admin_user', entityId: req.params.id, before, after: { ...data, passwordChanged: !!changes.password_hash } });
+    res.status(200).json(data);
+});
+
+// DELETE /api/admin-users/:id
+app.delete('/api/admin-users/:id', requireRole('super_admin'), async (req, res) => {
+    if (String(req.admin.id) === req.params.id) return res.status(400).json({ error: 'You cannot delete your own account.' });
+    try {
+        const before = toAdminUser(await storage.adminUsers.get(req.params.id));
+        await storage.adminUsers.remove(req.params.id);
+        await recordAudit(req, { entityType: 'admin_user', entityId: req.params.id, before });
+        res.status(200).json({ message: "User deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/admin-users/:id/revoke-sessions
+app.post('/api/admin-users/:id/revoke-sessions', requireRole('super_admin'), async (req, res) => {
+    try {
+        await revokeUserSessions(req.params.id);
+        await recordAudit(req, { entityType: 'admin_user', entityId: req.params.id });
+        res.status(200).json({ message: 'Sessions revoked.' });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Outbound webhooks (super-admin only) ---
+
+const MAX_DELIVERIES_PAGE_SIZE = 200;
+
+// Secrets stay out of the audit log; rotations are recorded as a flag
+const toAuditWebhook = (webhook) => {
+    if (!webhook) return null;
+    const { secret, ...rest } = webhook;
+    return rest;
+};
+
+// Secrets are only sent when generated (create and rotate); everywhere else they are masked to a hint
+const toListedWebhook = (webhook) => ({ ...toAuditWebhook(webhook), secretHint: `${webhook.secret.slice(0, 6)}…${webhook.secret.slice(-4)}` });
+
+// GET /api/webhooks -> secrets masked (see toListedWebhook)
+app.get('/api/webhooks', requireRole('super_admin'), async (req, res) => {
+    try {
+        const data = await storage.webhooks.list();
+        res.status(200).json(data.map(toListedWebhook));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/webhooks -> the response carries the generated signing secret
+app.post('/api/webhooks', requireRole('super_admin'), validateBody(webhookSchema), async (req, res) => {
+    try {
+        const data = await storage.webhooks.create({ ...req.body, secret: generateWebhookSecret() });
+        await recordAudit(req, { entityType: 'webhook', entityId: data.id, after: toAuditWebhook(data) });
+        res.status(201).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET /api/webhooks/deliveries?webhookId=&status=&event=&limit=&before= -> delivery log, newest first
+app.get('/api/webhooks/deliveries', requireRole('super_admin'), async (req, res) => {
+    try {
+        const data = await storage.webhookDeliveries.list({
+            webhookId: req.query.webhookId,
+            status: req.query.status,
+            eventType: req.query.event,
+            before: req.query.before,
+            limit: Math.min(Number(req.query.limit) || 50, MAX_DELIVERIES_PAGE_SIZE)
+        });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/webhooks/deliveries/:id/retry -> sends a pending or failed delivery again now
+app.post('/api/webhooks/deliveries/:id/retry', requireRole('super_admin'), async (req, res) => {
+    try {
+        const delivery = await storage.webhookDeliveries.get(req.params.id);
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found.' });
+        if (delivery.status === 'delivered') return res.status(400).json({ error: 'Delivery already succeeded.' });
+        res.status(200).json(await redeliver(delivery));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUT /api/webhooks/:id -> secret masked
+app.put('/api/webhooks/:id', requireRole('super_admin'), validateBody(webhookSchema, { partial: true }), async (req, res) => {
+    try {
+        const before = await storage.webhooks.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Webhook not found.' });
+        const data = await storage.webhooks.update(req.params.id, { ...req.body, updated_at: new Date().toISOString() });
+        await recordAudit(req, { entityType: 'webhook', entityId: req.params.id, before: toAuditWebhook(before), after: toAuditWebhook(data) });
+        res.status(200).json(toListedWebhook(data));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/webhooks/:id/rotate-secret -> the old secret stops working immediately
+app.post('/api/webhooks/:id/rotate-secret', requireRole('super_admin'), async (req, res) => {
+    try {
+        const before = await storage.webhooks.get(req.params.id);
+        if (!before) return res.status(404).json({ error: 'Webhook not found.' });
+        const data = await storage.webhooks.update(req.params.id, { secret: generateWebhookSecret(), updated_at: new Date().toISOString() });
+        await recordAudit(req, { entityType: 'webhook', entityId: req.params.id, before: toAuditWebhook(before), after: { ...toAuditWebhook(data), secretRotated: true } });
+        res.status(200).json(data);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/webhooks/:id/ping -> sends a test event now and returns its delivery
+app.post('/api/webhooks/:id/ping', requireRole('super_admin'), async (req, res) => {
+    try {
+        const webhook = await storage.webhooks.get(req.params.id);
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found.' });
+        res.status(200).json(await pingWebhook(webhook));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE /api/webhooks/:id -> its delivery log goes with it
+app.delete('/api/webhooks/:id', requireRole('super_admin'), async (req, res) => {
+    try {
+        const before = await storage.webhooks.get(req.params.id);
+        await storage.webhooks.remove(req.params.id);
+        await recordAudit(req, { entityType: 'webhook', entityId: req.params.id, before: toAuditWebhook(before) });
+        res.status(200).json({ message: "Webhook deleted." });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// --- Audit log ---
+
+// GET /api/audit-log?actor=&entityType=&entityId=&method=&from=&to=&limit=&before=
+app.get('/api/audit-log', async (req, res) => {
+    try {
+        const entries = await listAuditEntries(req.query);
+        res.status(200).json(entries);
+    } catch (e) {
+        console.error('Error fetching audit log:', e.message);
+        res.status(500).json({ error: "Server error while fetching audit log." });
+    }
+});
+
 // Serve static files from 'public'
 app.use(express.static('public'));
 
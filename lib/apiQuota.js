@@ -0,0 +1,95 @@
+import { storage } from "./storage/index.js";
+
+// API-Football request quota, as reported by the rate-limit headers of every response and kept in
+// sync_metadata so all instances share it. The daily quota resets at 00:00 UTC.
+
+const CONFIG = {
+    // Requests per day kept back for manual runs; automatic and cron runs stop above it
+    DAILY_RESERVE: Number(process.env.API_FOOTBALL_DAILY_RESERVE ?? 20),
+    // How long a 429 (per-minute limit) blocks further requests
+    MINUTE_BLOCK_MS: 60000
+};
+
+export const QUOTA_ERROR_CODES = ['RATE_LIMITED', 'QUOTA_EXHAUSTED'];
+
+export const isQuotaError = (error) => QUOTA_ERROR_CODES.includes(error?.code);
+
+export const quotaError = (code, message) => Object.assign(new Error(message), { code });
+
+const headerNumber = (headers, name) => {
+    const value = headers.get(name);
+    return value === null || value === '' || isNaN(Number(value)) ? null : Number(value);
+};
+
+const utcDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString();
+
+/**
+ * Stores the quota from a response's headers: x-ratelimit-requests-* (daily) and
+ * X-RateLimit-* (per minute). Responses without them (e.g. network errors) change nothing.
+ */
+export const recordQuota = async (headers) => {
+    const changes = {
+        api_daily_limit: headerNumber(headers, 'x-ratelimit-requests-limit'),
+        api_daily_remaining: headerNumber(headers, 'x-ratelimit-requests-remaining'),
+        api_minute_limit: headerNumber(headers, 'x-ratelimit-limit'),
+        api_minute_remaining: headerNumber(headers, 'x-ratelimit-remaining')
+    };
+    Object.keys(changes).forEach(key => { if (changes[key] === null) delete changes[key]; });
+    if (Object.keys(changes).length === 0) return;
+    await storage.syncMetadata.update({ ...changes, api_quota_updated_at: new Date().toISOString() })
+        .catch(error => console.error('Failed to record API quota:', error.message));
+};
+
+// Blocks requests until the quota frees up: a minute for RATE_LIMITED, the next UTC day for QUOTA_EXHAUSTED
+export const recordQuotaBlock = async (code) => {
+    const until = code === 'RATE_LIMITED' ? new Date(Date.now() + CONFIG.MINUTE_BLOCK_MS).toISOString() : nextUtcMidnight();
+    const changes = { api_blocked_until: until, api_blocked_reason: code };
+    if (code === 'QUOTA_EXHAUSTED') Object.assign(changes, { api_daily_remaining: 0, api_quota_updated_at: new Date().toISOString() });
+    await storage.syncMetadata.update(changes).catch(error => console.error('Failed to record API quota block:', error.message));
+};
+
+// The stored quota in API shape. Counters from an earlier UTC day (daily) or minute are reported as unknown.
+export const getQuotaStatus = async () => {
+    const meta = await storage.syncMetadata.get();
+    const now = Date.now();
+    const updatedAt = meta?.api_quota_updated_at || null;
+    const today = updatedAt && utcDay(updatedAt) === utcDay(now);
+    const thisMinute = updatedAt && now - new Date(updatedAt).getTime() < 60000;
+    const blocked = meta?.api_blocked_until && new Date(meta.api_blocked_until).getTime() > now;
+    return {
+        dailyLimit: meta?.api_daily_limit ?? null,
+        dailyRemaining: today ? meta.api_daily_remaining ?? null : null,
+        minuteLimit: meta?.api_minute_limit ?? null,
+        minuteRemaining: thisMinute ? meta.api_minute_remaining ?? null : null,
+        updatedAt,
+        blockedUntil: blocked ? meta.api_blocked_until : null,
+        blockedReason: blocked ? meta.api_blocked_reason : null,
+        reserve: CONFIG.DAILY_RESERVE
+    };
+};
+
+/**
+ * How many requests a run may make right now; Infinity when the quota is unknown. Manual runs may
+ * use the daily reserve, other triggers may not.
+ */
+export const availableRequests = async ({ trigger }) => {
+    const quota = await getQuotaStatus();
+    if (quota.blockedUntil) return 0;
+    const daily = quota.dailyRemaining === null ? Infinity : quota.dailyRemaining - (trigger === 'manual' ? 0 : quota.reserve);
+    const minute = quota.minuteRemaining === null ? Infinity : quota.minuteRemaining;
+    return Math.max(0, Math.min(daily, minute));
+};
+
+// A one-line reason for the panel and logs when availableRequests() is 0
+export const describeQuotaShortage = async () => {
+    const quota = await getQuotaStatus();
+    if (quota.blockedUntil) {
+        return quota.blockedReason === 'RATE_LIMITED'
+            ? `API-Football per-minute limit reached; requests resume at ${quota.blockedUntil}.`
+            : `API-Football daily quota exhausted; requests resume at ${quota.blockedUntil}.`;
+    }
+    if (quota.minuteRemaining === 0) return 'API-Football per-minute limit reached.';
+    return `API-Football daily quota is down to its reserve (${quota.dailyRemaining} left, ${quota.reserve} reserved for manual runs).`;
+};
@@ -0,0 +1,34 @@
+import { storage } from "./storage/index.js";
+
+const MAX_PAGE_SIZE = 200;
+
+// Records one admin mutation. Failures are logged, never thrown, so the mutation itself still succeeds.
+export const recordAudit = async (req, { entityType, entityId = null, before = null, after = null }) => {
+    const entry = {
+        actor_id: req.admin?.id ?? null,
+        actor_username: req.admin?.username ?? null,
+        method: req.method,
+        route: req.originalUrl,
+        entity_type: entityType,
+        entity_id: entityId === null ? null : String(entityId),
+        before,
+        after
+    };
+    try {
+        await storage.auditLog.insert(entry);
+    } catch (error) {
+        console.error('Failed to record audit entry:', error.message);
+    }
+};
+
+// Lists audit entries, newest first. Supported filters: actor, entityType, entityId, method, from, to, limit, before (id cursor).
+export const listAuditEntries = (filters = {}) => storage.auditLog.list({
+    actor: filters.actor,
+    entityType: filters.entityType,
+    entityId: filters.entityId ? String(filters.entityId) : undefined,
+    method: filters.method ? filters.method.toUpperCase() : undefined,
+    from: filters.from,
+    to: filters.to,
+    before: filters.before,
+    limit: Math.min(Number(filters.limit) || 50, MAX_PAGE_SIZE)
+});
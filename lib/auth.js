@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { storage } from "./storage/index.js";
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// Ordered from least to most privileged; a role implies every role before it
+export const ROLES = ['viewer', 'channel_editor', 'super_admin'];
+
+const SCRYPT_KEYLEN = 64;
+
+// --- Password hashing (scrypt, stored as "scrypt$<salt>$<hash>") ---
+
+export const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+export const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only a SHA-256 of the token is persisted, so a leaked sessions table cannot be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+// --- Sessions ---
+
+export const login = async (username, password) => {
+    const user = await storage.adminUsers.findByUsername(username);
+    if (!user || user.disabled || !verifyPassword(password, user.password_hash)) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 36e5).toISOString();
+    await storage.sessions.create({ token_hash: hashToken(token), user_id: user.id, expires_at: expiresAt });
+
+    return { token, expiresAt, user: { id: user.id, username: user.username, role: user.role } };
+};
+
+export const revokeSession = (token) => storage.sessions.revoke(hashToken(token), new Date().toISOString());
+
+export const revokeUserSessions = (userId) => storage.sessions.revokeForUser(userId, new Date().toISOString());
+
+const resolveSession = async (token) => {
+    const session = await storage.sessions.findByTokenHash(hashToken(token));
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+    const { user } = session;
+    if (!user || user.disabled) return null;
+    return { id: user.id, username: user.username, role: user.role, sessionExpiresAt: session.expires_at };
+};
+
+const getBearerToken = (req) => {
+    const header = req.headers['authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// --- Middleware ---
+
+// Resolves the bearer token into req.admin and req.sessionToken, or answers 401
+export const requireAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) return res.status(401).json({ error: 'Unauthorized' });
+    try {
+        const admin = await resolveSession(token);
+        if (!admin) return res.status(401).json({ error: 'Unauthorized' });
+        req.admin = admin;
+        req.sessionToken = token;
+        next();
+    } catch (e) {
+        console.error('Error resolving session:', e.message);
+        res.status(500).json({ error: 'Server error while checking session.' });
+    }
+};
+
+export const requireRole = (role) => (req, res, next) => {
+    if (hasRole(req.admin, role)) return next();
+    res.status(403).json({ error: 'Forbidden' });
+};
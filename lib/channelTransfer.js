@@ -0,0 +1,97 @@
+import { sameValue } from "./compare.js";
+
+// Channel catalogue export/import. JSON is an array of channels as stored; CSV has one row per
+// stream URL with the channel's columns repeated: id,name,category,logo,url,quality.
+
+export const CSV_COLUMNS = ['id', 'name', 'category', 'logo', 'url', 'quality'];
+const COMPARED_FIELDS = ['name', 'category', 'logo', 'urls'];
+
+export const toExportChannel = ({ id, name, category, logo, urls }) => ({ id, name, category, logo, urls: (urls || []).map(({ url, quality }) => ({ url, quality })) });
+
+// --- CSV ---
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (channels) => {
+    const rows = channels.flatMap(ch => (ch.urls || []).map(({ url, quality }) => [ch.id, ch.name, ch.category, ch.logo, url, quality]));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and line breaks
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') quoted = true;
+        else if (ch === ',') { row.push(field); field = ''; }
+        else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += ch;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => cell.trim()));
+};
+
+/**
+ * Parses CSV into channels, grouping rows by id (or by name when id is empty).
+ * Throws with a message naming the problem when the header is wrong.
+ */
+export const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    const missing = CSV_COLUMNS.filter(c => c !== 'id' && !columns.includes(c));
+    if (missing.length) throw new Error(`CSV header is missing column(s): ${missing.join(', ')}.`);
+
+    const channels = new Map();
+    for (const cells of rows) {
+        const get = (column) => (cells[columns.indexOf(column)] ?? '').trim();
+        const id = columns.includes('id') ? get('id') : '';
+        const key = id ? `id:${id}` : `name:${get('name').toLowerCase()}`;
+        if (!channels.has(key)) {
+            channels.set(key, { ...(id ? { id: /^\d+$/.test(id) ? Number(id) : id } : {}), name: get('name'), category: get('category'), logo: get('logo'), urls: [] });
+        }
+        channels.get(key).urls.push({ url: get('url'), quality: get('quality') });
+    }
+    return [...channels.values()];
+};
+
+// --- Diff ---
+
+const nameKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Matches imported channels to existing ones, by id first and then by name (case-insensitive).
+ * An id that matches nothing falls back to the name; a channel matching neither is created with a
+ * fresh id. Returns { changes, errors }, where each change is { action, id, name, fields, channel }
+ * and action is create, update or unchanged. Existing channels missing from the import are left alone.
+ */
+export const diffChannels = (imported, existing) => {
+    const byId = new Map(existing.map(ch => [String(ch.id), ch]));
+    const byName = new Map(existing.map(ch => [nameKey(ch.name), ch]));
+    const claimed = new Map();
+    const errors = [];
+
+    const changes = imported.map((channel, i) => {
+        const { id, ...values } = channel;
+        const target = (id !== undefined && byId.get(String(id))) || byName.get(nameKey(values.name));
+        const claimKey = target ? `id:${target.id}` : `name:${nameKey(values.name)}`;
+        if (claimed.has(claimKey)) {
+            errors.push({ field: `channels[${i}]`, message: `Matches the same channel as channels[${claimed.get(claimKey)}].` });
+        }
+        claimed.set(claimKey, i);
+
+        if (!target) return { action: 'create', id: null, name: values.name, fields: COMPARED_FIELDS, channel: values };
+        const fields = COMPARED_FIELDS.filter(field => !sameValue(target[field], values[field]));
+        return { action: fields.length ? 'update' : 'unchanged', id: target.id, name: values.name, fields, channel: values };
+    });
+    return { changes, errors };
+};
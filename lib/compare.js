@@ -0,0 +1,11 @@
+// Key-order-independent equality, since jsonb columns come back with their keys reordered
+const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortKeys(value[k])]));
+    return value;
+};
+
+export const sameValue = (a, b) => JSON.stringify(sortKeys(a ?? null)) === JSON.stringify(sortKeys(b ?? null));
+
+// Timestamps compared as instants, since timestamptz columns come back as "+00:00" rather than ".000Z"
+export const sameInstant = (a, b) => a == null || b == null ? a == b : new Date(a).getTime() === new Date(b).getTime();
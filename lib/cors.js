@@ -0,0 +1,56 @@
+// Cross-origin access, configured separately for the read-only public API (/api/public/*) and for
+// everything else. The admin panel is served from the same origin as the API and needs no CORS.
+
+const parseOrigins = (value) => value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+
+const CONFIG = {
+    // Comma-separated origins, or "*" for any
+    PUBLIC_ORIGINS: parseOrigins(process.env.CORS_PUBLIC_ORIGINS ?? '*'),
+    // None by default: browsers on other sites cannot call the admin API at all
+    ADMIN_ORIGINS: parseOrigins(process.env.CORS_ADMIN_ORIGINS ?? ''),
+    // How long browsers may reuse a preflight answer
+    PREFLIGHT_MAX_AGE: 600
+};
+
+const CONDITIONAL_HEADERS = 'If-None-Match, If-Modified-Since';
+
+const POLICIES = {
+    public: {
+        origins: CONFIG.PUBLIC_ORIGINS,
+        methods: 'GET, HEAD, OPTIONS',
+        headers: CONDITIONAL_HEADERS,
+        expose: 'ETag'
+    },
+    admin: {
+        origins: CONFIG.ADMIN_ORIGINS,
+        methods: 'GET, POST, PUT, DELETE, OPTIONS',
+        headers: `Content-Type, Authorization, ${CONDITIONAL_HEADERS}`,
+        expose: 'ETag, X-Sync-Status, X-Last-Sync, X-Next-Cursor'
+    }
+};
+
+export const isPublicRoute = (path) => path.startsWith('/api/public/');
+
+// The Access-Control-Allow-Origin value for `origin` under `policy`, or null when it is not allowed
+const allowedOrigin = (policy, origin) => {
+    if (policy.origins.includes('*')) return '*';
+    return origin && policy.origins.includes(origin) ? origin : null;
+};
+
+// Express middleware; answers preflight requests itself
+export const cors = (req, res, next) => {
+    const policy = isPublicRoute(req.path) ? POLICIES.public : POLICIES.admin;
+    const origin = allowedOrigin(policy, req.headers.origin);
+    // The answer depends on the Origin header unless every origin gets the same one
+    if (origin !== '*') res.vary('Origin');
+    if (origin) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', policy.methods);
+        res.setHeader('Access-Control-Allow-Headers', policy.headers);
+        res.setHeader('Access-Control-Expose-Headers', policy.expose);
+        res.setHeader('Access-Control-Max-Age', String(CONFIG.PREFLIGHT_MAX_AGE));
+    }
+    // Without the headers above, the browser refuses a preflight from a disallowed origin
+    if (req.method === 'OPTIONS') return res.status(204).end();
+    next();
+};
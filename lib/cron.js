@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import { hasMatchesInProgress, recordSkippedRun, synchronizeLiveScores, synchronizeMatchesData } from "../sync.js";
+import { runRetention } from "./retention.js";
+import { storage } from "./storage/index.js";
+import { checkAllStreams } from "./streamHealth.js";
+import { deliverDue } from "./webhooks.js";
+
+// Scheduled jobs, started by Vercel Cron (see the "crons" entries in vercel.json). Vercel calls each
+// path with GET and "Authorization: Bearer <CRON_SECRET>"; without CRON_SECRET set the jobs stay off.
+//
+// Schedules that run more than once a day (live, webhooks, streams) need a Vercel Pro plan; Hobby
+// rejects the deployment. On Hobby, delete those entries from vercel.json: the panel still refreshes
+// live scores and stream checks while it is open, and webhook retries go out after each sync.
+// vercel.json also sets maxDuration to 180s, which outlasts a sync (RUN_TIME_BUDGET plus one
+// worst-case batch, see SYNC_LOCK_TTL in sync.js) and needs Fluid compute (the default for new
+// projects) or a paid plan.
+
+const CRON_SECRET = process.env.CRON_SECRET || null;
+
+const SYNC_CONTEXT = { trigger: 'cron', triggeredBy: null };
+
+// Each job resolves to a sync result ({ success, message, locked?, skipped?, ... }); `kind` is
+// the sync_runs kind a sync job runs as
+export const CRON_JOBS = {
+    // The default window around today
+    sync: { kind: 'window', run: () => synchronizeMatchesData(SYNC_CONTEXT) },
+    // Live scores, only while some match is in progress: idle ticks spend no API requests
+    live: {
+        kind: 'live',
+        run: async () => await hasMatchesInProgress()
+            ? synchronizeLiveScores(SYNC_CONTEXT)
+            : { success: true, idle: true, message: 'Live sync not needed. No matches in progress.' }
+    },
+    retention: { kind: 'retention', run: () => runRetention(SYNC_CONTEXT) },
+    // Webhook deliveries whose retry fell due since the last sync
+    webhooks: {
+        kind: null,
+        run: async () => {
+            const counts = await deliverDue();
+            return { success: true, message: `Webhooks: ${counts.delivered} delivered, ${counts.retrying} to retry, ${counts.failed} failed.`, stats: counts };
+        }
+    },
+    // Every channel's stream URLs, awaited to the end
+    streams: {
+        kind: null,
+        run: async () => {
+            const stats = await checkAllStreams();
+            return { success: true, message: `Checked ${stats.checked} stream(s): ${stats.up} up, ${stats.down} down.`, stats };
+        }
+    }
+};
+
+export const isCronConfigured = () => !!CRON_SECRET;
+
+// Compares digests so the check takes the same time whatever the token
+export const isCronRequest = (req) => {
+    const header = req.headers.authorization || '';
+    if (!CRON_SECRET || !header.startsWith('Bearer ')) return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(header.slice(7).trim()), digest(CRON_SECRET));
+};
+
+/**
+ * Runs one job and records that the schedule fired: every call stamps sync_metadata.last_cron_run,
+ * and runs that did not start (sync lock held, API quota spent) still get a failed sync_runs row.
+ * Idle live ticks are only stamped, so the history is not flooded with a row every few minutes.
+ */
+export const runCronJob = async (name) => {
+    const job = CRON_JOBS[name];
+    let result = await job.run();
+    if (result.locked || result.skipped) result = await recordSkippedRun(job.kind, SYNC_CONTEXT, result);
+    await storage.syncMetadata.update({ last_cron_run: new Date().toISOString(), last_cron_job: name })
+        .catch(error => console.error("Failed to record cron run:", error));
+    console.log(`Cron ${name}: ${result.message}`);
+    return result;
+};
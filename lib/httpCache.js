@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+// Conditional GET and Cache-Control for read endpoints. ETags hash the response body, so they also
+// change with edits no timestamp reflects (e.g. a renamed channel); Last-Modified comes from the
+// data's own timestamps (matches' lastUpdated, the last sync) for clients that only keep dates.
+
+const PUBLIC_SECONDS = Number(process.env.PUBLIC_CACHE_SECONDS ?? 60);
+const LIVE_SECONDS = Number(process.env.PUBLIC_LIVE_CACHE_SECONDS ?? 10);
+
+// Browsers always revalidate public responses (max-age=0); Vercel's edge serves its copy for
+// s-maxage seconds and a stale one while it refetches in the background.
+export const CACHE_POLICIES = {
+    public: `public, max-age=0, s-maxage=${PUBLIC_SECONDS}, stale-while-revalidate=${PUBLIC_SECONDS * 5}`,
+    // Responses with matches in play, whose scores change by the minute
+    live: `public, max-age=0, s-maxage=${LIVE_SECONDS}, stale-while-revalidate=${LIVE_SECONDS * 3}`,
+    // IPTV playlists and guides, which players poll but which rarely change
+    feed: 'public, max-age=0, s-maxage=300, stale-while-revalidate=3600',
+    // Admin responses: never kept by shared caches, revalidated by the browser on every use
+    private: 'private, no-cache'
+};
+
+// The most recent of the given timestamps (nulls ignored), or null
+export const latestTimestamp = (...values) => {
+    const times = values.filter(Boolean).map(value => new Date(value).getTime()).filter(time => !isNaN(time));
+    return times.length ? new Date(Math.max(...times)).toISOString() : null;
+};
+
+// If-None-Match wins over If-Modified-Since, as RFC 9110 requires; Last-Modified has second precision
+const isFresh = (req, etag, lastModified) => {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) return noneMatch.trim() === '*' || noneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+    const since = Date.parse(req.headers['if-modified-since'] || '');
+    return !isNaN(since) && !!lastModified && Math.floor(new Date(lastModified).getTime() / 1000) * 1000 <= since;
+};
+
+/**
+ * Sends `body` (JSON, or a string whose Content-Type the caller set) with ETag, Last-Modified and the
+ * named Cache-Control policy, or 304 with no body when the client's copy is still current.
+ */
+export const sendCached = (req, res, body, { policy, lastModified = null }) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+    res.setHeader('Cache-Control', CACHE_POLICIES[policy]);
+    res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+    if (isFresh(req, etag, lastModified)) return res.status(304).end();
+    if (typeof body !== 'string') res.type('json');
+    res.status(200).send(payload);
+};
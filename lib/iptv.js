@@ -0,0 +1,73 @@
+// Renders channels and linked matches in the formats IPTV players read: an extended M3U playlist
+// and an XMLTV programme guide. Both use "channel-<id>" as the tvg-id / XMLTV channel id.
+
+// How long a match occupies its channels in the guide
+const PROGRAMME_MINUTES = 120;
+
+export const tvgId = (channel) => `channel-${channel.id}`;
+
+// M3U attributes are double-quoted and entries are single lines
+const m3uAttr = (value) => String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+const m3uText = (value) => String(value ?? '').replace(/[\r\n]+/g, ' ');
+// A line break in a stored URL would start a new playlist entry; the URL parser ignores them anyway
+const m3uUrl = (value) => String(value ?? '').replace(/[\r\n]+/g, '');
+
+/**
+ * One entry per stream URL, grouped by category (group-title). A channel with several URLs gets
+ * one entry each, suffixed with the quality, in the order given.
+ */
+export const buildM3u = (channels, { epgUrl = null } = {}) => {
+    const lines = [epgUrl ? `#EXTM3U url-tvg="${m3uAttr(epgUrl)}"` : '#EXTM3U'];
+    // Rows saved before channel validation existed may lack a category or name
+    const sorted = [...channels].sort((a, b) => (a.category || '').localeCompare(b.category || '') || (a.name || '').localeCompare(b.name || ''));
+    for (const channel of sorted) {
+        for (const { url, quality } of channel.urls) {
+            const name = channel.urls.length > 1 ? `${channel.name} (${quality})` : channel.name;
+            lines.push(`#EXTINF:-1 tvg-id="${tvgId(channel)}" tvg-name="${m3uAttr(channel.name)}" tvg-logo="${m3uAttr(channel.logo)}" group-title="${m3uAttr(channel.category)}",${m3uText(name)}`);
+            lines.push(m3uUrl(url));
+        }
+    }
+    return lines.join('\n') + '\n';
+};
+
+const xml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+
+// XMLTV timestamps: YYYYMMDDhhmmss +0000
+const xmltvTime = (date) => `${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)} +0000`;
+
+/**
+ * Every channel, plus one programme per (match, linked channel), timed from kickoffTime.
+ * Matches linked to channels that are not in `channels` are skipped on those channels.
+ */
+export const buildXmltv = (channels, matches) => {
+    const known = new Map(channels.map(ch => [String(ch.id), ch]));
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+        '<tv generator-info-name="football-app-express">'
+    ];
+    for (const channel of channels) {
+        lines.push(`  <channel id="${xml(tvgId(channel))}">`);
+        lines.push(`    <display-name>${xml(channel.name)}</display-name>`);
+        if (channel.logo) lines.push(`    <icon src="${xml(channel.logo)}" />`);
+        lines.push('  </channel>');
+    }
+    for (const match of matches) {
+        const start = new Date(match.kickoffTime);
+        const stop = new Date(start.getTime() + PROGRAMME_MINUTES * 60000);
+        for (const channelId of match.broadcastChannels || []) {
+            const channel = known.get(String(channelId));
+            if (!channel) continue;
+            lines.push(`  <programme start="${xmltvTime(start)}" stop="${xmltvTime(stop)}" channel="${xml(tvgId(channel))}">`);
+            lines.push(`    <title>${xml(match.overrides?.title || `${match.homeTeam.name} vs ${match.awayTeam.name}`)}</title>`);
+            lines.push(`    <sub-title>${xml(match.competition.name)}</sub-title>`);
+            lines.push(`    <desc>${xml(`${match.competition.name}${match.competition.country ? ` (${match.competition.country})` : ''}: ${match.homeTeam.name} vs ${match.awayTeam.name}`)}</desc>`);
+            lines.push('    <category>Sports</category>');
+            lines.push('    <category>Football</category>');
+            if (match.competition.logo) lines.push(`    <icon src="${xml(match.competition.logo)}" />`);
+            lines.push('  </programme>');
+        }
+    }
+    lines.push('</tv>');
+    return lines.join('\n') + '\n';
+};
@@ -0,0 +1,92 @@
+import { storage } from "./storage/index.js";
+import { matchEvents, publishEvents } from "./webhooks.js";
+
+export const TEAM_SIDES = ['any', 'home', 'away'];
+
+// Only fixtures that have not kicked off get their links recomputed
+const AUTO_LINK_STATUSES = ['TBD', 'NS'];
+
+// How far ahead previews and "apply now" look
+export const UPCOMING_DAYS = 14;
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+// Channel ids deduplicated by value, so 3 and "3" count once
+const uniqueIds = (ids) => [...new Map(ids.map(id => [String(id), id])).values()];
+const sameLinks = (a = [], b = []) => a.length === b.length && a.every((id, i) => String(id) === String(b[i]));
+
+// True when the match fits every scope the rule sets; unset scopes match anything
+export const ruleApplies = (rule, match) => {
+    if (rule.league_id != null && Number(rule.league_id) !== Number(match.competition.id)) return false;
+    if (rule.country && !sameText(rule.country, match.competition.country)) return false;
+    if (rule.team) {
+        const side = rule.team_side || 'any';
+        const teams = side === 'home' ? [match.homeTeam] : side === 'away' ? [match.awayTeam] : [match.homeTeam, match.awayTeam];
+        if (!teams.some(team => sameText(rule.team, team.name))) return false;
+    }
+    if (rule.date_from && match.matchDate < rule.date_from) return false;
+    if (rule.date_to && match.matchDate > rule.date_to) return false;
+    return true;
+};
+
+// The league's default channels plus those of every rule that applies
+export const automaticChannels = (match, league, rules) => uniqueIds([
+    ...(league?.default_channels || []),
+    ...rules.filter(rule => ruleApplies(rule, match)).flatMap(rule => rule.channel_ids)
+]);
+
+/**
+ * Links a synced fixture should carry. Hand-set links are kept as they are, and so are the links of
+ * fixtures that have started; everything else follows the league defaults and the rules.
+ */
+export const resolveLinks = (match, existing, league, rules) => {
+    if (existing && (existing.linkedManually || !AUTO_LINK_STATUSES.includes(match.status))) return existing.broadcastChannels || [];
+    return automaticChannels(match, league, rules);
+};
+
+// Links for a match created outside sync, from its league's defaults and the enabled rules
+export const initialLinks = async (match) => {
+    const [rules, league] = await Promise.all([
+        storage.linkRules.listEnabled(),
+        match.competition.id ? storage.leagues.get(match.competition.id) : null
+    ]);
+    return automaticChannels(match, league, rules);
+};
+
+const fetchUpcomingMatches = async (days) => {
+    const now = new Date();
+    const matches = await storage.matches.list({ from: now.toISOString(), to: new Date(now.getTime() + days * 864e5).toISOString() });
+    return matches.filter(m => AUTO_LINK_STATUSES.includes(m.status));
+};
+
+// Upcoming fixtures the (possibly unsaved) rule applies to, with the channels it would add to each
+export const previewRule = async (rule, { days = UPCOMING_DAYS } = {}) => {
+    const matches = await fetchUpcomingMatches(days);
+    return matches.filter(m => ruleApplies(rule, m)).map(m => {
+        const linked = new Set((m.broadcastChannels || []).map(String));
+        return {
+            matchId: m.matchId, kickoffTime: m.kickoffTime, matchDate: m.matchDate,
+            homeTeam: m.homeTeam.name, awayTeam: m.awayTeam.name, competition: m.competition.name,
+            linkedManually: !!m.linkedManually,
+            addedChannels: m.linkedManually ? [] : (rule.channel_ids || []).filter(id => !linked.has(String(id)))
+        };
+    });
+};
+
+// Recomputes the links of stored upcoming fixtures now, instead of waiting for them to be synced again
+export const applyRulesToUpcoming = async ({ days = UPCOMING_DAYS } = {}) => {
+    const [matches, rules, leagues] = await Promise.all([fetchUpcomingMatches(days), storage.linkRules.listEnabled(), storage.leagues.list()]);
+    const leaguesById = new Map(leagues.map(l => [Number(l.id), l]));
+    let updated = 0;
+    const events = [];
+    for (const match of matches) {
+        if (match.linkedManually) continue;
+        const links = automaticChannels(match, leaguesById.get(Number(match.competition.id)), rules);
+        if (sameLinks(links, match.broadcastChannels)) continue;
+        const data = await storage.matches.update(match.matchId, { broadcastChannels: links });
+        events.push(...matchEvents(match, data));
+        updated++;
+    }
+    await publishEvents(events);
+    return { checked: matches.length, updated };
+};
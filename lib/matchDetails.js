@@ -0,0 +1,31 @@
+import { availableRequests, describeQuotaShortage, getQuotaStatus, quotaError } from "./apiQuota.js";
+import { isManualMatch } from "./matchOverrides.js";
+import { createProvider } from "./providers/index.js";
+import { storage } from "./storage/index.js";
+import { DEFAULT_TIMEZONE } from "./time.js";
+
+// Events (goals and cards) and line-ups of a single match. They cost provider requests, so they are
+// fetched only when asked for and kept in match_details until the next refresh.
+
+// Requests one refresh makes (events, line-ups)
+const REQUESTS_PER_REFRESH = 2;
+
+// Selected by FOOTBALL_PROVIDER, like the sync's
+const provider = createProvider({ timezone: DEFAULT_TIMEZONE });
+
+export const getMatchDetails = (matchId) => storage.matchDetails.get(matchId);
+
+/**
+ * Fetches and stores the match's events and line-ups. Manual matches have none to fetch; callers
+ * check isManualMatch first. Throws a quota error (see lib/apiQuota.js) when the budget is spent.
+ */
+export const refreshMatchDetails = async (match) => {
+    if (isManualMatch(match)) throw new Error('Manual matches have no provider details.');
+    if (await availableRequests({ trigger: 'manual' }) < REQUESTS_PER_REFRESH) {
+        const quota = await getQuotaStatus();
+        const code = quota.blockedReason || (quota.minuteRemaining !== null && quota.minuteRemaining < REQUESTS_PER_REFRESH ? 'RATE_LIMITED' : 'QUOTA_EXHAUSTED');
+        throw quotaError(code, await describeQuotaShortage());
+    }
+    const { events, lineups } = await provider.fetchMatchDetails(match.matchId);
+    return storage.matchDetails.upsert({ matchId: match.matchId, events, lineups, fetched_at: new Date().toISOString() });
+};
@@ -0,0 +1,68 @@
+import crypto from "crypto";
+import { localDate } from "./time.js";
+
+// Admin-owned match data that sync never writes: per-match overrides, and matches created by hand.
+//
+// Overrides live in matches.overrides as { title, hidden, featured, kickoffTime }. A kickoff override
+// is also written to kickoffTime/matchDate, so date filters see the corrected time; the provider's
+// own value is kept in providerKickoffTime and restored when the override is cleared.
+
+export const OVERRIDE_FIELDS = ['title', 'hidden', 'featured', 'kickoffTime'];
+
+export const MANUAL_SOURCE = 'manual';
+
+// Statuses a manual match can be given, with API-Football's long names
+export const MANUAL_STATUS_TEXTS = {
+    NS: 'Not Started', '1H': 'First Half, Kick Off', HT: 'Halftime', '2H': 'Second Half, 2nd Half Started',
+    ET: 'Extra Time', P: 'Penalty In Progress', FT: 'Match Finished', AET: 'Match Finished After Extra Time',
+    PEN: 'Match Finished After Penalty', PST: 'Match Postponed', CANC: 'Match Cancelled', ABD: 'Match Abandoned'
+};
+
+export const isManualMatch = (match) => match?.source === MANUAL_SOURCE;
+
+export const isHiddenMatch = (match) => !!match.overrides?.hidden;
+
+const withKickoff = (match, kickoffTime, timezone) => ({ ...match, kickoffTime, matchDate: localDate(kickoffTime, timezone) });
+
+/**
+ * A freshly synced fixture with the stored row's overrides carried over. The provider's kickoff is
+ * always recorded in providerKickoffTime; kickoffTime follows the override when there is one.
+ */
+export const mergeSyncedMatch = (synced, existing, timezone) => {
+    const overrides = existing?.overrides || {};
+    const merged = { ...synced, providerKickoffTime: synced.kickoffTime };
+    return overrides.kickoffTime ? withKickoff(merged, overrides.kickoffTime, timezone) : merged;
+};
+
+/**
+ * Row changes that apply `changes` (validated override fields, null clearing one) to a stored match.
+ * Cleared fields are dropped from the overrides object rather than stored as null.
+ */
+export const overrideChanges = (match, changes, timezone) => {
+    const overrides = { ...(match.overrides || {}) };
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) delete overrides[field];
+        else overrides[field] = field === 'kickoffTime' ? new Date(value).toISOString() : value;
+    }
+    const row = { overrides };
+    if ('kickoffTime' in changes && !isManualMatch(match)) {
+        // Rows synced before providerKickoffTime existed still hold the provider's time in kickoffTime
+        const providerKickoffTime = match.providerKickoffTime || (match.overrides?.kickoffTime ? null : match.kickoffTime);
+        if (providerKickoffTime) row.providerKickoffTime = providerKickoffTime;
+        Object.assign(row, withKickoff({}, overrides.kickoffTime || providerKickoffTime || match.kickoffTime, timezone));
+    }
+    return row;
+};
+
+// A manual match row from validated input; `existing` is the stored row when updating
+export const toManualMatch = (input, existing, timezone) => {
+    const base = existing || {
+        matchId: `${MANUAL_SOURCE}-${crypto.randomUUID()}`, externalId: null, source: MANUAL_SOURCE,
+        status: 'NS', broadcastChannels: [], linkedManually: false, overrides: {}, providerKickoffTime: null
+    };
+    const match = { ...base, ...input, lastUpdated: new Date().toISOString() };
+    for (const team of ['homeTeam', 'awayTeam']) match[team] = { logo: null, goals: null, ...match[team] };
+    match.competition = { id: null, logo: null, country: null, ...match.competition };
+    match.statusText = MANUAL_STATUS_TEXTS[match.status];
+    return withKickoff(match, new Date(match.kickoffTime).toISOString(), timezone);
+};
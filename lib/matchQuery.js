@@ -0,0 +1,90 @@
+import { FINAL_STATUSES, LIVE_STATUSES, UPCOMING_STATUSES } from "../sync.js";
+import { storage } from "./storage/index.js";
+import { isCalendarDate, localDayRange } from "./time.js";
+
+// Query-string filters and cursor pagination for the admin match list (GET /api/matches)
+
+export const STATUS_GROUPS = { live: LIVE_STATUSES, upcoming: UPCOMING_STATUSES, finished: FINAL_STATUSES };
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Cursors are opaque to clients: the (kickoffTime, matchId) of the last row served
+const encodeCursor = (match) => Buffer.from(JSON.stringify([match.kickoffTime, match.matchId])).toString('base64url');
+
+// Cursor values end up inside a PostgREST filter string, so only plain timestamps and ids get through
+const CURSOR_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const CURSOR_ID = /^[\w-]+$/;
+
+const decodeCursor = (cursor) => {
+    try {
+        const [kickoffTime, matchId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        const valid = typeof kickoffTime === 'string' && CURSOR_TIME.test(kickoffTime) && !isNaN(new Date(kickoffTime))
+            && (typeof matchId === 'string' || typeof matchId === 'number') && CURSOR_ID.test(String(matchId));
+        return valid ? { kickoffTime, matchId } : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Turns GET /api/matches query parameters into storage filters. Days (date, from, to) are calendar
+ * days in `tz`, `to` inclusive. Returns { filters, errors } with errors in the validation format.
+ */
+export const parseMatchQuery = (query, tz) => {
+    const errors = [];
+    const filters = { limit: DEFAULT_PAGE_SIZE };
+
+    if (query.date && (query.from || query.to)) errors.push({ field: 'date', message: 'Send either "date" or "from"/"to", not both.' });
+    for (const field of ['date', 'from', 'to']) {
+        if (query[field] && !isCalendarDate(query[field])) errors.push({ field, message: 'Must be a date in YYYY-MM-DD format.' });
+    }
+    if (query.from && query.to && query.to < query.from) errors.push({ field: 'to', message: 'Must not be before "from".' });
+    if (!errors.length) {
+        const first = query.date || query.from;
+        const last = query.date || query.to;
+        if (first) filters.from = localDayRange(first, tz).start;
+        if (last) filters.to = localDayRange(last, tz).end;
+    }
+
+    if (query.league) {
+        const ids = list(query.league);
+        if (ids.some(id => !/^\d+$/.test(id))) errors.push({ field: 'league', message: 'Must be a league ID or a comma-separated list of them.' });
+        else filters.leagueIds = ids.map(Number);
+    }
+    if (query.status) {
+        const groups = list(query.status);
+        const unknown = groups.filter(group => !STATUS_GROUPS[group]);
+        if (unknown.length) errors.push({ field: 'status', message: `Must be one or more of: ${Object.keys(STATUS_GROUPS).join(', ')}.` });
+        else filters.statuses = groups.flatMap(group => STATUS_GROUPS[group]);
+    }
+    if (query.team !== undefined) {
+        const team = String(query.team).trim();
+        if (team.length < 2 || team.length > 100) errors.push({ field: 'team', message: 'Must be between 2 and 100 characters.' });
+        else filters.team = team;
+    }
+    if (query.hasChannels !== undefined) {
+        if (query.hasChannels !== 'true' && query.hasChannels !== 'false') errors.push({ field: 'hasChannels', message: 'Must be true or false.' });
+        else filters.hasChannels = query.hasChannels === 'true';
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) errors.push({ field: 'limit', message: `Must be between 1 and ${MAX_PAGE_SIZE}.` });
+        else filters.limit = limit;
+    }
+    if (query.cursor) {
+        const after = decodeCursor(String(query.cursor));
+        if (!after) errors.push({ field: 'cursor', message: 'Is not a valid cursor.' });
+        else filters.after = after;
+    }
+    return { filters, errors };
+};
+
+// One page of matches ordered by kickoff; nextCursor is null on the last page
+export const listMatchesPage = async ({ limit, ...filters }) => {
+    const rows = await storage.matches.search({ ...filters, limit: limit + 1 });
+    const matches = rows.slice(0, limit);
+    return { matches, nextCursor: rows.length > limit ? encodeCursor(matches[matches.length - 1]) : null };
+};
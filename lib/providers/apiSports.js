@@ -0,0 +1,149 @@
+import fetch from "node-fetch";
+import { isQuotaError, quotaError, recordQuota, recordQuotaBlock } from "../apiQuota.js";
+import { localDate } from "../time.js";
+
+const CONFIG = {
+    API_BASE_URL: 'https://v3.football.api-sports.io',
+    REQUEST_TIMEOUT: 25000,
+    RATE_LIMIT_DELAY: 600,
+    MAX_RETRIES: 3,
+    // API-Football accepts at most 20 ids per /fixtures?ids= request
+    MAX_IDS_PER_REQUEST: 20
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// API-Football may also report limits with 200 and an error in the body: `requests` for the daily
+// plan, `rateLimit` for the per-minute one
+const bodyQuotaErrorCode = (errors) => {
+    if (!errors || Array.isArray(errors) || typeof errors !== 'object') return null;
+    if ('requests' in errors) return 'QUOTA_EXHAUSTED';
+    if ('rateLimit' in errors) return 'RATE_LIMITED';
+    return null;
+};
+
+// Timeouts, network failures and 5xx are worth another attempt; other 4xx and quota errors are not
+const isRetryable = (error) => !isQuotaError(error) && !(error.status >= 400 && error.status < 500);
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+const toScore = (score) => score && (score.home !== null || score.away !== null) ? { home: score.home, away: score.away } : null;
+
+// Maps one API-Football fixture to our match shape; matchDate is the kickoff's calendar day in `timezone`
+export const transformFixtureData = (fixture, timezone) => {
+    try {
+        const { fixture: { id, date, status, venue, referee }, teams: { home, away }, goals, league, score } = fixture;
+        if (!id || !date || !home?.name || !away?.name || !league?.name) return null;
+        return {
+            matchId: id.toString(), externalId: id, kickoffTime: new Date(date).toISOString(),
+            matchDate: localDate(date, timezone),
+            status: status.short || 'NS', statusText: status.long || 'Not Started', elapsed: status.elapsed ?? null,
+            homeTeam: { name: home.name, logo: home.logo, goals: goals.home },
+            awayTeam: { name: away.name, logo: away.logo, goals: goals.away },
+            competition: { id: league.id, name: league.name, logo: league.logo, country: league.country },
+            round: league.round || null,
+            venue: venue?.name ? { name: venue.name, city: venue.city || null } : null,
+            referee: referee || null,
+            // Scores by period, each { home, away } or null until it applies
+            score: { halftime: toScore(score?.halftime), extratime: toScore(score?.extratime), penalty: toScore(score?.penalty) },
+            broadcastChannels: [], lastUpdated: new Date().toISOString(), syncedAt: new Date().toISOString()
+        };
+    } catch (error) {
+        console.error(`Failed to transform fixture ID ${fixture?.fixture?.id}:`, error);
+        return null;
+    }
+};
+
+// Goals and cards from /fixtures/events, in match order
+export const transformFixtureEvents = (events) => events
+    .filter(e => e.type === 'Goal' || e.type === 'Card')
+    .map(e => ({
+        minute: e.time?.elapsed ?? null, extra: e.time?.extra ?? null,
+        type: e.type === 'Goal' ? 'goal' : 'card', detail: e.detail || null,
+        teamId: e.team?.id ?? null, team: e.team?.name || null,
+        player: e.player?.name || null, assist: e.assist?.name || null
+    }));
+
+// Both teams' line-ups from /fixtures/lineups
+export const transformFixtureLineups = (lineups) => lineups.map(l => {
+    const toPlayer = ({ player }) => ({ name: player.name, number: player.number ?? null, position: player.pos || null });
+    return {
+        teamId: l.team?.id ?? null, team: l.team?.name || null, logo: l.team?.logo || null,
+        formation: l.formation || null, coach: l.coach?.name || null,
+        startXI: (l.startXI || []).map(toPlayer), substitutes: (l.substitutes || []).map(toPlayer)
+    };
+});
+
+export const createApiSportsProvider = ({ apiKey = process.env.API_FOOTBALL_KEY, timezone }) => {
+    // `run` (optional) is the current sync run record; every attempt counts towards its apiCalls.
+    // Every response's quota headers are recorded (see lib/apiQuota.js). A 429 or an exhausted daily
+    // plan is not retried: it blocks further requests and surfaces as a RATE_LIMITED / QUOTA_EXHAUSTED error.
+    const makeApiRequest = async (url, run = null, retryCount = 0) => {
+        if (run) run.apiCalls++;
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+            const response = await fetch(url, {
+                headers: { 'x-apisports-key': apiKey },
+                signal: controller.signal
+            });
+            clearTimeout(timeoutId);
+            await recordQuota(response.headers);
+            if (response.status === 429) {
+                await recordQuotaBlock('RATE_LIMITED');
+                throw quotaError('RATE_LIMITED', 'API-Football rate limit reached (HTTP 429).');
+            }
+            if (!response.ok) throw Object.assign(new Error(`HTTP Error: ${response.status}`), { status: response.status });
+            const data = await response.json();
+            const code = bodyQuotaErrorCode(data.errors);
+            if (code) {
+                await recordQuotaBlock(code);
+                throw quotaError(code, `API-Football: ${data.errors.requests || data.errors.rateLimit}`);
+            }
+            if (data.errors && Object.keys(data.errors).length > 0) {
+                console.warn(`API returned errors:`, data.errors);
+            }
+            return data.response || [];
+        } catch (error) {
+            if (isRetryable(error) && retryCount < CONFIG.MAX_RETRIES - 1) {
+                const backoff = CONFIG.RATE_LIMIT_DELAY * Math.pow(2, retryCount);
+                await delay(backoff);
+                return makeApiRequest(url, run, retryCount + 1);
+            }
+            console.error(`Failed API request to ${url} after ${retryCount + 1} attempt(s).`, error);
+            throw error;
+        }
+    };
+
+    const toMatch = (fixture) => transformFixtureData(fixture, timezone);
+
+    const fetchMatches = async (query, run) => {
+        const fixtures = await makeApiRequest(`${CONFIG.API_BASE_URL}/fixtures?${query}`, run);
+        if (!Array.isArray(fixtures)) return [];
+        return fixtures.map(toMatch).filter(Boolean);
+    };
+
+    const tz = encodeURIComponent(timezone);
+
+    return {
+        name: 'api-sports',
+        toMatch,
+        // With `timezone`, the provider treats `date` as a local calendar day in that zone
+        fetchMatchesByDate: (date, run) => fetchMatches(`date=${date}&timezone=${tz}`, run),
+        fetchMatchesBySeason: (leagueId, season, run) => fetchMatches(`league=${leagueId}&season=${season}&timezone=${tz}`, run),
+        fetchLiveMatches: (run) => fetchMatches(`live=all&timezone=${tz}`, run),
+        fetchMatchesByIds: async (ids, run) => {
+            const matches = [];
+            for (const batch of chunk(ids, CONFIG.MAX_IDS_PER_REQUEST)) {
+                matches.push(...await fetchMatches(`ids=${batch.join('-')}&timezone=${tz}`, run));
+            }
+            return matches;
+        },
+        // Two requests: events and line-ups
+        fetchMatchDetails: async (matchId, run) => {
+            const events = await makeApiRequest(`${CONFIG.API_BASE_URL}/fixtures/events?fixture=${matchId}`, run);
+            const lineups = await makeApiRequest(`${CONFIG.API_BASE_URL}/fixtures/lineups?fixture=${matchId}`, run);
+            return { events: transformFixtureEvents(events), lineups: transformFixtureLineups(lineups) };
+        }
+    };
+};
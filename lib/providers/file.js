@@ -0,0 +1,53 @@
+import { readFile, readdir } from "fs/promises";
+import path from "path";
+import { transformFixtureData, transformFixtureEvents, transformFixtureLineups } from "./apiSports.js";
+
+/**
+ * Offline provider that reads recorded API-Football responses from disk, for development and tests.
+ * Layout of `dir`:
+ *   YYYY-MM-DD.json              fixtures on that day
+ *   live.json                    fixtures currently in play
+ *   season-<league>-<season>.json
+ *   events-<fixture>.json        /fixtures/events of one fixture
+ *   lineups-<fixture>.json       /fixtures/lineups of one fixture
+ * Each file holds an API-Football response body ({ response: [...] }) or a bare array of fixtures.
+ * A missing file means "no fixtures".
+ */
+export const createFileProvider = ({ dir = process.env.FIXTURES_DIR || 'fixtures', timezone }) => {
+    const readFixtures = async (fileName) => {
+        try {
+            const body = JSON.parse(await readFile(path.join(dir, fileName), 'utf8'));
+            return Array.isArray(body) ? body : body.response || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    };
+
+    const toMatch = (fixture) => transformFixtureData(fixture, timezone);
+    const load = async (fileName) => (await readFixtures(fileName)).map(toMatch).filter(Boolean);
+
+    return {
+        name: 'file',
+        toMatch,
+        fetchMatchesByDate: (date) => load(`${date}.json`),
+        fetchMatchesBySeason: (leagueId, season) => load(`season-${leagueId}-${season}.json`),
+        fetchLiveMatches: () => load('live.json'),
+        // Live data wins over day files, so a fixture that is "in play" in live.json reads as such
+        fetchMatchesByIds: async (ids) => {
+            const wanted = new Set(ids.map(String));
+            const files = (await readdir(dir).catch(() => [])).filter(f => /^(\d{4}-\d{2}-\d{2}|season-.+)\.json$/.test(f));
+            const found = new Map();
+            for (const fileName of ['live.json', ...files]) {
+                for (const match of await load(fileName)) {
+                    if (wanted.has(match.matchId) && !found.has(match.matchId)) found.set(match.matchId, match);
+                }
+            }
+            return [...found.values()];
+        },
+        fetchMatchDetails: async (matchId) => ({
+            events: transformFixtureEvents(await readFixtures(`events-${matchId}.json`)),
+            lineups: transformFixtureLineups(await readFixtures(`lineups-${matchId}.json`))
+        })
+    };
+};
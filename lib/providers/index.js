@@ -0,0 +1,61 @@
+import { createApiSportsProvider } from "./apiSports.js";
+import { createFileProvider } from "./file.js";
+
+/**
+ * A football data provider. Every fetch method resolves to matches in our shape (the output of
+ * `toMatch`) and accepts an optional `run`, the current sync run, to count upstream requests against.
+ *
+ *   name
+ *   toMatch(fixture)                              one provider fixture -> match, or null if unusable
+ *   fetchMatchesByDate(date, run)                 fixtures on a local calendar day (YYYY-MM-DD)
+ *   fetchMatchesBySeason(leagueId, season, run)   a league's whole season
+ *   fetchLiveMatches(run)                         fixtures currently in play
+ *   fetchMatchesByIds(ids, run)                   fixtures by id (e.g. to settle ones that just ended)
+ *   fetchMatchDetails(matchId, run)               { events (goals and cards), lineups } of one fixture
+ *
+ * Match ids are API-Football fixture ids, which every provider must use so links survive a switch.
+ */
+
+const FACTORIES = {
+    'api-sports': createApiSportsProvider,
+    'file': createFileProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(FACTORIES);
+
+// Tries each provider in order and returns the first successful answer
+const createFallbackProvider = (providers) => {
+    const attempt = (method) => async (...args) => {
+        let lastError;
+        for (const provider of providers) {
+            try {
+                return await provider[method](...args);
+            } catch (error) {
+                lastError = error;
+                console.warn(`Provider "${provider.name}" failed on ${method}, trying the next one:`, error.message);
+            }
+        }
+        throw lastError;
+    };
+    return {
+        name: providers.map(p => p.name).join(','),
+        toMatch: providers[0].toMatch,
+        fetchMatchesByDate: attempt('fetchMatchesByDate'),
+        fetchMatchesBySeason: attempt('fetchMatchesBySeason'),
+        fetchLiveMatches: attempt('fetchLiveMatches'),
+        fetchMatchesByIds: attempt('fetchMatchesByIds'),
+        fetchMatchDetails: attempt('fetchMatchDetails')
+    };
+};
+
+/**
+ * Builds the provider named by FOOTBALL_PROVIDER (default "api-sports").
+ * A comma-separated list, e.g. "api-sports,file", is a fallback chain tried in order.
+ */
+export const createProvider = ({ names = process.env.FOOTBALL_PROVIDER || 'api-sports', timezone }) => {
+    const providers = names.split(',').map(n => n.trim()).filter(Boolean).map(name => {
+        if (!FACTORIES[name]) throw new Error(`Unknown football provider "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}.`);
+        return FACTORIES[name]({ timezone });
+    });
+    return providers.length === 1 ? providers[0] : createFallbackProvider(providers);
+};
@@ -0,0 +1,97 @@
+import { FINAL_STATUSES, withSyncLock } from "../sync.js";
+import { storage } from "./storage/index.js";
+
+// Removes old fixtures from the matches table, either into matches_archive or for good
+
+export const RETENTION_MODES = ['archive', 'delete'];
+
+const DAYS = Number(process.env.MATCH_RETENTION_DAYS) || 30;
+
+const CONFIG = {
+    MODE: RETENTION_MODES.includes(process.env.MATCH_RETENTION_MODE) ? process.env.MATCH_RETENTION_MODE : 'archive',
+    DAYS,
+    // Finished matches with linked channels are kept at least as long as the rest
+    LINKED_DAYS: Math.max(Number(process.env.MATCH_RETENTION_LINKED_DAYS) || 180, DAYS),
+    // Matches listed individually in a preview; the counts always cover everything
+    PREVIEW_LIMIT: 200,
+    // Matches archived or deleted per storage call during a run
+    BATCH_SIZE: 200
+};
+
+const toPreviewMatch = (match) => ({
+    matchId: match.matchId,
+    kickoffTime: match.kickoffTime,
+    status: match.status,
+    homeTeam: match.homeTeam.name,
+    awayTeam: match.awayTeam.name,
+    competition: match.competition.name,
+    linked: (match.broadcastChannels || []).length > 0
+});
+
+/**
+ * Which matches a retention run removes: those that kicked off more than DAYS ago, except finished
+ * matches with channel links, which stay until LINKED_DAYS have passed. Storage applies it as a
+ * filter (matches.countExpired / listExpired), so no run or preview loads the whole table.
+ */
+const expiryCriteria = (now = new Date()) => ({
+    cutoff: new Date(now.getTime() - CONFIG.DAYS * 864e5).toISOString(),
+    linkedCutoff: new Date(now.getTime() - CONFIG.LINKED_DAYS * 864e5).toISOString(),
+    finalStatuses: FINAL_STATUSES
+});
+
+// What a run would do right now, without changing anything
+export const previewRetention = async () => {
+    const criteria = expiryCriteria();
+    const [total, older, expired] = await Promise.all([
+        storage.matches.countExpired(criteria),
+        storage.matches.countBefore(criteria.cutoff),
+        storage.matches.listExpired(criteria, CONFIG.PREVIEW_LIMIT)
+    ]);
+    return {
+        mode: CONFIG.MODE,
+        days: CONFIG.DAYS,
+        linkedDays: CONFIG.LINKED_DAYS,
+        cutoff: criteria.cutoff,
+        linkedCutoff: criteria.linkedCutoff,
+        total,
+        kept: older - total,
+        matches: expired.map(toPreviewMatch)
+    };
+};
+
+/**
+ * Archives or deletes the expired matches. Runs under the sync lock, so it never overlaps a sync,
+ * and is recorded in sync_runs with kind "retention" (removed matches count as dropped).
+ */
+export const runRetention = ({ trigger = 'manual', triggeredBy = null } = {}) => withSyncLock('retention', { trigger, triggeredBy }, async (run) => {
+    const startedAt = Date.now();
+    try {
+        // Fixed at the start, so matches that expire while the run goes on wait for the next one
+        const criteria = expiryCriteria();
+        const removed = new Set();
+        const dates = new Set();
+        for (;;) {
+            const batch = await storage.matches.listExpired(criteria, CONFIG.BATCH_SIZE);
+            if (batch.length === 0) break;
+            const ids = batch.map(m => m.matchId);
+            // A batch that comes back again was not removed; stop rather than loop on it
+            if (ids.some(id => removed.has(String(id)))) throw new Error('Expired matches were not removed.');
+            if (CONFIG.MODE === 'archive') await storage.matches.archive(ids);
+            else await storage.matches.removeMany(ids);
+            ids.forEach(id => removed.add(String(id)));
+            batch.forEach(m => dates.add(m.matchDate));
+            if (batch.length < CONFIG.BATCH_SIZE) break;
+        }
+        run.counts.dropped = removed.size;
+        run.dates = [...dates].sort();
+        const verb = CONFIG.MODE === 'archive' ? 'Archived' : 'Deleted';
+        return {
+            success: true,
+            message: `${verb} ${removed.size} match(es) older than ${CONFIG.DAYS} days.`,
+            stats: { mode: CONFIG.MODE, removed: removed.size, duration: Date.now() - startedAt }
+        };
+    } catch (error) {
+        console.error('Retention error:', error);
+        return { success: false, message: 'Error during retention run.', error: error.message };
+    }
+});
@@ -0,0 +1,48 @@
+import { createMemoryStorage } from "./memory.js";
+import { createSupabaseStorage } from "./supabase.js";
+
+/**
+ * The app's data access, one repository per table. Every method is async and throws on failure;
+ * lookups of a single row resolve to null when it does not exist.
+ *
+ *   matches       list({ from, to }), search({ from, to, leagueIds, statuses, team, hasChannels, after, limit }),
+ *                 get, findByIds, findByDates, findByStatuses,
+ *                 hasUnfinishedBetween(start, end, finalStatuses), countBefore(to),
+ *                 countExpired(criteria), listExpired(criteria, limit) (oldest first; criteria is
+ *                 { cutoff, linkedCutoff, finalStatuses }: kicked off before cutoff, except finished
+ *                 matches with channel links that kicked off after linkedCutoff), create, upsertMany, update,
+ *                 archive(matchIds) (moves them to matches_archive), removeMany(matchIds)
+ *   matchDetails  get(matchId), upsert (events and line-ups of one match)
+ *   channels      list, get, findByIds, create, update, applyImport({ creates, updates }), remove
+ *   leagues       list, listEnabled, get, create, update, upsertMany, remove
+ *   syncMetadata  get, update, acquireLock({ owner, until, now }),
+ *                 renewLock({ owner, until }), releaseLock(owner)
+ *   syncRuns      create, update, list({ limit, kind, trigger, failed }), latestFailure
+ *   adminUsers    list, get, findByUsername, create, update, upsertByUsername, remove
+ *   sessions      create, findByTokenHash (session with its owner as `user`), revoke, revokeForUser
+ *   linkRules     list, listEnabled, get, create, update, remove
+ *   streamChecks  findByChannelIds, replaceForChannel(channelId, rows), removeForChannel
+ *   webhooks      list, listEnabled, get, findByIds, create, update, remove
+ *   webhookDeliveries
+ *                 createMany, get, update, claimDue({ now, until, limit }) (marks due ones as taken),
+ *                 list({ webhookId, status, eventType, before, limit })
+ *   auditLog      insert, list({ actor, entityType, entityId, method, from, to, before, limit })
+ *
+ * Rows keep the column names of the Supabase schema (see supabase/migrations).
+ */
+
+const FACTORIES = {
+    'supabase': createSupabaseStorage,
+    'memory': createMemoryStorage
+};
+
+export const STORAGE_BACKENDS = Object.keys(FACTORIES);
+
+// Builds the backend named by STORAGE_BACKEND (default "supabase")
+export const createStorage = ({ backend = process.env.STORAGE_BACKEND || 'supabase' } = {}) => {
+    if (!FACTORIES[backend]) throw new Error(`Unknown storage backend "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}.`);
+    return FACTORIES[backend]();
+};
+
+// Shared by the API, sync and auth modules so they all see the same data
+export const storage = createStorage();
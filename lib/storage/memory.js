@@ -0,0 +1,344 @@
+import { readFileSync } from "fs";
+
+const clone = (value) => value === undefined ? null : structuredClone(value);
+const time = (value) => new Date(value).getTime();
+const now = () => new Date().toISOString();
+
+// Ids arrive as numbers from the app and as strings from route params
+const sameId = (a, b) => String(a) === String(b);
+
+const byField = (field, direction = 1) => (a, b) => {
+    const x = a[field], y = b[field];
+    const order = typeof x === 'string' && typeof y === 'string' ? x.localeCompare(y) : (x > y) - (x < y);
+    return order * direction;
+};
+const byTime = (field, direction = 1) => (a, b) => (time(a[field]) - time(b[field])) * direction;
+
+// Numeric ids sort as numbers, like the integer columns they come from
+const compareIds = (a, b) => {
+    const x = Number(a), y = Number(b);
+    return isNaN(x) || isNaN(y) ? String(a).localeCompare(String(b)) : x - y;
+};
+
+/**
+ * A table of plain rows keyed by `key`. Rows go in and come out as copies, so callers can never
+ * mutate stored state. `defaults()` supplies column defaults on insert, like the SQL schema does;
+ * with `autoId`, inserts get the next integer id.
+ */
+const createTable = ({ key = 'id', autoId = false, defaults = () => ({}) }, seedRows = []) => {
+    const rows = [];
+    let nextId = 1;
+
+    const insert = (row) => {
+        const stored = { ...defaults(), ...clone(row) };
+        if (autoId && stored[key] === undefined) stored[key] = nextId;
+        if (rows.some(r => sameId(r[key], stored[key]))) throw new Error(`Duplicate key ${key}=${stored[key]}.`);
+        if (autoId) nextId = Math.max(nextId, Number(stored[key]) + 1);
+        rows.push(stored);
+        return clone(stored);
+    };
+
+    const updateWhere = (predicate, changes) => rows.filter(predicate).map(row => clone(Object.assign(row, clone(changes))));
+
+    seedRows.forEach(insert);
+
+    return {
+        insert,
+        all: () => rows.map(clone),
+        where: (predicate) => rows.filter(predicate).map(clone),
+        find: (id) => clone(rows.find(r => sameId(r[key], id))),
+        updateWhere,
+        update: (id, changes) => updateWhere(r => sameId(r[key], id), changes)[0] ?? null,
+        // Inserts new rows and merges the given columns into existing ones
+        upsert: (row) => {
+            const existing = rows.find(r => sameId(r[key], row[key]));
+            return existing ? clone(Object.assign(existing, clone(row))) : insert(row);
+        },
+        remove: (id) => {
+            const index = rows.findIndex(r => sameId(r[key], id));
+            if (index !== -1) rows.splice(index, 1);
+        },
+        removeWhere: (predicate) => {
+            for (let i = rows.length - 1; i >= 0; i--) if (predicate(rows[i])) rows.splice(i, 1);
+        }
+    };
+};
+
+/**
+ * Process-local storage for development and tests. Nothing is persisted; state lives as long as
+ * the process. `seedFile` (STORAGE_SEED_FILE) may point at a JSON file with initial rows per table:
+ *   { "channels": [...], "leagues": [...], "link_rules": [...], "matches": [...], "admin_users": [...], "webhooks": [...] }
+ */
+export const createMemoryStorage = ({ seedFile = process.env.STORAGE_SEED_FILE } = {}) => {
+    const seed = seedFile ? JSON.parse(readFileSync(seedFile, 'utf8')) : {};
+
+    const tables = {
+        matches: createTable({
+            key: 'matchId',
+            defaults: () => ({
+                broadcastChannels: [], linkedManually: false, source: 'api', overrides: {}, providerKickoffTime: null,
+                round: null, venue: null, referee: null, score: null
+            })
+        }, seed.matches),
+        matchesArchive: createTable({ key: 'matchId' }),
+        matchDetails: createTable({ key: 'matchId' }),
+        channels: createTable({ autoId: true }, seed.channels),
+        leagues: createTable({
+            defaults: () => ({ display_name: null, country: null, logo: null, enabled: true, priority: 1000, default_channels: [], updated_at: now() })
+        }, seed.leagues),
+        syncRuns: createTable({
+            autoId: true,
+            defaults: () => ({
+                triggered_by: null, started_at: now(), finished_at: null, success: null, message: null, dates: [],
+                new_count: 0, changed_count: 0, unchanged_count: 0, dropped_count: 0, api_calls: 0, errors: [], duration_ms: null
+            })
+        }),
+        adminUsers: createTable({ autoId: true, defaults: () => ({ disabled: false, created_at: now() }) }, seed.admin_users),
+        sessions: createTable({ autoId: true, defaults: () => ({ created_at: now(), revoked_at: null }) }),
+        linkRules: createTable({
+            autoId: true,
+            defaults: () => ({ enabled: true, league_id: null, team: null, team_side: 'any', country: null, date_from: null, date_to: null, channel_ids: [], created_at: now(), updated_at: now() })
+        }, seed.link_rules),
+        streamChecks: createTable({ autoId: true }),
+        webhooks: createTable({ autoId: true, defaults: () => ({ enabled: true, events: [], created_at: now(), updated_at: now() }) }, seed.webhooks),
+        webhookDeliveries: createTable({
+            autoId: true,
+            defaults: () => ({
+                status: 'pending', attempts: 0, next_attempt_at: now(), last_attempt_at: null,
+                response_status: null, response_ms: null, error: null, created_at: now()
+            })
+        }),
+        auditLog: createTable({ autoId: true, defaults: () => ({ created_at: now() }) })
+    };
+    const meta = {
+        id: 1, last_successful_sync: null, last_live_sync: null, sync_lock_owner: null, sync_lock_until: null, last_stream_check: null,
+        api_daily_limit: null, api_daily_remaining: null, api_minute_limit: null, api_minute_remaining: null,
+        api_quota_updated_at: null, api_blocked_until: null, api_blocked_reason: null,
+        last_cron_run: null, last_cron_job: null
+    };
+
+    // See matches.listExpired in lib/storage/index.js
+    const isExpired = ({ cutoff, linkedCutoff, finalStatuses }) => (m) => time(m.kickoffTime) < time(cutoff)
+        && (time(m.kickoffTime) < time(linkedCutoff) || !finalStatuses.includes(m.status) || !(m.broadcastChannels || []).length);
+
+    const matches = {
+        list: async ({ from, to } = {}) => tables.matches
+            .where(m => (!from || time(m.kickoffTime) >= time(from)) && (!to || time(m.kickoffTime) < time(to)))
+            .sort(byTime('kickoffTime')),
+        // Ordered by (kickoffTime, matchId); `after` is the position of the previous page's last row
+        search: async ({ from, to, leagueIds, statuses, team, hasChannels, after, limit }) => {
+            const term = team?.toLowerCase();
+            const isAfter = (m) => time(m.kickoffTime) > time(after.kickoffTime)
+                || (time(m.kickoffTime) === time(after.kickoffTime) && compareIds(m.matchId, after.matchId) > 0);
+            return tables.matches.where(m =>
+                (!from || time(m.kickoffTime) >= time(from)) && (!to || time(m.kickoffTime) < time(to))
+                && (!leagueIds || leagueIds.includes(Number(m.competition.id)))
+                && (!statuses || statuses.includes(m.status))
+                && (!term || [m.homeTeam.name, m.awayTeam.name].some(name => name.toLowerCase().includes(term)))
+                && (hasChannels === undefined || (m.broadcastChannels.length > 0) === hasChannels)
+                && (!after || isAfter(m))
+            ).sort((a, b) => byTime('kickoffTime')(a, b) || compareIds(a.matchId, b.matchId)).slice(0, limit);
+        },
+        get: async (matchId) => tables.matches.find(matchId),
+        findByIds: async (matchIds) => tables.matches.where(m => matchIds.some(id => sameId(id, m.matchId))),
+        findByDates: async (dates) => tables.matches.where(m => dates.includes(m.matchDate)),
+        findByStatuses: async (statuses) => tables.matches.where(m => statuses.includes(m.status)),
+        hasUnfinishedBetween: async (start, end, finalStatuses) => tables.matches.where(m =>
+            time(m.kickoffTime) >= time(start) && time(m.kickoffTime) <= time(end) && !finalStatuses.includes(m.status)
+        ).length > 0,
+        countBefore: async (to) => tables.matches.where(m => time(m.kickoffTime) < time(to)).length,
+        countExpired: async (criteria) => tables.matches.where(isExpired(criteria)).length,
+        listExpired: async (criteria, limit) => tables.matches.where(isExpired(criteria)).sort(byTime('kickoffTime')).slice(0, limit),
+        create: async (match) => tables.matches.insert(match),
+        upsertMany: async (rows) => {
+            rows.forEach(tables.matches.upsert);
+        },
+        update: async (matchId, changes) => tables.matches.update(matchId, changes),
+        archive: async (matchIds) => {
+            const archivedAt = now();
+            for (const match of tables.matches.where(m => matchIds.some(id => sameId(id, m.matchId)))) {
+                tables.matchesArchive.upsert({ matchId: String(match.matchId), kickoffTime: match.kickoffTime, data: match, archived_at: archivedAt });
+                tables.matches.remove(match.matchId);
+            }
+            tables.matchDetails.removeWhere(d => matchIds.some(id => sameId(id, d.matchId)));
+        },
+        // Details go with their match
+        removeMany: async (matchIds) => {
+            tables.matches.removeWhere(m => matchIds.some(id => sameId(id, m.matchId)));
+            tables.matchDetails.removeWhere(d => matchIds.some(id => sameId(id, d.matchId)));
+        }
+    };
+
+    const matchDetails = {
+        get: async (matchId) => tables.matchDetails.find(matchId),
+        upsert: async (row) => tables.matchDetails.upsert(row)
+    };
+
+    const channels = {
+        list: async () => tables.channels.all().sort(byField('name')),
+        get: async (id) => tables.channels.find(id),
+        findByIds: async (ids) => tables.channels.where(ch => ids.some(id => sameId(id, ch.id))),
+        create: async (channel) => tables.channels.insert(channel),
+        update: async (id, changes) => tables.channels.update(id, changes),
+        // Synchronous throughout, so no other request can observe a half-applied import
+        applyImport: async ({ creates, updates }) => [
+            ...updates.map(({ id, ...changes }) => tables.channels.update(id, changes)),
+            ...creates.map(tables.channels.insert)
+        ],
+        remove: async (id) => tables.channels.remove(id)
+    };
+
+    const leagues = {
+        list: async () => tables.leagues.all().sort((a, b) => byField('priority')(a, b) || byField('name')(a, b)),
+        listEnabled: async () => tables.leagues.where(l => l.enabled),
+        get: async (id) => tables.leagues.find(id),
+        create: async (league) => tables.leagues.insert(league),
+        update: async (id, changes) => tables.leagues.update(id, changes),
+        upsertMany: async (rows) => {
+            rows.forEach(tables.leagues.upsert);
+        },
+        remove: async (id) => tables.leagues.remove(id)
+    };
+
+    const syncMetadata = {
+        get: async () => clone(meta),
+        update: async (changes) => {
+            Object.assign(meta, clone(changes));
+        },
+        // No await between the check and the write, so this is atomic within the process
+        acquireLock: async ({ owner, until, now: at }) => {
+            if (meta.sync_lock_until && time(meta.sync_lock_until) >= time(at)) return false;
+            Object.assign(meta, { sync_lock_owner: owner, sync_lock_until: until });
+            return true;
+        },
+        renewLock: async ({ owner, until }) => {
+            if (meta.sync_lock_owner !== owner) return false;
+            meta.sync_lock_until = until;
+            return true;
+        },
+        releaseLock: async (owner) => {
+            if (meta.sync_lock_owner === owner) Object.assign(meta, { sync_lock_owner: null, sync_lock_until: null });
+        }
+    };
+
+    const syncRuns = {
+        create: async (run) => tables.syncRuns.insert(run),
+        update: async (id, changes) => {
+            tables.syncRuns.update(id, changes);
+        },
+        list: async ({ limit, kind, trigger, failed } = {}) => tables.syncRuns
+            .where(r => (!kind || r.kind === kind) && (!trigger || r.trigger === trigger) && (!failed || r.success === false))
+            .sort(byTime('started_at', -1))
+            .slice(0, limit),
+        latestFailure: async () => tables.syncRuns.where(r => r.success === false).sort(byTime('started_at', -1))[0] ?? null
+    };
+
+    const adminUsers = {
+        list: async () => tables.adminUsers.all().sort(byField('username')),
+        get: async (id) => tables.adminUsers.find(id),
+        findByUsername: async (username) => tables.adminUsers.where(u => u.username === username)[0] ?? null,
+        create: async (user) => {
+            if (tables.adminUsers.where(u => u.username === user.username).length) throw new Error(`Username "${user.username}" is taken.`);
+            return tables.adminUsers.insert(user);
+        },
+        update: async (id, changes) => tables.adminUsers.update(id, changes),
+        upsertByUsername: async (user) => {
+            const existing = await adminUsers.findByUsername(user.username);
+            return existing ? tables.adminUsers.update(existing.id, user) : tables.adminUsers.insert(user);
+        },
+        // Sessions go with their user, as with the table's on delete cascade
+        remove: async (id) => {
+            tables.adminUsers.remove(id);
+            tables.sessions.removeWhere(s => sameId(s.user_id, id));
+        }
+    };
+
+    const sessions = {
+        create: async (session) => {
+            tables.sessions.insert(session);
+        },
+        findByTokenHash: async (tokenHash) => {
+            const session = tables.sessions.where(s => s.token_hash === tokenHash)[0];
+            return session ? { ...session, user: tables.adminUsers.find(session.user_id) } : null;
+        },
+        revoke: async (tokenHash, revokedAt) => {
+            tables.sessions.updateWhere(s => s.token_hash === tokenHash && !s.revoked_at, { revoked_at: revokedAt });
+        },
+        revokeForUser: async (userId, revokedAt) => {
+            tables.sessions.updateWhere(s => sameId(s.user_id, userId) && !s.revoked_at, { revoked_at: revokedAt });
+        }
+    };
+
+    const linkRules = {
+        list: async () => tables.linkRules.all().sort(byField('name')),
+        listEnabled: async () => tables.linkRules.where(r => r.enabled),
+        get: async (id) => tables.linkRules.find(id),
+        create: async (rule) => tables.linkRules.insert(rule),
+        update: async (id, changes) => tables.linkRules.update(id, changes),
+        remove: async (id) => tables.linkRules.remove(id)
+    };
+
+    const streamChecks = {
+        findByChannelIds: async (channelIds) => tables.streamChecks.where(c => channelIds.some(id => sameId(id, c.channel_id))),
+        replaceForChannel: async (channelId, rows) => {
+            tables.streamChecks.removeWhere(c => sameId(c.channel_id, channelId));
+            rows.forEach(tables.streamChecks.insert);
+        },
+        removeForChannel: async (channelId) => tables.streamChecks.removeWhere(c => sameId(c.channel_id, channelId))
+    };
+
+    const webhooks = {
+        list: async () => tables.webhooks.all().sort(byField('name')),
+        listEnabled: async () => tables.webhooks.where(w => w.enabled),
+        get: async (id) => tables.webhooks.find(id),
+        findByIds: async (ids) => tables.webhooks.where(w => ids.some(id => sameId(id, w.id))),
+        create: async (webhook) => tables.webhooks.insert(webhook),
+        update: async (id, changes) => tables.webhooks.update(id, changes),
+        // Deliveries go with their webhook, as with the table's on delete cascade
+        remove: async (id) => {
+            tables.webhooks.remove(id);
+            tables.webhookDeliveries.removeWhere(d => sameId(d.webhook_id, id));
+        }
+    };
+
+    const webhookDeliveries = {
+        createMany: async (rows) => rows.map(tables.webhookDeliveries.insert),
+        get: async (id) => tables.webhookDeliveries.find(id),
+        update: async (id, changes) => tables.webhookDeliveries.update(id, changes),
+        // Pending deliveries due by `now`, oldest first, pushed back to `until` so no other caller takes them
+        claimDue: async ({ now, until, limit }) => {
+            const due = tables.webhookDeliveries
+                .where(d => d.status === 'pending' && d.next_attempt_at && time(d.next_attempt_at) <= time(now))
+                .sort(byTime('next_attempt_at'))
+                .slice(0, limit);
+            const ids = due.map(d => d.id);
+            tables.webhookDeliveries.updateWhere(d => ids.includes(d.id), { next_attempt_at: until });
+            return due;
+        },
+        list: async ({ webhookId, status, eventType, before, limit }) => tables.webhookDeliveries
+            .where(d => (!webhookId || sameId(d.webhook_id, webhookId))
+                && (!status || d.status === status)
+                && (!eventType || d.event_type === eventType)
+                && (!before || d.id < Number(before)))
+            .sort(byField('id', -1))
+            .slice(0, limit)
+    };
+
+    const auditLog = {
+        insert: async (entry) => {
+            tables.auditLog.insert(entry);
+        },
+        list: async ({ actor, entityType, entityId, method, from, to, before, limit }) => tables.auditLog
+            .where(e => (!actor || e.actor_username === actor)
+                && (!entityType || e.entity_type === entityType)
+                && (!entityId || e.entity_id === entityId)
+                && (!method || e.method === method)
+                && (!from || time(e.created_at) >= time(from))
+                && (!to || time(e.created_at) <= time(to))
+                && (!before || e.id < Number(before)))
+            .sort(byField('id', -1))
+            .slice(0, limit)
+    };
+
+    return { name: 'memory', matches, matchDetails, channels, leagues, syncMetadata, syncRuns, adminUsers, sessions, linkRules, streamChecks, webhooks, webhookDeliveries, auditLog };
+};
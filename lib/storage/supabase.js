@@ -0,0 +1,282 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Returns a supabase-js response's data, throwing its error instead
+const unwrap = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+};
+
+// The same for a { count: 'exact', head: true } query, which returns no rows
+const unwrapCount = ({ count, error }) => {
+    if (error) throw error;
+    return count;
+};
+
+// Columns of a match that retention previews and runs need
+const EXPIRED_COLUMNS = 'matchId, matchDate, kickoffTime, status, homeTeam, awayTeam, competition, broadcastChannels';
+
+export const createSupabaseStorage = ({ url = process.env.SUPABASE_URL, key = process.env.SUPABASE_SERVICE_ROLE_KEY } = {}) => {
+    const supabase = createClient(url, key);
+    const from = (table) => supabase.from(table);
+
+    const removeDetails = async (matchIds) => {
+        for (let i = 0; i < matchIds.length; i += 200) {
+            unwrap(await from('match_details').delete().in('matchId', matchIds.slice(i, i + 200).map(String)));
+        }
+    };
+
+    // See matches.listExpired in lib/storage/index.js
+    const whereExpired = (query, { cutoff, linkedCutoff, finalStatuses }) => query.lt('kickoffTime', cutoff)
+        .or(`kickoffTime.lt."${linkedCutoff}",status.not.in.(${finalStatuses.join(',')}),broadcastChannels.eq.[],broadcastChannels.is.null`);
+
+    const matches = {
+        list: async ({ from: start, to: end } = {}) => {
+            let query = from('matches').select('*').order('kickoffTime', { ascending: true });
+            if (start) query = query.gte('kickoffTime', start);
+            if (end) query = query.lt('kickoffTime', end);
+            return unwrap(await query);
+        },
+        // Ordered by (kickoffTime, matchId); `after` is the position of the previous page's last row
+        search: async ({ from: start, to: end, leagueIds, statuses, team, hasChannels, after, limit }) => {
+            let query = from('matches').select('*').order('kickoffTime', { ascending: true }).order('matchId', { ascending: true }).limit(limit);
+            if (start) query = query.gte('kickoffTime', start);
+            if (end) query = query.lt('kickoffTime', end);
+            if (leagueIds) query = query.in('competition->>id', leagueIds.map(String));
+            if (statuses) query = query.in('status', statuses);
+            if (team) {
+                // Quoted so commas and parentheses in the term cannot break the filter; * is the wildcard
+                const pattern = `"*${team.replace(/["\\*%]/g, '')}*"`;
+                query = query.or(`homeTeam->>name.ilike.${pattern},awayTeam->>name.ilike.${pattern}`);
+            }
+            if (hasChannels !== undefined) query = hasChannels ? query.neq('broadcastChannels', '[]') : query.eq('broadcastChannels', '[]');
+            if (after) {
+                query = query.or(`kickoffTime.gt."${after.kickoffTime}",and(kickoffTime.eq."${after.kickoffTime}",matchId.gt."${after.matchId}")`);
+            }
+            return unwrap(await query);
+        },
+        get: async (matchId) => unwrap(await from('matches').select('*').eq('matchId', matchId).maybeSingle()),
+        // Chunked like removeMany: a season backfill looks up hundreds of ids at once
+        findByIds: async (matchIds) => {
+            const rows = [];
+            for (let i = 0; i < matchIds.length; i += 200) {
+                rows.push(...unwrap(await from('matches').select('*').in('matchId', matchIds.slice(i, i + 200))));
+            }
+            return rows;
+        },
+        findByDates: async (dates) => unwrap(await from('matches').select('*').in('matchDate', dates)),
+        findByStatuses: async (statuses) => unwrap(await from('matches').select('*').in('status', statuses)),
+        hasUnfinishedBetween: async (start, end, finalStatuses) => {
+            const data = unwrap(await from('matches').select('matchId')
+                .gte('kickoffTime', start).lte('kickoffTime', end)
+                .not('status', 'in', `(${finalStatuses.join(',')})`)
+                .limit(1));
+            return data.length > 0;
+        },
+        countBefore: async (to) => unwrapCount(await from('matches').select('*', { count: 'exact', head: true }).lt('kickoffTime', to)),
+        countExpired: async (criteria) => unwrapCount(await whereExpired(from('matches').select('*', { count: 'exact', head: true }), criteria)),
+        listExpired: async (criteria, limit) => unwrap(await whereExpired(from('matches').select(EXPIRED_COLUMNS), criteria)
+            .order('kickoffTime', { ascending: true }).limit(limit)),
+        create: async (match) => unwrap(await from('matches').insert([match]).select().single()),
+        upsertMany: async (rows) => {
+            unwrap(await from('matches').upsert(rows, { onConflict: 'matchId' }));
+        },
+        update: async (matchId, changes) => unwrap(await from('matches').update(changes).eq('matchId', matchId).select().maybeSingle()),
+        // One transaction, through the archive_matches function (see supabase/migrations)
+        archive: async (matchIds) => {
+            unwrap(await supabase.rpc('archive_matches', { match_ids: matchIds.map(String) }));
+            await removeDetails(matchIds);
+        },
+        // Chunked to keep each request's filter within URL length limits. Details go with their match.
+        removeMany: async (matchIds) => {
+            for (let i = 0; i < matchIds.length; i += 200) {
+                unwrap(await from('matches').delete().in('matchId', matchIds.slice(i, i + 200)));
+            }
+            await removeDetails(matchIds);
+        }
+    };
+
+    const matchDetails = {
+        get: async (matchId) => unwrap(await from('match_details').select('*').eq('matchId', matchId).maybeSingle()),
+        upsert: async (row) => unwrap(await from('match_details').upsert([row], { onConflict: 'matchId' }).select().single())
+    };
+
+    const channels = {
+        list: async () => unwrap(await from('channels').select('*').order('name', { ascending: true })),
+        get: async (id) => unwrap(await from('channels').select('*').eq('id', id).maybeSingle()),
+        findByIds: async (ids) => unwrap(await from('channels').select('*').in('id', ids)),
+        create: async (channel) => unwrap(await from('channels').insert([channel]).select().single()),
+        update: async (id, changes) => unwrap(await from('channels').update(changes).eq('id', id).select().maybeSingle()),
+        // One transaction, through the import_channels function (see supabase/migrations)
+        applyImport: async ({ creates, updates }) => unwrap(await supabase.rpc('import_channels', { creates, updates })),
+        remove: async (id) => {
+            unwrap(await from('channels').delete().eq('id', id));
+        }
+    };
+
+    const leagues = {
+        list: async () => unwrap(await from('leagues').select('*').order('priority', { ascending: true }).order('name', { ascending: true })),
+        listEnabled: async () => unwrap(await from('leagues').select('*').eq('enabled', true)),
+        get: async (id) => unwrap(await from('leagues').select('*').eq('id', id).maybeSingle()),
+        create: async (league) => unwrap(await from('leagues').insert([league]).select().single()),
+        update: async (id, changes) => unwrap(await from('leagues').update(changes).eq('id', id).select().maybeSingle()),
+        upsertMany: async (rows) => {
+            unwrap(await from('leagues').upsert(rows, { onConflict: 'id' }));
+        },
+        remove: async (id) => {
+            unwrap(await from('leagues').delete().eq('id', id));
+        }
+    };
+
+    // sync_metadata is a single row with id 1
+    const syncMetadata = {
+        get: async () => unwrap(await from('sync_metadata').select('*').eq('id', 1).single()),
+        update: async (changes) => {
+            unwrap(await from('sync_metadata').update(changes).eq('id', 1));
+        },
+        // A single conditional update, so two callers can never both succeed
+        acquireLock: async ({ owner, until, now }) => {
+            const data = unwrap(await from('sync_metadata')
+                .update({ sync_lock_owner: owner, sync_lock_until: until })
+                .eq('id', 1)
+                .or(`sync_lock_until.is.null,sync_lock_until.lt."${now}"`)
+                .select('id'));
+            return data.length > 0;
+        },
+        // Only while `owner` still holds it; false once it expired and another run took it
+        renewLock: async ({ owner, until }) => {
+            const data = unwrap(await from('sync_metadata')
+                .update({ sync_lock_until: until })
+                .eq('id', 1)
+                .eq('sync_lock_owner', owner)
+                .select('id'));
+            return data.length > 0;
+        },
+        releaseLock: async (owner) => {
+            unwrap(await from('sync_metadata').update({ sync_lock_owner: null, sync_lock_until: null }).eq('id', 1).eq('sync_lock_owner', owner));
+        }
+    };
+
+    const syncRuns = {
+        create: async (run) => unwrap(await from('sync_runs').insert([run]).select().single()),
+        update: async (id, changes) => {
+            unwrap(await from('sync_runs').update(changes).eq('id', id));
+        },
+        list: async ({ limit, kind, trigger, failed } = {}) => {
+            let query = from('sync_runs').select('*').order('started_at', { ascending: false }).limit(limit);
+            if (kind) query = query.eq('kind', kind);
+            if (trigger) query = query.eq('trigger', trigger);
+            if (failed) query = query.eq('success', false);
+            return unwrap(await query);
+        },
+        latestFailure: async () => unwrap(await from('sync_runs').select('*').eq('success', false).order('started_at', { ascending: false }).limit(1).maybeSingle())
+    };
+
+    const adminUsers = {
+        list: async () => unwrap(await from('admin_users').select('*').order('username', { ascending: true })),
+        get: async (id) => unwrap(await from('admin_users').select('*').eq('id', id).maybeSingle()),
+        findByUsername: async (username) => unwrap(await from('admin_users').select('*').eq('username', username).maybeSingle()),
+        create: async (user) => unwrap(await from('admin_users').insert([user]).select().single()),
+        update: async (id, changes) => unwrap(await from('admin_users').update(changes).eq('id', id).select().maybeSingle()),
+        upsertByUsername: async (user) => unwrap(await from('admin_users').upsert([user], { onConflict: 'username' }).select().single()),
+        remove: async (id) => {
+            unwrap(await from('admin_users').delete().eq('id', id));
+        }
+    };
+
+    const sessions = {
+        create: async (session) => {
+            unwrap(await from('admin_sessions').insert([session]));
+        },
+        // The session with its owner as `user`, or null
+        findByTokenHash: async (tokenHash) => {
+            const data = unwrap(await from('admin_sessions').select('*, admin_users(*)').eq('token_hash', tokenHash).maybeSingle());
+            if (!data) return null;
+            const { admin_users: user, ...session } = data;
+            return { ...session, user };
+        },
+        revoke: async (tokenHash, revokedAt) => {
+            unwrap(await from('admin_sessions').update({ revoked_at: revokedAt }).eq('token_hash', tokenHash).is('revoked_at', null));
+        },
+        revokeForUser: async (userId, revokedAt) => {
+            unwrap(await from('admin_sessions').update({ revoked_at: revokedAt }).eq('user_id', userId).is('revoked_at', null));
+        }
+    };
+
+    const linkRules = {
+        list: async () => unwrap(await from('link_rules').select('*').order('name', { ascending: true })),
+        listEnabled: async () => unwrap(await from('link_rules').select('*').eq('enabled', true)),
+        get: async (id) => unwrap(await from('link_rules').select('*').eq('id', id).maybeSingle()),
+        create: async (rule) => unwrap(await from('link_rules').insert([rule]).select().single()),
+        update: async (id, changes) => unwrap(await from('link_rules').update(changes).eq('id', id).select().maybeSingle()),
+        remove: async (id) => {
+            unwrap(await from('link_rules').delete().eq('id', id));
+        }
+    };
+
+    // Latest probe result per (channel_id, url)
+    const streamChecks = {
+        findByChannelIds: async (channelIds) => unwrap(await from('stream_checks').select('*').in('channel_id', channelIds)),
+        replaceForChannel: async (channelId, rows) => {
+            unwrap(await from('stream_checks').delete().eq('channel_id', channelId));
+            if (rows.length) unwrap(await from('stream_checks').insert(rows));
+        },
+        removeForChannel: async (channelId) => {
+            unwrap(await from('stream_checks').delete().eq('channel_id', channelId));
+        }
+    };
+
+    const webhooks = {
+        list: async () => unwrap(await from('webhooks').select('*').order('name', { ascending: true })),
+        listEnabled: async () => unwrap(await from('webhooks').select('*').eq('enabled', true)),
+        get: async (id) => unwrap(await from('webhooks').select('*').eq('id', id).maybeSingle()),
+        findByIds: async (ids) => unwrap(await from('webhooks').select('*').in('id', ids)),
+        create: async (webhook) => unwrap(await from('webhooks').insert([webhook]).select().single()),
+        update: async (id, changes) => unwrap(await from('webhooks').update(changes).eq('id', id).select().maybeSingle()),
+        remove: async (id) => {
+            unwrap(await from('webhooks').delete().eq('id', id));
+        }
+    };
+
+    const webhookDeliveries = {
+        createMany: async (rows) => unwrap(await from('webhook_deliveries').insert(rows).select()),
+        get: async (id) => unwrap(await from('webhook_deliveries').select('*').eq('id', id).maybeSingle()),
+        update: async (id, changes) => unwrap(await from('webhook_deliveries').update(changes).eq('id', id).select().maybeSingle()),
+        // Each due delivery is claimed only if its next_attempt_at is unchanged, so two instances never both send it
+        claimDue: async ({ now, until, limit }) => {
+            const due = unwrap(await from('webhook_deliveries').select('*').eq('status', 'pending').lte('next_attempt_at', now)
+                .order('next_attempt_at', { ascending: true }).limit(limit));
+            const claimed = await Promise.all(due.map(async (delivery) => unwrap(await from('webhook_deliveries')
+                .update({ next_attempt_at: until })
+                .eq('id', delivery.id).eq('status', 'pending').eq('next_attempt_at', delivery.next_attempt_at)
+                .select().maybeSingle()) && delivery));
+            return claimed.filter(Boolean);
+        },
+        list: async ({ webhookId, status, eventType, before, limit }) => {
+            let query = from('webhook_deliveries').select('*').order('id', { ascending: false }).limit(limit);
+            if (webhookId) query = query.eq('webhook_id', webhookId);
+            if (status) query = query.eq('status', status);
+            if (eventType) query = query.eq('event_type', eventType);
+            if (before) query = query.lt('id', before);
+            return unwrap(await query);
+        }
+    };
+
+    const auditLog = {
+        insert: async (entry) => {
+            unwrap(await from('audit_log').insert([entry]));
+        },
+        list: async ({ actor, entityType, entityId, method, from: start, to: end, before, limit }) => {
+            let query = from('audit_log').select('*').order('id', { ascending: false }).limit(limit);
+            if (actor) query = query.eq('actor_username', actor);
+            if (entityType) query = query.eq('entity_type', entityType);
+            if (entityId) query = query.eq('entity_id', entityId);
+            if (method) query = query.eq('method', method);
+            if (start) query = query.gte('created_at', start);
+            if (end) query = query.lte('created_at', end);
+            if (before) query = query.lt('id', before);
+            return unwrap(await query);
+        }
+    };
+
+    return { name: 'supabase', matches, matchDetails, channels, leagues, syncMetadata, syncRuns, adminUsers, sessions, linkRules, streamChecks, webhooks, webhookDeliveries, auditLog };
+};
@@ -0,0 +1,155 @@
+import fetch from "node-fetch";
+import { storage } from "./storage/index.js";
+
+const CONFIG = {
+    REQUEST_TIMEOUT: Number(process.env.STREAM_CHECK_TIMEOUT_MS) || 8000,
+    // URLs probed in parallel
+    CONCURRENCY: 5,
+    // How old the last check may get before a panel visit starts a new one in the background; the
+    // "streams" cron job (see lib/cron.js) checks on its own schedule whether or not anyone visits
+    INTERVAL_MINUTES: Number(process.env.STREAM_CHECK_INTERVAL_MINUTES) || 30,
+    USER_AGENT: 'Mozilla/5.0 (stream-health-check)'
+};
+
+// How the public API treats URLs whose last check failed: keep as-is, move to the end, or drop
+export const DEAD_STREAM_POLICIES = ['keep', 'last', 'drop'];
+const DEAD_STREAM_POLICY = DEAD_STREAM_POLICIES.includes(process.env.PUBLIC_DEAD_STREAMS) ? process.env.PUBLIC_DEAD_STREAMS : 'last';
+
+const isHlsUrl = (url) => /\.m3u8?$/i.test(new URL(url).pathname);
+const isHlsResponse = (url, response) => isHlsUrl(url) || /mpegurl/i.test(response.headers.get('content-type') || '');
+
+// Fetches the URL's headers (and, for HLS, the manifest) within the timeout
+const request = async (url, readManifest) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    try {
+        const response = await fetch(url, { headers: { 'User-Agent': CONFIG.USER_AGENT }, signal: controller.signal });
+        // The abort below surfaces as an error on an unread body; it is expected
+        response.body?.on('error', () => {});
+        const manifest = response.ok && readManifest(response) ? await response.text() : null;
+        return { response, manifest };
+    } finally {
+        clearTimeout(timeoutId);
+        // Live streams never end, so the body of anything that is not a manifest is cut off here
+        controller.abort();
+    }
+};
+
+/**
+ * Probes one stream URL. A plain stream is up when it answers 2xx; an HLS playlist must also be a
+ * valid #EXTM3U manifest, and for a master playlist its first variant must be reachable too.
+ * Resolves to { status: 'up' | 'down', httpStatus, responseMs, error }.
+ */
+export const probeStream = async (url, depth = 0) => {
+    const startedAt = Date.now();
+    try {
+        const { response, manifest } = await request(url, res => isHlsResponse(url, res));
+        const result = { httpStatus: response.status, responseMs: Date.now() - startedAt };
+        if (!response.ok) return { ...result, status: 'down', error: `HTTP ${response.status}` };
+        if (manifest === null) return { ...result, status: 'up', error: null };
+
+        if (!manifest.replace(/^\uFEFF/, '').trimStart().startsWith('#EXTM3U')) {
+            return { ...result, status: 'down', error: 'Not an HLS manifest.' };
+        }
+        const variant = manifest.split('\n').map(line => line.trim()).find((line, i, lines) => line && !line.startsWith('#') && lines[i - 1]?.startsWith('#EXT-X-STREAM-INF'));
+        if (variant && depth === 0) {
+            const variantResult = await probeStream(new URL(variant, response.url || url).href, depth + 1);
+            if (variantResult.status === 'down') return { ...result, status: 'down', error: `Variant playlist: ${variantResult.error}` };
+        }
+        return { ...result, status: 'up', error: null };
+    } catch (error) {
+        return {
+            status: 'down', httpStatus: null, responseMs: Date.now() - startedAt,
+            error: error.name === 'AbortError' ? `Timed out after ${CONFIG.REQUEST_TIMEOUT}ms.` : error.message
+        };
+    }
+};
+
+// Runs `worker` over `items` with at most `limit` in flight
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+    return results;
+};
+
+/**
+ * Probes every URL of the given channels and stores the results, replacing each channel's previous
+ * checks (so URLs removed from a channel drop out). Resolves to { checked, up, down, duration }.
+ */
+export const checkChannelStreams = async (channels) => {
+    const startedAt = Date.now();
+    const tasks = channels.flatMap(ch => (ch.urls || []).map(({ url }) => ({ channelId: String(ch.id), url })));
+    const results = await mapWithConcurrency(tasks, CONFIG.CONCURRENCY, async (task) => ({ ...task, ...await probeStream(task.url) }));
+
+    const checkedAt = new Date().toISOString();
+    for (const channel of channels) {
+        const rows = results.filter(r => r.channelId === String(channel.id)).map(r => ({
+            channel_id: r.channelId, url: r.url, status: r.status, http_status: r.httpStatus,
+            response_ms: r.responseMs, error: r.error, checked_at: checkedAt
+        }));
+        await storage.streamChecks.replaceForChannel(String(channel.id), rows);
+    }
+    const up = results.filter(r => r.status === 'up').length;
+    return { checked: results.length, up, down: results.length - up, duration: Date.now() - startedAt };
+};
+
+// --- Scheduled checks ---
+
+let runningCheck = null;
+
+export const isStreamCheckDue = (meta) => {
+    const last = meta?.last_stream_check ? new Date(meta.last_stream_check) : null;
+    return !last || Date.now() - last.getTime() > CONFIG.INTERVAL_MINUTES * 60000;
+};
+
+/**
+ * Checks every channel. The timestamp is taken once the probes have finished, so a check cut short
+ * (e.g. a function frozen after its response went out) leaves the next one due. Checks started on
+ * other instances meanwhile only repeat idempotent work.
+ */
+export const checkAllStreams = () => {
+    if (runningCheck) return runningCheck;
+    runningCheck = (async () => {
+        const result = await checkChannelStreams(await storage.channels.list());
+        await storage.syncMetadata.update({ last_stream_check: new Date().toISOString() });
+        return result;
+    })().finally(() => { runningCheck = null; });
+    return runningCheck;
+};
+
+// --- Presentation ---
+
+const toStreamHealth = (row) => ({ status: row.status, httpStatus: row.http_status, responseMs: row.response_ms, error: row.error, checkedAt: row.checked_at });
+
+// { [channelId]: { [url]: health } } for the given channels
+export const fetchStreamHealth = async (channels) => {
+    const byChannel = new Map(channels.map(ch => [String(ch.id), {}]));
+    if (byChannel.size === 0) return byChannel;
+    const rows = await storage.streamChecks.findByChannelIds([...byChannel.keys()]);
+    rows.forEach(row => { if (byChannel.has(row.channel_id)) byChannel.get(row.channel_id)[row.url] = toStreamHealth(row); });
+    return byChannel;
+};
+
+// Adds `health`, keyed by URL, to each channel; URLs never checked are absent
+export const withStreamHealth = async (channels) => {
+    const health = await fetchStreamHealth(channels);
+    return channels.map(ch => {
+        const known = health.get(String(ch.id));
+        return { ...ch, health: Object.fromEntries((ch.urls || []).filter(u => known[u.url]).map(u => [u.url, known[u.url]])) };
+    });
+};
+
+// Applies DEAD_STREAM_POLICY to a channel's URLs given its health map
+export const rankStreams = (urls, health = {}, policy = DEAD_STREAM_POLICY) => {
+    const isDead = (u) => health[u.url]?.status === 'down';
+    if (policy === 'drop') return urls.filter(u => !isDead(u));
+    if (policy === 'last') return [...urls.filter(u => !isDead(u)), ...urls.filter(isDead)];
+    return urls;
+};
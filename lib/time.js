@@ -0,0 +1,70 @@
+// Calendar-day helpers. Match days are grouped by the local date in a timezone rather than by UTC,
+// so a 23:00 kickoff in UTC+2 belongs to the day it is actually played on.
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+export const isValidTimeZone = (tz) => {
+    if (typeof tz !== 'string' || !tz) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const partsFormatters = new Map();
+
+// Wall-clock components of an instant in the given timezone
+const wallClock = (instant, tz) => {
+    if (!partsFormatters.has(tz)) {
+        partsFormatters.set(tz, new Intl.DateTimeFormat('en-US', {
+            timeZone: tz, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = Object.fromEntries(partsFormatters.get(tz).formatToParts(instant).map(p => [p.type, p.value]));
+    return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day), hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second) };
+};
+
+// YYYY-MM-DD of an instant (Date or ISO string) in the given timezone
+export const localDate = (instant, tz = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = wallClock(new Date(instant), tz);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+export const todayIn = (tz = DEFAULT_TIMEZONE) => localDate(new Date(), tz);
+
+// True for a real YYYY-MM-DD calendar day; Date rolls impossible ones over (2024-02-31 -> 2024-03-02)
+export const isCalendarDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+};
+
+export const addDays = (dateString, days) => {
+    const d = new Date(`${dateString}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const offsetAt = (instant, tz) => {
+    const wall = wallClock(instant, tz);
+    const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    return wallAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The UTC instant at which the given local calendar day starts
+const startOfLocalDay = (dateString, tz) => {
+    const midnightUtc = new Date(`${dateString}T00:00:00Z`);
+    const guess = new Date(midnightUtc.getTime() - offsetAt(midnightUtc, tz));
+    // Second pass picks up an offset change (DST) between the guess and the real boundary
+    return new Date(midnightUtc.getTime() - offsetAt(guess, tz));
+};
+
+// [start, end) in UTC ISO strings for a local calendar day, for querying kickoffTime
+export const localDayRange = (dateString, tz = DEFAULT_TIMEZONE) => ({
+    start: startOfLocalDay(dateString, tz).toISOString(),
+    end: startOfLocalDay(addDays(dateString, 1), tz).toISOString()
+});
@@ -0,0 +1,234 @@
+import { ROLES } from "./auth.js";
+import { TEAM_SIDES } from "./linkRules.js";
+import { MANUAL_STATUS_TEXTS } from "./matchOverrides.js";
+import { isCalendarDate } from "./time.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+export const STREAM_QUALITIES = ['HD', 'FHD', '4K', 'SD', 'Multi'];
+
+// --- Field checks ---
+// Each check receives (value, field) and returns a list of { field, message } problems (empty when valid).
+// A check may also have a `normalize(value)` giving the form a valid value is stored in.
+
+const fail = (field, message) => [{ field, message }];
+
+// Surrounding whitespace is removed from the stored value unless `trim` is false (passwords)
+const string = ({ min = 1, max = 200, pattern = null, patternMessage = 'Has an invalid format.', trim = true } = {}) => Object.assign((value, field) => {
+    if (typeof value !== 'string') return fail(field, 'Must be a string.');
+    const text = trim ? value.trim() : value;
+    if (text.length < min) return fail(field, min === 1 ? 'Must not be empty.' : `Must be at least ${min} characters.`);
+    if (text.length > max) return fail(field, `Must be at most ${max} characters.`);
+    if (pattern && !pattern.test(text)) return fail(field, patternMessage);
+    return [];
+}, { normalize: (value) => trim ? value.trim() : value });
+
+// The URL parser drops tabs and line breaks, so they are rejected first: stored as typed, they would
+// break line-based outputs such as the M3U playlist
+const httpUrl = () => (value, field) => {
+    if (typeof value !== 'string') return fail(field, 'Must be a string.');
+    if (/[\u0000-\u001F\u007F]/.test(value)) return fail(field, 'Must not contain line breaks or control characters.');
+    try {
+        const { protocol } = new URL(value);
+        if (protocol !== 'http:' && protocol !== 'https:') return fail(field, 'Must be an http(s) URL.');
+    } catch {
+        return fail(field, 'Must be a valid URL.');
+    }
+    return [];
+};
+
+const oneOf = (allowed) => (value, field) => allowed.includes(value) ? [] : fail(field, `Must be one of: ${allowed.join(', ')}.`);
+
+const boolean = () => (value, field) => typeof value === 'boolean' ? [] : fail(field, 'Must be true or false.');
+
+const date = () => (value, field) => {
+    if (!isCalendarDate(value)) {
+        return fail(field, 'Must be a date in YYYY-MM-DD format.');
+    }
+    return [];
+};
+
+// An ISO 8601 date-time with a time zone, e.g. 2024-05-19T15:00:00Z
+const dateTime = () => (value, field) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) || isNaN(new Date(value))) {
+        return fail(field, 'Must be an ISO 8601 date-time with a time zone, e.g. 2024-05-19T15:00:00Z.');
+    }
+    return [];
+};
+
+const integer = ({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) => (value, field) => {
+    if (!Number.isInteger(value)) return fail(field, 'Must be an integer.');
+    if (value < min || value > max) return fail(field, `Must be between ${min} and ${max}.`);
+    return [];
+};
+
+const id = () => (value, field) => {
+    if (typeof value === 'number' && Number.isInteger(value) && value > 0) return [];
+    if (typeof value === 'string' && value.trim()) return [];
+    return fail(field, 'Must be a valid ID.');
+};
+
+const normalized = (check, value) => check.normalize ? check.normalize(value) : value;
+
+const arrayOf = (itemCheck, { min = 0, max = 100 } = {}) => Object.assign((value, field) => {
+    if (!Array.isArray(value)) return fail(field, 'Must be an array.');
+    if (value.length < min) return fail(field, `Must contain at least ${min} item(s).`);
+    if (value.length > max) return fail(field, `Must contain at most ${max} items.`);
+    return value.flatMap((item, i) => itemCheck(item, `${field}[${i}]`));
+}, { normalize: (value) => value.map(item => normalized(itemCheck, item)) });
+
+// Validates a nested object against its own schema; unknown keys are reported
+const shape = (schema) => Object.assign((value, field) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(field, 'Must be an object.');
+    return validate(schema, value, { prefix: `${field}.` }).errors;
+}, { normalize: (value) => validate(schema, value).value });
+
+// --- Schemas ---
+// A schema maps each allowed field to { check, required, nullable }. Anything not listed is rejected.
+
+export const channelSchema = {
+    name: { check: string({ max: 100 }), required: true },
+    category: { check: string({ max: 100 }), required: true },
+    logo: { check: httpUrl(), required: true },
+    urls: {
+        check: arrayOf(shape({
+            url: { check: httpUrl(), required: true },
+            quality: { check: oneOf(STREAM_QUALITIES), required: true }
+        }), { min: 1 }),
+        required: true
+    }
+};
+
+// A channel in a bulk import; `id` is optional and only used to find the channel to update
+export const channelImportSchema = { id: { check: id() }, ...channelSchema };
+
+export const linkSchema = {
+    matchId: { check: id(), required: true },
+    channelIds: { check: arrayOf(id(), { max: 50 }), required: true }
+};
+
+const teamSchema = {
+    name: { check: string({ max: 100 }), required: true },
+    logo: { check: httpUrl(), nullable: true },
+    goals: { check: integer({ min: 0, max: 99 }), nullable: true }
+};
+
+// Nested objects are replaced as a whole on update
+export const manualMatchSchema = {
+    kickoffTime: { check: dateTime(), required: true },
+    status: { check: oneOf(Object.keys(MANUAL_STATUS_TEXTS)) },
+    homeTeam: { check: shape(teamSchema), required: true },
+    awayTeam: { check: shape(teamSchema), required: true },
+    competition: {
+        check: shape({
+            id: { check: integer({ min: 1 }), nullable: true },
+            name: { check: string({ max: 100 }), required: true },
+            country: { check: string({ max: 100 }), nullable: true },
+            logo: { check: httpUrl(), nullable: true }
+        }),
+        required: true
+    },
+    broadcastChannels: { check: arrayOf(id(), { max: 50 }) }
+};
+
+// null clears an override
+export const matchOverridesSchema = {
+    title: { check: string({ max: 120 }), nullable: true },
+    hidden: { check: boolean(), nullable: true },
+    featured: { check: boolean(), nullable: true },
+    kickoffTime: { check: dateTime(), nullable: true }
+};
+
+export const leagueSchema = {
+    id: { check: integer({ min: 1 }), required: true },
+    name: { check: string({ max: 100 }), required: true },
+    display_name: { check: string({ max: 100 }), nullable: true },
+    country: { check: string({ max: 100 }), nullable: true },
+    logo: { check: httpUrl(), nullable: true },
+    enabled: { check: boolean() },
+    priority: { check: integer({ min: 0, max: 100000 }) },
+    default_channels: { check: arrayOf(id(), { max: 50 }) }
+};
+
+// At least one of league_id, team and country is required; the route checks that and the date order
+export const linkRuleSchema = {
+    name: { check: string({ max: 100 }), required: true },
+    enabled: { check: boolean() },
+    league_id: { check: integer({ min: 1 }), nullable: true },
+    team: { check: string({ max: 100 }), nullable: true },
+    team_side: { check: oneOf(TEAM_SIDES) },
+    country: { check: string({ max: 100 }), nullable: true },
+    date_from: { check: date(), nullable: true },
+    date_to: { check: date(), nullable: true },
+    channel_ids: { check: arrayOf(id(), { min: 1, max: 50 }), required: true }
+};
+
+// A rule being edited, previewed before it is saved: the same fields, none required, and an empty
+// body (a rule with no scope) is allowed
+export const linkRulePreviewSchema = Object.fromEntries(Object.entries(linkRuleSchema).map(([key, rule]) => [key, { ...rule, required: false }]));
+
+// Either a date range or a league season; the route checks which combination was sent
+export const syncSchema = {
+    from: { check: date() },
+    to: { check: date() },
+    league: { check: integer({ min: 1 }) },
+    season: { check: integer({ min: 1900, max: 2100 }) }
+};
+
+// The signing secret is generated by the server, never sent by clients
+export const webhookSchema = {
+    name: { check: string({ max: 100 }), required: true },
+    url: { check: httpUrl(), required: true },
+    events: { check: arrayOf(oneOf(WEBHOOK_EVENTS), { min: 1, max: WEBHOOK_EVENTS.length }), required: true },
+    enabled: { check: boolean() }
+};
+
+export const adminUserSchema = {
+    username: { check: string({ min: 3, max: 50, pattern: /^[a-zA-Z0-9_.-]+$/, patternMessage: 'May only contain letters, digits, "_", "." and "-".' }), required: true },
+    password: { check: string({ min: 8, max: 200, trim: false }), required: true },
+    role: { check: oneOf(ROLES), required: true },
+    disabled: { check: boolean() }
+};
+
+// --- Validation ---
+
+/**
+ * Checks `body` against `schema`. Returns { value, errors } where `value` holds only whitelisted fields,
+ * normalized by their checks (strings trimmed).
+ * With `partial`, required fields may be omitted (used for updates).
+ */
+export const validate = (schema, body, { partial = false, prefix = '' } = {}) => {
+    const errors = [];
+    const value = {};
+    const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+
+    for (const key of Object.keys(input)) {
+        if (!(key in schema)) errors.push({ field: `${prefix}${key}`, message: 'Unknown field.' });
+    }
+    for (const [key, rule] of Object.entries(schema)) {
+        if (input[key] === null && rule.nullable) {
+            value[key] = null;
+            continue;
+        }
+        if (input[key] === undefined || input[key] === null) {
+            if (rule.required && !partial) errors.push({ field: `${prefix}${key}`, message: 'Is required.' });
+            continue;
+        }
+        const problems = rule.check(input[key], `${prefix}${key}`);
+        if (problems.length) errors.push(...problems);
+        else value[key] = normalized(rule.check, input[key]);
+    }
+    if (partial && Object.keys(value).length === 0 && errors.length === 0) {
+        errors.push({ field: prefix.replace(/\.$/, '') || 'body', message: 'No updatable fields provided.' });
+    }
+    return { value, errors };
+};
+
+export const sendValidationError = (res, errors) => res.status(400).json({ error: 'Validation failed.', details: errors });
+
+// Replaces req.body with the whitelisted value, or answers 400 with every failing field
+export const validateBody = (schema, options = {}) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length) return sendValidationError(res, errors);
+    req.body = value;
+    next();
+};
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { FINAL_STATUSES, LIVE_STATUSES, UPCOMING_STATUSES } from "../sync.js";
+import { isHiddenMatch } from "./matchOverrides.js";
+import { storage } from "./storage/index.js";
+
+// Outbound webhooks: match changes become signed JSON events, queued in webhook_deliveries for every
+// enabled subscriber and sent with retries. Due deliveries, retries included, go out at the end of
+// every sync run and link change, and on the "webhooks" cron job (see lib/cron.js) in between.
+
+export const WEBHOOK_EVENTS = ['match.kickoff', 'match.goal', 'match.full_time', 'match.channels_linked'];
+
+// Sent only by the panel's test button, whatever a webhook subscribes to
+export const PING_EVENT = 'ping';
+
+const CONFIG = {
+    REQUEST_TIMEOUT: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    // Wait before each retry; a delivery still failing after the last one is marked failed
+    RETRY_DELAYS: [60, 300, 1800, 7200, 21600].map(seconds => seconds * 1000),
+    // Deliveries sent per call, and how long a claimed one is left alone by other instances
+    BATCH_SIZE: 25,
+    CLAIM_MS: 60000,
+    USER_AGENT: 'match-webhooks/1'
+};
+
+export const MAX_DELIVERY_ATTEMPTS = CONFIG.RETRY_DELAYS.length + 1;
+
+// Statuses after which a match counts as played to a result (postponed or cancelled ones do not)
+const RESULT_STATUSES = ['FT', 'AET', 'PEN'];
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const score = (match) => ({ homeGoals: match.homeTeam?.goals ?? null, awayGoals: match.awayTeam?.goals ?? null });
+const linkIds = (match) => (match.broadcastChannels || []).map(String);
+
+// The part of a match row that goes out in events
+const toEventMatch = (match) => ({
+    matchId: match.matchId,
+    title: match.overrides?.title ?? null,
+    kickoffTime: match.kickoffTime,
+    status: match.status,
+    statusText: match.statusText,
+    elapsed: match.elapsed ?? null,
+    homeTeam: { name: match.homeTeam.name, logo: match.homeTeam.logo ?? null, goals: match.homeTeam.goals ?? null },
+    awayTeam: { name: match.awayTeam.name, logo: match.awayTeam.logo ?? null, goals: match.awayTeam.goals ?? null },
+    competition: { id: match.competition.id ?? null, name: match.competition.name },
+    broadcastChannels: match.broadcastChannels || []
+});
+
+const createEvent = (type, match, details = {}) => ({
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data: { match: toEventMatch(match), ...details }
+});
+
+/**
+ * Events for one stored match going from `before` to `after` (full rows). New matches and hidden
+ * ones produce none. A goal event is sent for any change of score, including a disallowed goal;
+ * `previous` lets the receiver tell which.
+ */
+export const matchEvents = (before, after) => {
+    if (!before || isHiddenMatch(after)) return [];
+    const events = [];
+    if (UPCOMING_STATUSES.includes(before.status) && LIVE_STATUSES.includes(after.status)) {
+        events.push(createEvent('match.kickoff', after));
+    }
+    const [oldScore, newScore] = [score(before), score(after)];
+    const scoreChanged = oldScore.homeGoals !== newScore.homeGoals || oldScore.awayGoals !== newScore.awayGoals;
+    // The score first appearing as 0-0 at kickoff is not a goal
+    const kickoffScore = oldScore.homeGoals === null && newScore.homeGoals === 0 && newScore.awayGoals === 0;
+    if (scoreChanged && newScore.homeGoals !== null && !kickoffScore) {
+        events.push(createEvent('match.goal', after, { previous: oldScore }));
+    }
+    if (!FINAL_STATUSES.includes(before.status) && RESULT_STATUSES.includes(after.status)) {
+        events.push(createEvent('match.full_time', after));
+    }
+    const [oldLinks, newLinks] = [linkIds(before), linkIds(after)];
+    const added = newLinks.filter(id => !oldLinks.includes(id));
+    const removed = oldLinks.filter(id => !newLinks.includes(id));
+    if (added.length || removed.length) events.push(createEvent('match.channels_linked', after, { added, removed }));
+    return events;
+};
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` keyed with the webhook secret>"
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// POSTs one delivery; resolves to { ok, responseStatus, error, responseMs }
+const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
+    const startedAt = Date.now();
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': CONFIG.USER_AGENT,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Delivery': String(delivery.id),
+                'X-Webhook-Signature': signPayload(webhook.secret, body)
+            },
+            body,
+            signal: controller.signal,
+            redirect: 'manual'
+        });
+        return { ok: response.ok, responseStatus: response.status, error: response.ok ? null : `HTTP ${response.status}`, responseMs: Date.now() - startedAt };
+    } catch (error) {
+        return {
+            ok: false, responseStatus: null, responseMs: Date.now() - startedAt,
+            error: error.name === 'AbortError' ? `Timed out after ${CONFIG.REQUEST_TIMEOUT}ms.` : error.message
+        };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+// Sends a claimed delivery and records the outcome: delivered, retry scheduled, or failed
+const attemptDelivery = async (delivery, webhook) => {
+    const attempts = delivery.attempts + 1;
+    // Deliveries queued before their webhook was disabled are dropped rather than held back
+    const skipped = !webhook?.enabled;
+    const result = skipped
+        ? { ok: false, responseStatus: null, error: webhook ? 'Webhook is disabled.' : 'Webhook no longer exists.', responseMs: null }
+        : await send(webhook, delivery);
+    const retryDelay = skipped || result.ok ? undefined : CONFIG.RETRY_DELAYS[attempts - 1];
+    return storage.webhookDeliveries.update(delivery.id, {
+        status: result.ok ? 'delivered' : retryDelay !== undefined ? 'pending' : 'failed',
+        attempts,
+        last_attempt_at: new Date().toISOString(),
+        next_attempt_at: retryDelay !== undefined ? new Date(Date.now() + retryDelay).toISOString() : null,
+        response_status: result.responseStatus,
+        response_ms: result.responseMs,
+        error: result.error
+    });
+};
+
+// Sends every pending delivery that is due (up to BATCH_SIZE). Never throws; resolves to counts by outcome.
+export const deliverDue = async () => {
+    const counts = { delivered: 0, retrying: 0, failed: 0 };
+    try {
+        const now = new Date();
+        const deliveries = await storage.webhookDeliveries.claimDue({
+            now: now.toISOString(),
+            until: new Date(now.getTime() + CONFIG.CLAIM_MS).toISOString(),
+            limit: CONFIG.BATCH_SIZE
+        });
+        if (deliveries.length === 0) return counts;
+        const webhooks = await storage.webhooks.findByIds([...new Set(deliveries.map(d => d.webhook_id))]);
+        const byId = new Map(webhooks.map(w => [String(w.id), w]));
+        const results = await Promise.all(deliveries.map(d => attemptDelivery(d, byId.get(String(d.webhook_id)))));
+        for (const row of results) counts[row.status === 'delivered' ? 'delivered' : row.status === 'failed' ? 'failed' : 'retrying']++;
+    } catch (error) {
+        console.error('Webhook delivery error:', error.message);
+    }
+    return counts;
+};
+
+// Queues a delivery of each event for every enabled webhook subscribed to its type
+const queueEvents = async (events) => {
+    try {
+        const webhooks = await storage.webhooks.listEnabled();
+        const rows = events.flatMap(event => webhooks
+            .filter(webhook => webhook.events.includes(event.type))
+            .map(webhook => ({ webhook_id: webhook.id, event_id: event.id, event_type: event.type, payload: event })));
+        if (rows.length > 0) await storage.webhookDeliveries.createMany(rows);
+    } catch (error) {
+        console.error('Failed to queue webhook events:', error.message);
+    }
+};
+
+/**
+ * Queues `events` (possibly none), then sends everything that is due, including earlier retries.
+ * Failures are logged, never thrown, so the change that produced the events still succeeds.
+ */
+export const publishEvents = async (events) => {
+    if (events.length > 0) await queueEvents(events);
+    await deliverDue();
+};
+
+// Sends a ping event to one webhook right away; resolves to the logged delivery
+export const pingWebhook = async (webhook) => {
+    const event = { id: crypto.randomUUID(), type: PING_EVENT, createdAt: new Date().toISOString(), data: { webhookId: webhook.id } };
+    const [delivery] = await storage.webhookDeliveries.createMany([
+        { webhook_id: webhook.id, event_id: event.id, event_type: PING_EVENT, payload: event, next_attempt_at: null }
+    ]);
+    // A ping is tried once: a failure is final rather than retried
+    const result = await send(webhook, delivery);
+    return storage.webhookDeliveries.update(delivery.id, {
+        status: result.ok ? 'delivered' : 'failed',
+        attempts: 1,
+        last_attempt_at: new Date().toISOString(),
+        response_status: result.responseStatus,
+        response_ms: result.responseMs,
+        error: result.error
+    });
+};
+
+// Queues a delivery to be sent again now, with one more attempt allowed even if it had failed
+export const redeliver = async (delivery) => {
+    await storage.webhookDeliveries.update(delivery.id, {
+        status: 'pending',
+        attempts: Math.min(delivery.attempts, MAX_DELIVERY_ATTEMPTS - 1),
+        next_attempt_at: new Date().toISOString()
+    });
+    await deliverDue();
+    return storage.webhookDeliveries.get(delivery.id);
+};
@@ -1,17 +1,73 @@
 const { useState, useEffect, useMemo, useCallback } = React;
 
+// --- Session storage helpers ---
+const session = {
+    get() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem('adminSession'));
+            if (!stored || new Date(stored.expiresAt) <= new Date()) return null;
+            return stored;
+        } catch {
+            return null;
+        }
+    },
+    set(value) { sessionStorage.setItem('adminSession', JSON.stringify(value)); },
+    clear() { sessionStorage.removeItem('adminSession'); }
+};
+
+const ROLES = ['viewer', 'channel_editor', 'super_admin'];
+const ROLE_LABELS = { viewer: 'مشاهد', channel_editor: 'محرر قنوات', super_admin: 'مدير عام' };
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+// Maps a validation error's details to { field: message }, keeping the first message per field
+const fieldErrors = (err) => (err.details || []).reduce((acc, d) => ({ [d.field]: d.message, ...acc }), {});
+
+const FieldError = ({ message }) => message ? <p className="mt-1 text-xs text-red-400">{message}</p> : null;
+
+// With `fields` (the fields a form shows next to their inputs), only the remaining details are listed,
+// and nothing is shown when every detail already has its place in the form
+const FormErrors = ({ error, fields = null }) => {
+    if (!error) return null;
+    const details = (error.details || []).filter(d => !fields?.includes(d.field));
+    if (fields && error.details?.length > 0 && details.length === 0) return null;
+    return (
+        <div className="p-3 bg-red-900/40 border border-red-700 rounded-md text-sm text-red-300">
+            <p className="font-bold">{error.message}</p>
+            {details.length > 0 && (
+                <ul className="mt-1 list-disc list-inside font-mono text-xs" dir="ltr">
+                    {details.map((d, i) => <li key={i}>{d.field}: {d.message}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- Date helpers (calendar days are YYYY-MM-DD strings in the server's configured timezone) ---
+const todayIn = (timeZone) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+const shiftDate = (dateString, days) => {
+    const d = new Date(`${dateString}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
 // --- Helper for API calls ---
 const api = {
-    async call(endpoint, method = 'GET', body = null) {
-        const passkey = sessionStorage.getItem('adminPasskey');
-        if (!passkey) throw new Error('Unauthorized');
+    async call(endpoint, method = 'GET', body = null, contentType = 'application/json') {
+        const { data } = await this.request(endpoint, method, body, contentType);
+        return data;
+    },
+
+    // Like call(), but also exposes the response headers. Bodies other than JSON are sent as-is.
+    async request(endpoint, method = 'GET', body = null, contentType = 'application/json') {
+        const current = session.get();
+        if (!current) throw new Error('Unauthorized');
 
         const headers = {
-            'Content-Type': 'application/json',
-            'X-Admin-Passkey': passkey
+            'Content-Type': contentType,
+            'Authorization': `Bearer ${current.token}`
         };
         const options = { method, headers };
-        if (body) options.body = JSON.stringify(body);
+        if (body) options.body = contentType === 'application/json' ? JSON.stringify(body) : body;
 
         const response = await fetch(endpoint, options);
         if (response.status === 401) {
@@ -19,94 +75,192 @@ const api = {
         }
         if (!response.ok) {
             const errData = await response.json();
-            throw new Error(errData.error || 'An API error occurred');
+            // Sync results that did not run (409 locked, 429 quota) explain why in `message`
+            const error = new Error(errData.error || errData.message || 'An API error occurred');
+            // Validation failures carry a per-field list: [{ field, message }]
+            error.details = errData.details || [];
+            throw error;
+        }
+        if (response.status === 204 || method === 'DELETE') return { data: { success: true }, headers: response.headers };
+        return { data: await response.json(), headers: response.headers };
+    },
+
+    // Saves an authenticated GET response as a file, named by its Content-Disposition
+    async download(endpoint) {
+        const current = session.get();
+        if (!current) throw new Error('Unauthorized');
+        const response = await fetch(endpoint, { headers: { 'Authorization': `Bearer ${current.token}` } });
+        if (!response.ok) {
+            const errData = await response.json();
+            throw new Error(errData.error || errData.message || 'An API error occurred');
         }
-        if (response.status === 204 || method === 'DELETE') return { success: true };
-        return response.json();
+        const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'download';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
     }
 };
 
+const MATCHES_PAGE_SIZE = 500;
+
+// Every match of one day, following X-Next-Cursor across pages. The sync status is the first page's.
+const fetchDayMatches = async (date) => {
+    let matches = [], syncStatus = null, cursor = null;
+    do {
+        const params = new URLSearchParams({ date, limit: MATCHES_PAGE_SIZE });
+        if (cursor) params.set('cursor', cursor);
+        const { data, headers } = await api.request(`/api/matches?${params}`);
+        matches = matches.concat(data);
+        syncStatus = syncStatus || headers.get('X-Sync-Status') || 'fresh';
+        cursor = headers.get('X-Next-Cursor');
+    } while (cursor);
+    return { matches, syncStatus };
+};
+
 const App = () => {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
+    const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
     const [matches, setMatches] = useState(null);
+    const [matchesLoading, setMatchesLoading] = useState(false);
     const [channels, setChannels] = useState([]);
-    const [currentDate, setCurrentDate] = useState(new Date().toISOString().slice(0, 10));
+    const [leagues, setLeagues] = useState([]);
+    const [syncStatus, setSyncStatus] = useState('fresh');
+    const [timezone, setTimezone] = useState(null);
+    const [currentDate, setCurrentDate] = useState(null);
     const [modal, setModal] = useState({ type: null, data: null });
+    const [view, setView] = useState('matches');
 
     const handleLogout = () => {
-        sessionStorage.removeItem('adminPasskey');
+        // Revoke the token server-side; the local session is dropped either way
+        api.call('/api/auth/logout', 'POST').catch(() => {});
+        session.clear();
         setIsAuthenticated(false);
+        setUser(null);
         setMatches(null);
     };
 
-    const handleLogin = (passkey) => {
-        sessionStorage.setItem('adminPasskey', passkey);
+    const handleLogin = (newSession) => {
+        session.set(newSession);
+        setUser(newSession.user);
         setIsAuthenticated(true);
     };
     
     useEffect(() => {
-        if (sessionStorage.getItem('adminPasskey')) {
+        const current = session.get();
+        if (current) {
+            setUser(current.user);
             setIsAuthenticated(true);
         } else {
             setLoading(false);
         }
     }, []);
 
+    const handleFetchError = (err) => {
+        if (err.message === 'Unauthorized') {
+            alert("جلسة غير صالحة. يتم تسجيل الخروج.");
+            handleLogout();
+        } else {
+            alert("خطأ في جلب البيانات: " + err.message);
+            setMatches(p => p || []);
+        }
+    };
+
+    // Channels, leagues and settings; the matches of the shown day are loaded by fetchMatches
     const fetchData = useCallback(async () => {
         if (!isAuthenticated) return;
         setLoading(true);
         try {
-            const [matchesData, channelsData] = await Promise.all([
-                api.call('/api/matches'),
-                api.call('/api/channels')
+            const [channelsData, leaguesData, settings] = await Promise.all([
+                api.call('/api/channels'),
+                api.call('/api/leagues'),
+                api.call('/api/settings')
             ]);
-            setMatches(matchesData);
+            setTimezone(settings.timezone);
+            setCurrentDate(p => p || todayIn(settings.timezone));
             setChannels(channelsData);
+            setLeagues(leaguesData);
         } catch (err) {
-            if (err.message === 'Unauthorized') {
-                alert("جلسة غير صالحة. يتم تسجيل الخروج.");
-                handleLogout();
-            } else {
-                alert("خطأ في جلب البيانات: " + err.message);
-                setMatches([]);
-            }
+            handleFetchError(err);
         } finally {
             setLoading(false);
         }
     }, [isAuthenticated]);
 
+    const fetchMatches = useCallback(async () => {
+        if (!isAuthenticated || !currentDate) return;
+        setMatchesLoading(true);
+        try {
+            const result = await fetchDayMatches(currentDate);
+            setMatches(result.matches);
+            setSyncStatus(result.syncStatus);
+        } catch (err) {
+            handleFetchError(err);
+        } finally {
+            setMatchesLoading(false);
+        }
+    }, [isAuthenticated, currentDate]);
+
+    const refreshAll = () => Promise.all([fetchData(), fetchMatches()]);
+
     useEffect(() => {
         fetchData();
     }, [isAuthenticated]);
+
+    useEffect(() => {
+        fetchMatches();
+    }, [fetchMatches]);
     
     const onChannelUpdate = (updatedChannel) => setChannels(p => p.map(c => c.id === updatedChannel.id ? updatedChannel : c));
     const onChannelAdd = (newChannel) => setChannels(p => [...p, newChannel].sort((a,b) => a.name.localeCompare(b.name)));
     const onChannelDelete = (channelId) => setChannels(p => p.filter(c => c.id !== channelId));
     
-    const changeDate = (days) => {
-        const d = new Date(currentDate);
-        d.setDate(d.getDate() + days);
-        setCurrentDate(d.toISOString().slice(0, 10));
+    const [syncing, setSyncing] = useState(false);
+    const [syncResult, setSyncResult] = useState(null);
+
+    // Runs POST /api/sync (default window, or the given range) and reloads the matches afterwards
+    const runSync = async (body = null) => {
+        if (syncing) return;
+        setSyncing(true);
+        setSyncResult(null);
+        try {
+            const result = await api.call('/api/sync', 'POST', body);
+            setSyncResult({ success: true, message: result.message, stats: result.stats });
+        } catch (err) {
+            setSyncResult({ success: false, message: err.message });
+        } finally {
+            setSyncing(false);
+        }
+        await refreshAll();
     };
 
+    // Backfills (or looks ahead to) a single day that has no data yet
+    const syncDate = (date) => runSync({ from: date, to: date });
+
+    const changeDate = (days) => setCurrentDate(p => shiftDate(p, days));
+
+    // Ordered [leagueName, group] pairs, following the configured league priority
     const groupedMatches = useMemo(() => {
-        if (!matches) return {};
-        return matches
-            .filter(match => match.matchDate === currentDate)
-            .reduce((acc, match) => {
-                const league = match.competition.name;
-                if (!acc[league]) acc[league] = { logo: match.competition.logo, country: match.competition.country, matches: [] };
-                acc[league].matches.push(match);
-                return acc;
-            }, {});
-    }, [matches, currentDate]);
+        if (!matches) return [];
+        const groups = matches.reduce((acc, match) => {
+            const league = match.competition.name;
+            if (!acc[league]) acc[league] = { id: match.competition.id, logo: match.competition.logo, country: match.competition.country, matches: [] };
+            acc[league].matches.push(match);
+            return acc;
+        }, {});
+        const priorityById = new Map(leagues.map(l => [Number(l.id), l.priority]));
+        const priorityByName = new Map(leagues.map(l => [l.display_name || l.name, l.priority]));
+        const priorityOf = ([name, group]) => priorityById.get(Number(group.id)) ?? priorityByName.get(name) ?? Infinity;
+        return Object.entries(groups).sort((a, b) => priorityOf(a) - priorityOf(b));
+    }, [matches, leagues]);
 
     if (!isAuthenticated) {
         return <LoginScreen onLogin={handleLogin} />;
     }
 
-    if (loading || matches === null) {
+    if (loading || matches === null || !currentDate) {
         return (
             <div className="flex items-center justify-center min-h-screen">
                 <i className="fas fa-spinner fa-spin text-4xl text-gray-500"></i>
@@ -116,27 +270,57 @@ const App = () => {
 
     return (
         <div className="max-w-4xl mx-auto p-4">
-            <Header onManageChannels={() => setModal({ type: 'channels' })} onForceSync={fetchData} onLogout={handleLogout} />
-            <DateNavigator currentDate={currentDate} changeDate={changeDate} />
-            <main>
-                {Object.keys(groupedMatches).length === 0 ? (
-                    <div className="text-center py-20 text-gray-500"><i className="fas fa-calendar-times text-5xl mb-4"></i><p>لا توجد مباريات في هذا اليوم.</p></div>
+            <Header user={user} onManageChannels={() => setModal({ type: 'channels' })} onManageUsers={() => setModal({ type: 'users' })} onForceSync={() => runSync()} onRefresh={refreshAll} syncing={syncing} onLogout={handleLogout} />
+            {syncResult && <SyncResultBanner result={syncResult} onDismiss={() => setSyncResult(null)} />}
+            {syncStatus !== 'fresh' && (
+                <div className="flex items-center justify-between gap-3 p-3 mb-4 bg-yellow-900/40 border border-yellow-700 rounded-lg text-sm text-yellow-200">
+                    <span><i className="fas fa-hourglass-half ml-2"></i>يتم تحديث البيانات في الخلفية، قد تكون النتائج المعروضة قديمة.</span>
+                    <button onClick={fetchMatches} className="px-3 py-1 bg-yellow-700 hover:bg-yellow-600 rounded-md">إعادة التحميل</button>
+                </div>
+            )}
+            <ViewTabs user={user} view={view} setView={setView} />
+            {view === 'history' && <AuditLogView />}
+            {view === 'webhooks' && <WebhooksView />}
+            {view === 'sync' && <SyncRunsView canRunRetention={hasRole(user, 'super_admin')} />}
+            {view === 'rules' && <LinkRulesView leagues={leagues} channels={channels} canEdit={hasRole(user, 'channel_editor')} />}
+            {view === 'leagues' && <LeaguesView leagues={leagues} setLeagues={setLeagues} channels={channels} canEdit={hasRole(user, 'channel_editor')} />}
+            {view === 'matches' && <DateNavigator currentDate={currentDate} changeDate={changeDate} timezone={timezone} />}
+            {view === 'matches' && hasRole(user, 'channel_editor') && (
+                <div className="flex justify-end mb-4">
+                    <button onClick={() => setModal({ type: 'match', data: null })} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md text-sm"><i className="fas fa-plus ml-2"></i>إضافة مباراة يدوية</button>
+                </div>
+            )}
+            {view === 'matches' && <main>
+                {matchesLoading ? (
+                    <div className="text-center py-20"><i className="fas fa-spinner fa-spin text-4xl text-gray-500"></i></div>
+                ) : groupedMatches.length === 0 ? (
+                    <div className="text-center py-20 text-gray-500">
+                        <i className="fas fa-calendar-times text-5xl mb-4"></i><p>لا توجد مباريات في هذا اليوم.</p>
+                        {hasRole(user, 'channel_editor') && (
+                            <button onClick={() => syncDate(currentDate)} disabled={syncing} className="mt-4 px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-md disabled:opacity-50">
+                                {syncing ? <i className="fas fa-spinner fa-spin"></i> : <><i className="fas fa-download ml-2"></i>مزامنة هذا اليوم</>}
+                            </button>
+                        )}
+                    </div>
                 ) : (
-                    Object.entries(groupedMatches).map(([league, data]) => (
+                    groupedMatches.map(([league, data]) => (
                         <div key={league} className="mb-6">
                             <div className="flex items-center gap-3 p-3 bg-gray-800 rounded-t-lg">
                                 <img src={data.logo} alt={league} className="w-6 h-6 object-contain"/>
                                 <div><h3 className="font-bold">{league}</h3><p className="text-xs text-gray-400">{data.country}</p></div>
                             </div>
                             <div className="space-y-px">
-                                {data.matches.map(match => <MatchRow key={match.matchId} match={match} onLinkClick={() => setModal({ type: 'link', data: match })} />)}
+                                {data.matches.map(match => <MatchRow key={match.matchId} match={match} timezone={timezone} onLinkClick={hasRole(user, 'channel_editor') ? () => setModal({ type: 'link', data: match }) : null} onEditClick={hasRole(user, 'channel_editor') ? () => setModal({ type: 'match', data: match }) : null} onDetailsClick={() => setModal({ type: 'details', data: match })} />)}
                             </div>
                         </div>
                     ))
                 )}
-            </main>
-            {modal.type === 'link' && <LinkChannelsModal match={modal.data} channels={channels} onClose={() => setModal({ type: null })} onComplete={fetchData} />}
-            {modal.type === 'channels' && <ManageChannelsModal channels={channels} onClose={() => setModal({ type: null })} onChannelUpdate={onChannelUpdate} onChannelAdd={onChannelAdd} onChannelDelete={onChannelDelete} />}
+            </main>}
+            {modal.type === 'link' && <LinkChannelsModal match={modal.data} channels={channels} onClose={() => setModal({ type: null })} onComplete={fetchMatches} />}
+            {modal.type === 'details' && <MatchDetailModal match={modal.data} channels={channels} timezone={timezone} canEdit={hasRole(user, 'channel_editor')} onClose={() => setModal({ type: null })} onLinkClick={match => setModal({ type: 'link', data: match })} />}
+            {modal.type === 'match' && <MatchEditorModal match={modal.data} leagues={leagues} defaultDate={currentDate} onClose={() => setModal({ type: null })} onSaved={fetchMatches} />}
+            {modal.type === 'channels' && <ManageChannelsModal channels={channels} onClose={() => setModal({ type: null })} onChannelUpdate={onChannelUpdate} onChannelAdd={onChannelAdd} onChannelDelete={onChannelDelete} onChannelsReplace={setChannels} />}
+            {modal.type === 'users' && <ManageUsersModal currentUser={user} onClose={() => setModal({ type: null })} />}
         </div>
     );
 };
@@ -144,7 +328,8 @@ const App = () => {
 // --- Child Components ---
 
 const LoginScreen = ({ onLogin }) => {
-    const [passkey, setPasskey] = useState('');
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
 
@@ -153,14 +338,15 @@ const LoginScreen = ({ onLogin }) => {
         setLoading(true);
         setError('');
         try {
-            const response = await fetch('/api/verify-passkey', {
+            const response = await fetch('/api/auth/login', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'X-Admin-Passkey': passkey }
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
             });
-            if (!response.ok) throw new Error('Invalid passkey');
-            onLogin(passkey);
+            if (!response.ok) throw new Error('Invalid credentials');
+            onLogin(await response.json());
         } catch (err) {
-            setError('كلمة المرور غير صحيحة.');
+            setError('اسم المستخدم أو كلمة المرور غير صحيحة.');
         } finally {
             setLoading(false);
         }
@@ -170,8 +356,13 @@ const LoginScreen = ({ onLogin }) => {
             <form onSubmit={handleSubmit} className="w-full max-w-sm p-8 space-y-6 bg-gray-800 rounded-lg shadow-xl">
                 <h1 className="text-3xl font-bold text-center text-white">لوحة التحكم</h1>
                 <div>
-                    <label htmlFor="passkey" className="text-sm font-medium text-gray-300">كلمة المرور</label>
-                    <input id="passkey" type="password" value={passkey} onChange={(e) => setPasskey(e.target.value)}
+                    <label htmlFor="username" className="text-sm font-medium text-gray-300">اسم المستخدم</label>
+                    <input id="username" type="text" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username"
+                        className="w-full px-3 py-2 mt-1 text-white bg-gray-700 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                </div>
+                <div>
+                    <label htmlFor="password" className="text-sm font-medium text-gray-300">كلمة المرور</label>
+                    <input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password"
                         className="w-full px-3 py-2 mt-1 text-white bg-gray-700 border border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                         placeholder="********" />
                 </div>
@@ -184,50 +375,130 @@ const LoginScreen = ({ onLogin }) => {
     );
 };
 
-const Header = ({ onManageChannels, onForceSync, onLogout }) => (
+const Header = ({ user, onManageChannels, onManageUsers, onForceSync, onRefresh, syncing, onLogout }) => (
     <header className="flex items-center justify-between py-4">
         <div className="flex items-center gap-2"><i className="fas fa-shield-halved text-3xl text-blue-400"></i><h1 className="text-3xl font-black">Admin Panel</h1></div>
         <div className="flex items-center gap-4">
-            <button onClick={onManageChannels} title="إدارة القنوات" className="text-gray-400 hover:text-white"><i className="fas fa-broadcast-tower text-2xl"></i></button>
-            <button onClick={onForceSync} title="تحديث قسري" className="text-gray-400 hover:text-white"><i className="fas fa-sync-alt text-2xl"></i></button>
+            {user && <span className="text-sm text-gray-400">{user.username} · {ROLE_LABELS[user.role]}</span>}
+            {hasRole(user, 'super_admin') && <button onClick={onManageUsers} title="إدارة المستخدمين" className="text-gray-400 hover:text-white"><i className="fas fa-users-cog text-2xl"></i></button>}
+            {hasRole(user, 'channel_editor') && <button onClick={onManageChannels} title="إدارة القنوات" className="text-gray-400 hover:text-white"><i className="fas fa-broadcast-tower text-2xl"></i></button>}
+            {hasRole(user, 'channel_editor') ? (
+                <button onClick={onForceSync} disabled={syncing} title={syncing ? 'جاري المزامنة...' : 'تحديث قسري'} className="text-gray-400 hover:text-white disabled:opacity-50 disabled:cursor-wait"><i className={`fas fa-sync-alt text-2xl ${syncing ? 'fa-spin' : ''}`}></i></button>
+            ) : (
+                <button onClick={onRefresh} title="إعادة التحميل" className="text-gray-400 hover:text-white"><i className="fas fa-redo text-2xl"></i></button>
+            )}
             <button onClick={onLogout} title="تسجيل الخروج" className="text-gray-400 hover:text-white"><i className="fas fa-sign-out-alt text-2xl"></i></button>
         </div>
     </header>
 );
 
-const DateNavigator = ({ currentDate, changeDate }) => {
-    const formatDate = (dateString) => new Date(dateString).toLocaleDateString('ar-EG', { weekday: 'long', day: 'numeric', month: 'long' });
-    const isToday = new Date(currentDate).toISOString().slice(0, 10) === new Date().toISOString().slice(0, 10);
+const SyncResultBanner = ({ result, onDismiss }) => (
+    <div className={`flex items-start justify-between gap-3 p-3 mb-4 rounded-lg text-sm border ${result.success ? 'bg-green-900/40 border-green-700 text-green-200' : 'bg-red-900/40 border-red-700 text-red-200'}`}>
+        <div>
+            <p className="font-bold"><i className={`fas ${result.success ? 'fa-check-circle' : 'fa-times-circle'} ml-2`}></i>{result.success ? 'اكتملت المزامنة' : 'فشلت المزامنة'}</p>
+            <p className="mt-1" dir="ltr">{result.message}</p>
+            {result.stats && (
+                <p className="mt-1 text-xs">
+                    جديدة: {result.stats.new ?? 0} · معدلة: {result.stats.changed ?? 0} · بدون تغيير: {result.stats.unchanged ?? 0} · محذوفة: {result.stats.dropped ?? 0} · طلبات: {result.stats.apiCalls ?? 0}
+                    {result.stats.errors?.length > 0 && <span className="text-yellow-300"> · أخطاء: {result.stats.errors.length}</span>}
+                </p>
+            )}
+        </div>
+        <button onClick={onDismiss} className="opacity-70 hover:opacity-100"><i className="fas fa-times"></i></button>
+    </div>
+);
+
+const VIEWS = [
+    { id: 'matches', label: 'المباريات', icon: 'fa-futbol' },
+    { id: 'leagues', label: 'الدوريات', icon: 'fa-trophy' },
+    { id: 'rules', label: 'قواعد الربط', icon: 'fa-magic' },
+    { id: 'sync', label: 'المزامنة', icon: 'fa-sync-alt' },
+    { id: 'webhooks', label: 'Webhooks', icon: 'fa-paper-plane', role: 'super_admin' },
+    { id: 'history', label: 'السجل', icon: 'fa-history' }
+];
+
+const ViewTabs = ({ user, view, setView }) => (
+    <nav className="flex gap-2 mb-4 border-b border-gray-700">
+        {VIEWS.filter(v => !v.role || hasRole(user, v.role)).map(v => (
+            <button key={v.id} onClick={() => setView(v.id)} className={`px-4 py-2 -mb-px border-b-2 transition-colors ${view === v.id ? 'border-blue-500 text-white' : 'border-transparent text-gray-400 hover:text-white'}`}>
+                <i className={`fas ${v.icon} ml-2`}></i>{v.label}
+            </button>
+        ))}
+    </nav>
+);
+
+const DateNavigator = ({ currentDate, changeDate, timezone }) => {
+    // The date string is a calendar day, so it is formatted as-is (UTC) rather than shifted into a zone
+    const formatDate = (dateString) => new Date(`${dateString}T00:00:00Z`).toLocaleDateString('ar-EG', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+    const isToday = currentDate === todayIn(timezone);
     return (
         <div className="flex items-center justify-between p-3 my-4 bg-gray-800 rounded-lg">
             <button onClick={() => changeDate(-1)} className="px-4 py-2 hover:bg-gray-700 rounded-md"><i className="fas fa-chevron-left"></i></button>
             <div className="text-center">
                 <h2 className="text-lg font-bold">{formatDate(currentDate)}</h2>
                 {isToday && <p className="text-sm text-blue-400">اليوم</p>}
+                <p className="text-xs text-gray-500" dir="ltr">{timezone}</p>
             </div>
             <button onClick={() => changeDate(1)} className="px-4 py-2 hover:bg-gray-700 rounded-md"><i className="fas fa-chevron-right"></i></button>
         </div>
     );
 };
 
-const MatchRow = ({ match, onLinkClick }) => {
-    const isLive = ['1H', 'HT', '2H', 'ET', 'P'].includes(match.status);
+// Small markers for a match's source and overrides
+const MatchBadges = ({ match }) => {
+    const overrides = match.overrides || {};
+    const badges = [
+        match.source === 'manual' && { icon: 'fa-hand-paper', title: 'مباراة يدوية' },
+        overrides.featured && { icon: 'fa-star text-yellow-400', title: 'مميزة' },
+        overrides.hidden && { icon: 'fa-eye-slash text-red-400', title: 'مخفية عن الواجهة العامة' },
+        overrides.kickoffTime && { icon: 'fa-clock text-blue-400', title: 'موعد معدل' }
+    ].filter(Boolean);
+    if (!overrides.title && badges.length === 0) return null;
+    return (
+        <div className="flex items-center justify-center gap-2 text-xs text-gray-400">
+            {badges.map(b => <i key={b.icon} className={`fas ${b.icon}`} title={b.title}></i>)}
+            {overrides.title && <span className="truncate max-w-[8rem]" title={overrides.title}>{overrides.title}</span>}
+        </div>
+    );
+};
+
+const MatchRow = ({ match, timezone, onLinkClick, onEditClick, onDetailsClick }) => {
+    const isLive = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'].includes(match.status);
     const hasEnded = ['FT', 'AET', 'PEN'].includes(match.status);
     const notStarted = match.status === 'NS';
     return (
-        <div onClick={onLinkClick} className="flex items-center p-4 bg-gray-800/50 hover:bg-gray-800 transition-colors cursor-pointer last:rounded-b-lg">
+        <div onClick={onLinkClick || undefined} className={`flex items-center p-4 bg-gray-800/50 hover:bg-gray-800 transition-colors last:rounded-b-lg ${onLinkClick ? 'cursor-pointer' : ''} ${match.overrides?.hidden ? 'opacity-60' : ''}`}>
             <div className="flex-1 flex items-center justify-end gap-3"><span className="font-bold text-right hidden sm:inline">{match.homeTeam.name}</span><span className="font-bold text-right sm:hidden">{match.homeTeam.name.substring(0, 10)}</span><img src={match.homeTeam.logo} alt={match.homeTeam.name} className="w-8 h-8 rounded-full team-logo"/></div>
-            <div className="w-28 text-center px-2">{notStarted ? (<div className="font-bold text-lg">{new Date(match.kickoffTime).toLocaleTimeString('en-US', {hour: '2-digit', minute:'2-digit'})}</div>) : (<div className={`font-black text-2xl ${isLive ? 'text-red-500' : ''}`}>{match.homeTeam.goals ?? '-'} : {match.awayTeam.goals ?? '-'}</div>)}{isLive && <div className="text-xs font-bold text-red-500 animate-pulse">مباشر</div>}{hasEnded && <div className="text-xs text-gray-400">انتهت</div>}</div>
+            <div className="w-28 text-center px-2">{notStarted ? (<div className="font-bold text-lg">{new Date(match.kickoffTime).toLocaleTimeString('en-US', {hour: '2-digit', minute:'2-digit', timeZone: timezone})}</div>) : (<div className={`font-black text-2xl ${isLive ? 'text-red-500' : ''}`}>{match.homeTeam.goals ?? '-'} : {match.awayTeam.goals ?? '-'}</div>)}{isLive && <div className="text-xs font-bold text-red-500 animate-pulse">{match.elapsed ? `${match.elapsed}'` : 'مباشر'}</div>}{hasEnded && <div className="text-xs text-gray-400">انتهت</div>}<MatchBadges match={match} /></div>
             <div className="flex-1 flex items-center gap-3"><img src={match.awayTeam.logo} alt={match.awayTeam.name} className="w-8 h-8 rounded-full team-logo"/><span className="font-bold text-left hidden sm:inline">{match.awayTeam.name}</span><span className="font-bold text-left sm:hidden">{match.awayTeam.name.substring(0, 10)}</span></div>
+            <button onClick={e => { e.stopPropagation(); onDetailsClick(); }} title="تفاصيل المباراة" className="p-2 text-gray-400 hover:text-white"><i className="fas fa-info-circle"></i></button>
+            {onEditClick && <button onClick={e => { e.stopPropagation(); onEditClick(); }} title="تعديل المباراة" className="p-2 text-gray-400 hover:text-white"><i className="fas fa-pen"></i></button>}
         </div>
     );
 };
 
+// Summarises a channel's last stream check: how many of its URLs answered
+const StreamHealthBadge = ({ channel }) => {
+    const checks = channel.urls.map(u => channel.health?.[u.url]).filter(Boolean);
+    const up = checks.filter(c => c.status === 'up').length;
+    const details = channel.urls.map(u => {
+        const c = channel.health?.[u.url];
+        return `${u.quality} ${u.url}: ${!c ? 'لم يُفحص' : c.status === 'up' ? `يعمل (${c.responseMs}ms)` : `متوقف (${c.error})`}`;
+    }).join('\n');
+    let style, label;
+    if (checks.length === 0) { style = 'bg-gray-600 text-gray-200'; label = 'لم يُفحص'; }
+    else if (up === channel.urls.length) { style = 'bg-green-700 text-green-100'; label = 'يعمل'; }
+    else if (up === 0) { style = 'bg-red-700 text-red-100'; label = 'متوقف'; }
+    else { style = 'bg-yellow-700 text-yellow-100'; label = `${up}/${channel.urls.length} يعمل`; }
+    return <span title={details} className={`px-2 py-0.5 rounded text-xs whitespace-nowrap ${style}`}>{label}</span>;
+};
+
 // --- ALL MODAL COMPONENTS ARE INCLUDED HERE ---
 
 const LinkChannelsModal = ({ match, channels, onClose, onComplete }) => {
     const [selectedIds, setSelectedIds] = useState(match.broadcastChannels || []);
     const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
     const groupedChannels = useMemo(() => channels.reduce((acc, ch) => {
         if (!acc[ch.category]) acc[ch.category] = [];
         acc[ch.category].push(ch);
@@ -236,12 +507,13 @@ const LinkChannelsModal = ({ match, channels, onClose, onComplete }) => {
 
     const handleSave = async () => {
         setLoading(true);
+        setError(null);
         try {
             await api.call('/api/link', 'POST', { matchId: match.matchId, channelIds: selectedIds });
             onComplete(); 
             onClose();
         } catch (err) { 
-            alert('Error: ' + err.message); 
+            setError(err); 
         } finally { 
             setLoading(false); 
         }
@@ -255,6 +527,7 @@ const LinkChannelsModal = ({ match, channels, onClose, onComplete }) => {
                     <p className="text-sm text-gray-400">{match.homeTeam.name} vs {match.awayTeam.name}</p>
                 </header>
                 <div className="p-6 max-h-[60vh] overflow-y-auto space-y-4">
+                    <FormErrors error={error} />
                     {Object.keys(groupedChannels).length === 0 ? (
                         <p className="text-center text-gray-400">لا توجد قنوات. أضف قناة أولاً.</p>
                     ) : Object.entries(groupedChannels).map(([category, chs]) => (
@@ -265,7 +538,8 @@ const LinkChannelsModal = ({ match, channels, onClose, onComplete }) => {
                                     <label key={ch.id} className={`flex items-center gap-3 p-3 rounded-md cursor-pointer transition-colors ${selectedIds.includes(ch.id) ? 'bg-blue-600/50 ring-2 ring-blue-500' : 'bg-gray-700/50 hover:bg-gray-700'}`}>
                                         <input type="checkbox" checked={selectedIds.includes(ch.id)} onChange={() => setSelectedIds(p => p.includes(ch.id) ? p.filter(i => i !== ch.id) : [...p, ch.id])} className="w-5 h-5 accent-blue-500" />
                                         <img src={ch.logo} alt={ch.name} className="w-8 h-8 rounded-md channel-logo" />
-                                        <span className="font-semibold">{ch.name}</span>
+                                        <span className="font-semibold flex-1">{ch.name}</span>
+                                        <StreamHealthBadge channel={ch} />
                                     </label>
                                 ))}
                             </div>
@@ -283,25 +557,351 @@ const LinkChannelsModal = ({ match, channels, onClose, onComplete }) => {
     );
 };
 
-const ManageChannelsModal = ({ channels, onClose, onChannelUpdate, onChannelAdd, onChannelDelete }) => {
+const EVENT_ICONS = { 'Yellow Card': 'fa-square text-yellow-400', 'Red Card': 'fa-square text-red-500', 'Own Goal': 'fa-futbol text-red-400', 'Missed Penalty': 'fa-times-circle text-gray-400' };
+const POSITION_LABELS = { G: 'حارس', D: 'مدافع', M: 'وسط', F: 'مهاجم' };
+
+const formatScore = (score) => score ? `${score.home ?? '-'} : ${score.away ?? '-'}` : null;
+
+// Stored match data, events and line-ups of one match, with its channel links
+const MatchDetailModal = ({ match: listMatch, channels, timezone, canEdit, onClose, onLinkClick }) => {
+    const [match, setMatch] = useState(null);
+    const [error, setError] = useState(null);
+    const [fetching, setFetching] = useState(false);
+
+    useEffect(() => {
+        api.call(`/api/matches/${encodeURIComponent(listMatch.matchId)}?tz=${encodeURIComponent(timezone)}`).then(setMatch).catch(setError);
+    }, [listMatch.matchId, timezone]);
+
+    const handleFetchDetails = async () => {
+        setFetching(true);
+        setError(null);
+        try {
+            const details = await api.call(`/api/matches/${encodeURIComponent(listMatch.matchId)}/details`, 'POST');
+            setMatch(p => ({ ...p, details }));
+        } catch (err) {
+            setError(err);
+        } finally {
+            setFetching(false);
+        }
+    };
+
+    const shown = match || listMatch;
+    const channelName = (id) => channels.find(ch => String(ch.id) === String(id))?.name || `#${id}`;
+    const score = shown.score || {};
+    const facts = [
+        ['البطولة', [shown.competition.name, shown.round].filter(Boolean).join(' · ')],
+        ['الموعد', new Date(shown.kickoffTime).toLocaleString('ar-EG', { timeZone: timezone })],
+        ['الحالة', `${MATCH_STATUS_LABELS[shown.status] || shown.statusText}${shown.elapsed && !['FT', 'AET', 'PEN'].includes(shown.status) ? ` (${shown.elapsed}')` : ''}`],
+        ['الملعب', shown.venue && [shown.venue.name, shown.venue.city].filter(Boolean).join('، ')],
+        ['الحكم', shown.referee],
+        ['الشوط الأول', formatScore(score.halftime)],
+        ['الوقت الإضافي', formatScore(score.extratime)],
+        ['ركلات الترجيح', formatScore(score.penalty)]
+    ].filter(([, value]) => value);
+    const details = match?.details;
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div className="w-full max-w-3xl bg-gray-800 rounded-lg shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
+                <header className="p-4 border-b border-gray-700 flex items-center justify-between gap-3">
+                    <div>
+                        <h2 className="text-xl font-bold">{shown.homeTeam.name} <span className="text-gray-400">{shown.homeTeam.goals ?? '-'} : {shown.awayTeam.goals ?? '-'}</span> {shown.awayTeam.name}</h2>
+                        {shown.overrides?.title && <p className="text-sm text-gray-400">{shown.overrides.title}</p>}
+                    </div>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white"><i className="fas fa-times text-xl"></i></button>
+                </header>
+                <div className="p-6 max-h-[70vh] overflow-y-auto space-y-6">
+                    <FormErrors error={error} />
+                    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+                        {facts.map(([label, value]) => (
+                            <div key={label} className="flex justify-between gap-3 border-b border-gray-700/50 py-1">
+                                <dt className="text-gray-400">{label}</dt>
+                                <dd className="font-semibold text-left">{value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+
+                    <section className="space-y-2">
+                        <div className="flex items-center justify-between">
+                            <h3 className="font-bold text-blue-400">القنوات الناقلة</h3>
+                            {canEdit && <button onClick={() => onLinkClick(shown)} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded-md text-sm"><i className="fas fa-link ml-2"></i>ربط القنوات</button>}
+                        </div>
+                        {(shown.broadcastChannels || []).length === 0
+                            ? <p className="text-sm text-gray-500">لا توجد قنوات مرتبطة.</p>
+                            : <p className="text-sm">{shown.broadcastChannels.map(channelName).join('، ')}{shown.linkedManually && <span className="text-xs text-gray-400"> · ربط يدوي</span>}</p>}
+                    </section>
+
+                    {shown.source !== 'manual' && (
+                        <section className="space-y-3">
+                            <div className="flex items-center justify-between">
+                                <h3 className="font-bold text-blue-400">الأحداث والتشكيلات</h3>
+                                <div className="flex items-center gap-3">
+                                    {details && <span className="text-xs text-gray-400">آخر تحديث: {formatDateTime(details.fetchedAt)}</span>}
+                                    {canEdit && (
+                                        <button onClick={handleFetchDetails} disabled={fetching || !match} title="يستهلك طلبين من حصة API-Football" className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded-md text-sm disabled:opacity-50">
+                                            <i className={`fas ${fetching ? 'fa-spinner fa-spin' : 'fa-download'} ml-2`}></i>{details ? 'تحديث' : 'جلب'}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                            {!match ? (
+                                <div className="text-center py-4"><i className="fas fa-spinner fa-spin text-2xl text-gray-500"></i></div>
+                            ) : !details ? (
+                                <p className="text-sm text-gray-500">لم تُجلب الأحداث والتشكيلات بعد.</p>
+                            ) : (
+                                <>
+                                    <MatchEvents events={details.events} homeTeam={shown.homeTeam.name} />
+                                    <MatchLineups lineups={details.lineups} />
+                                </>
+                            )}
+                        </section>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Goals and cards in match order; home team events on the right, away on the left
+const MatchEvents = ({ events, homeTeam }) => events.length === 0 ? <p className="text-sm text-gray-500">لا توجد أهداف أو بطاقات.</p> : (
+    <ul className="space-y-1 text-sm">
+        {events.map((e, i) => (
+            <li key={i} className={`flex items-center gap-2 ${e.team === homeTeam ? '' : 'flex-row-reverse text-left'}`}>
+                <span className="w-12 text-center font-mono text-gray-400">{e.minute}'{e.extra ? `+${e.extra}` : ''}</span>
+                <i className={`fas ${EVENT_ICONS[e.detail] || (e.type === 'goal' ? 'fa-futbol text-green-400' : 'fa-square text-yellow-400')}`} title={e.detail}></i>
+                <span className="font-semibold">{e.player}</span>
+                {e.type === 'goal' && e.assist && <span className="text-xs text-gray-400">({e.assist})</span>}
+            </li>
+        ))}
+    </ul>
+);
+
+const MatchLineups = ({ lineups }) => lineups.length === 0 ? <p className="text-sm text-gray-500">التشكيلات غير متاحة بعد.</p> : (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {lineups.map(lineup => (
+            <div key={lineup.teamId ?? lineup.team} className="p-3 bg-gray-700/40 rounded-md text-sm">
+                <p className="font-bold">{lineup.team} <span className="text-xs text-gray-400" dir="ltr">{lineup.formation}</span></p>
+                {lineup.coach && <p className="text-xs text-gray-400 mb-2">المدرب: {lineup.coach}</p>}
+                <ul className="space-y-0.5">
+                    {lineup.startXI.map(p => (
+                        <li key={`${p.number}-${p.name}`} className="flex gap-2"><span className="w-6 text-left font-mono text-gray-400">{p.number}</span><span className="flex-1">{p.name}</span><span className="text-xs text-gray-500">{POSITION_LABELS[p.position] || ''}</span></li>
+                    ))}
+                </ul>
+                {lineup.substitutes.length > 0 && <p className="mt-2 text-xs text-gray-400">البدلاء: {lineup.substitutes.map(p => p.name).join('، ')}</p>}
+            </div>
+        ))}
+    </div>
+);
+
+const MATCH_STATUS_LABELS = {
+    NS: 'لم تبدأ', '1H': 'الشوط الأول', HT: 'استراحة', '2H': 'الشوط الثاني', ET: 'وقت إضافي', P: 'ركلات ترجيح',
+    FT: 'انتهت', AET: 'انتهت بعد وقت إضافي', PEN: 'انتهت بركلات الترجيح', PST: 'مؤجلة', CANC: 'ملغاة', ABD: 'متوقفة'
+};
+
+// datetime-local inputs work in the browser's time zone
+const toLocalInput = (iso) => {
+    if (!iso) return '';
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => value ? new Date(value).toISOString() : null;
+
+const toTeamForm = (team) => ({ name: team?.name || '', logo: team?.logo || '', goals: team?.goals ?? '' });
+const fromTeamForm = (team) => ({ name: team.name, logo: team.logo || null, goals: team.goals === '' ? null : Number(team.goals) });
+
+// Creates a manual match (match = null), or edits a match: overrides for any match, every field of a manual one
+const MatchEditorModal = ({ match, leagues, defaultDate, onClose, onSaved }) => {
+    const isNew = !match;
+    const isManual = isNew || match.source === 'manual';
+    const [form, setForm] = useState({
+        kickoffTime: match ? toLocalInput(match.kickoffTime) : `${defaultDate}T18:00`,
+        status: match?.status || 'NS',
+        homeTeam: toTeamForm(match?.homeTeam),
+        awayTeam: toTeamForm(match?.awayTeam),
+        leagueId: match?.competition.id ? String(match.competition.id) : '',
+        competitionName: match?.competition.name || '',
+        competitionCountry: match?.competition.country || ''
+    });
+    const [overrides, setOverrides] = useState({
+        title: match?.overrides?.title || '',
+        hidden: !!match?.overrides?.hidden,
+        featured: !!match?.overrides?.featured,
+        kickoffTime: toLocalInput(match?.overrides?.kickoffTime)
+    });
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const errors = error ? fieldErrors(error) : {};
+
+    const setTeam = (side, field, value) => setForm(p => ({ ...p, [side]: { ...p[side], [field]: value } }));
+
+    const manualBody = () => {
+        const league = leagues.find(l => String(l.id) === form.leagueId);
+        return {
+            kickoffTime: fromLocalInput(form.kickoffTime),
+            status: form.status,
+            homeTeam: fromTeamForm(form.homeTeam),
+            awayTeam: fromTeamForm(form.awayTeam),
+            competition: league
+                ? { id: Number(league.id), name: league.display_name || league.name, country: league.country, logo: league.logo }
+                : { id: null, name: form.competitionName, country: form.competitionCountry || null, logo: null }
+        };
+    };
+
+    const overridesBody = () => ({
+        title: overrides.title.trim() || null,
+        hidden: overrides.hidden,
+        featured: overrides.featured,
+        ...(isManual ? {} : { kickoffTime: fromLocalInput(overrides.kickoffTime) })
+    });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            if (isNew) await api.call('/api/matches', 'POST', manualBody());
+            else {
+                if (isManual) await api.call(`/api/matches/${match.matchId}`, 'PUT', manualBody());
+                await api.call(`/api/matches/${match.matchId}/overrides`, 'PUT', overridesBody());
+            }
+            onSaved();
+            onClose();
+        } catch (err) {
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm('هل أنت متأكد من حذف هذه المباراة؟')) return;
+        try {
+            await api.call(`/api/matches/${match.matchId}`, 'DELETE');
+            onSaved();
+            onClose();
+        } catch (err) {
+            setError(err);
+        }
+    };
+
+    const teamFields = (side, label) => (
+        <div className="space-y-2">
+            <h3 className="font-semibold text-blue-400">{label}</h3>
+            <input value={form[side].name} onChange={e => setTeam(side, 'name', e.target.value)} required placeholder="اسم الفريق" className="w-full p-2 bg-gray-700 rounded-md" />
+            <FieldError message={errors[`${side}.name`]} />
+            <input type="url" value={form[side].logo} onChange={e => setTeam(side, 'logo', e.target.value)} placeholder="رابط الشعار (اختياري)" className="w-full p-2 bg-gray-700 rounded-md" />
+            <FieldError message={errors[`${side}.logo`]} />
+            <input type="number" min="0" max="99" value={form[side].goals} onChange={e => setTeam(side, 'goals', e.target.value)} placeholder="الأهداف" className="w-full p-2 bg-gray-700 rounded-md" />
+            <FieldError message={errors[`${side}.goals`]} />
+        </div>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <form onSubmit={handleSubmit} className="w-full max-w-2xl bg-gray-800 rounded-lg shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
+                <header className="p-4 border-b border-gray-700">
+                    <h2 className="text-xl font-bold">{isNew ? 'إضافة مباراة يدوية' : 'تعديل المباراة'}</h2>
+                    {!isNew && <p className="text-sm text-gray-400">{match.homeTeam.name} vs {match.awayTeam.name}{isManual ? ' · يدوية' : ''}</p>}
+                </header>
+                <div className="p-6 max-h-[65vh] overflow-y-auto space-y-4">
+                    {error && !error.details?.length && <FormErrors error={error} />}
+                    {isManual && (
+                        <div className="space-y-4">
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                <div><label className="text-sm">موعد الانطلاق (بتوقيت جهازك)</label><input type="datetime-local" value={form.kickoffTime} onChange={e => setForm(p => ({ ...p, kickoffTime: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.kickoffTime} /></div>
+                                <div><label className="text-sm">الحالة</label><select value={form.status} onChange={e => setForm(p => ({ ...p, status: e.target.value }))} className="w-full mt-1 p-2 bg-gray-700 rounded-md">{Object.entries(MATCH_STATUS_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}</select></div>
+                            </div>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">{teamFields('homeTeam', 'المضيف')}{teamFields('awayTeam', 'الضيف')}</div>
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                                <div><label className="text-sm">البطولة</label><select value={form.leagueId} onChange={e => setForm(p => ({ ...p, leagueId: e.target.value }))} className="w-full mt-1 p-2 bg-gray-700 rounded-md"><option value="">أخرى (بدون دوري)</option>{leagues.map(l => <option key={l.id} value={l.id}>{l.display_name || l.name}</option>)}</select></div>
+                                {!form.leagueId && <div><label className="text-sm">اسم البطولة</label><input value={form.competitionName} onChange={e => setForm(p => ({ ...p, competitionName: e.target.value }))} required placeholder="مثال: مباراة ودية" className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors['competition.name']} /></div>}
+                                {!form.leagueId && <div><label className="text-sm">الدولة</label><input value={form.competitionCountry} onChange={e => setForm(p => ({ ...p, competitionCountry: e.target.value }))} className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>}
+                            </div>
+                        </div>
+                    )}
+                    {!isNew && (
+                        <div className={`space-y-3 ${isManual ? 'pt-4 border-t border-gray-700' : ''}`}>
+                            <h3 className="font-semibold">إعدادات العرض <span className="text-xs text-gray-400">(لا تغيرها المزامنة)</span></h3>
+                            <div><label className="text-sm">عنوان مخصص</label><input value={overrides.title} onChange={e => setOverrides(p => ({ ...p, title: e.target.value }))} placeholder="يُعرض بدلاً من أسماء الفريقين" className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.title} /></div>
+                            {!isManual && (
+                                <div>
+                                    <label className="text-sm">تصحيح موعد الانطلاق (بتوقيت جهازك)</label>
+                                    <div className="flex gap-2 mt-1">
+                                        <input type="datetime-local" value={overrides.kickoffTime} onChange={e => setOverrides(p => ({ ...p, kickoffTime: e.target.value }))} className="flex-1 p-2 bg-gray-700 rounded-md" />
+                                        {overrides.kickoffTime && <button type="button" onClick={() => setOverrides(p => ({ ...p, kickoffTime: '' }))} title="إلغاء التصحيح" className="px-3 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-times"></i></button>}
+                                    </div>
+                                    {match.providerKickoffTime && <p className="mt-1 text-xs text-gray-400">الموعد من المصدر: {formatDateTime(match.providerKickoffTime)}</p>}
+                                    <FieldError message={errors.kickoffTime} />
+                                </div>
+                            )}
+                            <div className="flex gap-6">
+                                <label className="flex items-center gap-2"><input type="checkbox" checked={overrides.featured} onChange={e => setOverrides(p => ({ ...p, featured: e.target.checked }))} className="w-5 h-5 accent-yellow-500" />مميزة (تظهر أولاً)</label>
+                                <label className="flex items-center gap-2"><input type="checkbox" checked={overrides.hidden} onChange={e => setOverrides(p => ({ ...p, hidden: e.target.checked }))} className="w-5 h-5 accent-red-500" />مخفية عن الواجهة العامة</label>
+                            </div>
+                        </div>
+                    )}
+                </div>
+                <footer className="p-4 flex justify-between gap-3 bg-gray-900/50 border-t border-gray-700">
+                    <div>{!isNew && isManual && <button type="button" onClick={handleDelete} className="px-4 py-2 bg-red-600 hover:bg-red-500 rounded-md"><i className="fas fa-trash ml-2"></i>حذف</button>}</div>
+                    <div className="flex gap-3">
+                        <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md">إلغاء</button>
+                        <button type="submit" disabled={loading} className="px-6 py-2 bg-blue-600 hover:bg-blue-500 rounded-md disabled:opacity-50">{loading ? 'جاري الحفظ...' : (isNew ? 'إضافة المباراة' : 'حفظ')}</button>
+                    </div>
+                </footer>
+            </form>
+        </div>
+    );
+};
+
+const ManageChannelsModal = ({ channels, onClose, onChannelUpdate, onChannelAdd, onChannelDelete, onChannelsReplace }) => {
     const [mode, setMode] = useState('list');
     const [selectedChannel, setSelectedChannel] = useState(null);
+    const [checking, setChecking] = useState(false);
     const handleEditClick = (channel) => { setSelectedChannel(channel); setMode('edit'); };
     const handleBackToList = () => { setMode('list'); setSelectedChannel(null); };
 
+    const handleExport = (format) => api.download(`/api/channels/export?format=${format}`).catch(err => alert("خطأ: " + err.message));
+
+    const handleCheckAll = async () => {
+        setChecking(true);
+        try {
+            const result = await api.call('/api/channels/check-streams', 'POST');
+            onChannelsReplace(await api.call('/api/channels'));
+            alert(`تم فحص ${result.checked} رابط: ${result.up} يعمل، ${result.down} متوقف.`);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        } finally {
+            setChecking(false);
+        }
+    };
+
     return (
         <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50" onClick={onClose}>
             <div className="w-full max-w-4xl bg-gray-800 rounded-lg shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
                 <header className="p-4 flex justify-between items-center border-b border-gray-700">
                     <h2 className="text-xl font-bold">إدارة القنوات</h2>
                     {mode === 'list' ? (
-                        <button onClick={() => setMode('add')} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md"><i className="fas fa-plus mr-2"></i>إضافة قناة</button>
+                        <div className="flex gap-2">
+                            <button onClick={() => handleExport('json')} title="تصدير JSON" className="px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-file-export mr-1"></i>JSON</button>
+                            <button onClick={() => handleExport('csv')} title="تصدير CSV" className="px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-file-csv mr-1"></i>CSV</button>
+                            <button onClick={() => setMode('import')} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-file-import mr-2"></i>استيراد</button>
+                            <button onClick={handleCheckAll} disabled={checking} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md disabled:opacity-50"><i className={`fas ${checking ? 'fa-spinner fa-spin' : 'fa-heartbeat'} mr-2`}></i>{checking ? 'جاري الفحص...' : 'فحص الروابط'}</button>
+                            <button onClick={() => setMode('add')} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md"><i className="fas fa-plus mr-2"></i>إضافة قناة</button>
+                        </div>
                     ) : (
                         <button onClick={handleBackToList} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-arrow-left mr-2"></i>عودة</button>
                     )}
                 </header>
                 <div className="p-6 max-h-[70vh] overflow-y-auto">
-                    {mode === 'list' && <ChannelList channels={channels} onEdit={handleEditClick} onDelete={onChannelDelete} />}
+                    {mode === 'list' && (
+                        <p className="mb-4 text-xs text-gray-400">
+                            <i className="fas fa-tv ml-2"></i>لمشغلات IPTV:{' '}
+                            <a href="/api/public/playlist.m3u" target="_blank" className="text-blue-400 hover:underline" dir="ltr">playlist.m3u</a>{' · '}
+                            <a href="/api/public/epg.xml" target="_blank" className="text-blue-400 hover:underline" dir="ltr">epg.xml</a>
+                        </p>
+                    )}
+                    {mode === 'list' && <ChannelList channels={channels} onEdit={handleEditClick} onDelete={onChannelDelete} onUpdate={onChannelUpdate} />}
+                    {mode === 'import' && <ChannelImport onComplete={async () => { onChannelsReplace(await api.call('/api/channels')); handleBackToList(); }} />}
                     {mode === 'add' && <ChannelForm onComplete={(newChannel) => { onChannelAdd(newChannel); handleBackToList(); }} />}
                     {mode === 'edit' && <ChannelForm channel={selectedChannel} onComplete={(updatedChannel) => { onChannelUpdate(updatedChannel); handleBackToList(); }} />}
                 </div>
@@ -310,7 +910,19 @@ const ManageChannelsModal = ({ channels, onClose, onChannelUpdate, onChannelAdd,
     );
 };
 
-const ChannelList = ({ channels, onEdit, onDelete }) => {
+const ChannelList = ({ channels, onEdit, onDelete, onUpdate }) => {
+    const [checkingId, setCheckingId] = useState(null);
+    const handleCheck = async (channelId) => {
+        setCheckingId(channelId);
+        try {
+            const result = await api.call(`/api/channels/${channelId}/check-streams`, 'POST');
+            onUpdate(result.channel);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        } finally {
+            setCheckingId(null);
+        }
+    };
     const handleDelete = async (channelId) => {
         if (!confirm('هل أنت متأكد؟')) return;
         try { 
@@ -331,6 +943,8 @@ const ChannelList = ({ channels, onEdit, onDelete }) => {
                         <p className="font-bold">{ch.name}</p>
                         <p className="text-xs text-gray-400">{ch.category} - {ch.urls.length} رابط</p>
                     </div>
+                    <StreamHealthBadge channel={ch} />
+                    <button onClick={() => handleCheck(ch.id)} disabled={checkingId !== null} title="فحص الروابط" className="text-gray-400 hover:text-white px-3 disabled:opacity-50"><i className={`fas ${checkingId === ch.id ? 'fa-spinner fa-spin' : 'fa-heartbeat'}`}></i></button>
                     <button onClick={() => onEdit(ch)} className="text-blue-400 hover:text-blue-300 px-3"><i className="fas fa-edit"></i></button>
                     <button onClick={() => handleDelete(ch.id)} className="text-red-500 hover:text-red-400 px-3"><i className="fas fa-trash"></i></button>
                 </div>
@@ -339,10 +953,76 @@ const ChannelList = ({ channels, onEdit, onDelete }) => {
     );
 };
 
+const IMPORT_ACTION_LABELS = { create: 'إضافة', update: 'تعديل', unchanged: 'بدون تغيير' };
+const IMPORT_ACTION_STYLES = { create: 'text-green-400', update: 'text-yellow-300', unchanged: 'text-gray-500' };
+
+// Reads a JSON or CSV file, shows the server's dry-run diff, then applies it on confirmation
+const ChannelImport = ({ onComplete }) => {
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const send = async (dryRun) => {
+        const text = await file.text();
+        const isCsv = file.name.toLowerCase().endsWith('.csv');
+        return api.call(`/api/channels/import${dryRun ? '?dryRun=true' : ''}`, 'POST', isCsv ? text : JSON.parse(text), isCsv ? 'text/csv' : 'application/json');
+    };
+
+    const run = async (dryRun) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const result = await send(dryRun);
+            if (dryRun) setReport(result);
+            else onComplete();
+        } catch (err) {
+            setError(err instanceof SyntaxError ? new Error('ملف JSON غير صالح.') : err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectFile = (e) => { setFile(e.target.files[0] || null); setReport(null); setError(null); };
+    const hasChanges = report && (report.summary.create + report.summary.update) > 0;
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-400">ملف JSON (قائمة قنوات) أو CSV بالأعمدة <span dir="ltr" className="font-mono">id,name,category,logo,url,quality</span> (سطر لكل رابط). تُطابق القنوات بالرقم ثم بالاسم، والقنوات غير الموجودة في الملف لا تتغير.</p>
+            <div className="flex items-center gap-3">
+                <input type="file" accept=".json,.csv" onChange={selectFile} className="flex-1 text-sm" />
+                <button onClick={() => run(true)} disabled={!file || loading} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md disabled:opacity-50">{loading && !report ? <i className="fas fa-spinner fa-spin"></i> : 'معاينة'}</button>
+            </div>
+            <FormErrors error={error} />
+            {report && (
+                <div className="space-y-3">
+                    <p className="text-sm">
+                        <span className="text-green-400">إضافة: {report.summary.create}</span> · <span className="text-yellow-300">تعديل: {report.summary.update}</span> · <span className="text-gray-400">بدون تغيير: {report.summary.unchanged}</span>
+                    </p>
+                    <ul className="max-h-64 overflow-y-auto text-sm space-y-1">
+                        {report.changes.map((c, i) => (
+                            <li key={i} className="flex justify-between gap-2 p-2 bg-gray-700/50 rounded-md">
+                                <span>{c.name} {c.id && <span className="text-xs text-gray-500">#{c.id}</span>}</span>
+                                <span className={IMPORT_ACTION_STYLES[c.action]}>{IMPORT_ACTION_LABELS[c.action]}{c.action === 'update' && <span className="text-xs text-gray-400" dir="ltr"> ({c.fields.join(', ')})</span>}</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <footer className="flex justify-end">
+                        <button onClick={() => run(false)} disabled={!hasChanges || loading} className="px-6 py-2 bg-green-600 hover:bg-green-500 rounded-md disabled:opacity-50">{loading ? '...' : 'تطبيق الاستيراد'}</button>
+                    </footer>
+                </div>
+            )}
+        </div>
+    );
+};
+
 const ChannelForm = ({ channel = null, onComplete }) => {
     const isEditMode = !!channel;
     const [formData, setFormData] = useState({ name: channel?.name || '', category: channel?.category || '', logo: channel?.logo || '', urls: channel?.urls || [{ url: '', quality: 'HD' }] });
     const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const errors = error ? fieldErrors(error) : {};
+    const shownFields = ['name', 'category', 'logo', 'urls', ...formData.urls.flatMap((_, i) => [`urls[${i}]`, `urls[${i}].url`, `urls[${i}].quality`])];
     const handleChange = (e) => setFormData(p => ({...p, [e.target.name]: e.target.value}));
     const handleUrlChange = (index, field, value) => { const urls = [...formData.urls]; urls[index][field] = value; setFormData(p => ({...p, urls})); };
     const addUrlField = () => setFormData(p => ({ ...p, urls: [...p.urls, { url: '', quality: 'HD' }] }));
@@ -351,13 +1031,14 @@ const ChannelForm = ({ channel = null, onComplete }) => {
     const handleSubmit = async (e) => {
         e.preventDefault(); 
         setLoading(true);
+        setError(null);
         try { 
             const result = isEditMode 
                 ? await api.call(`/api/channels/${channel.id}`, 'PUT', formData) 
                 : await api.call('/api/channels', 'POST', formData); 
             onComplete(result); 
         } catch(err) { 
-            alert("خطأ: " + err.message); 
+            setError(err); 
         } finally { 
             setLoading(false); 
         }
@@ -365,17 +1046,22 @@ const ChannelForm = ({ channel = null, onComplete }) => {
 
     return (
         <form onSubmit={handleSubmit} className="space-y-4">
+            <FormErrors error={error} fields={shownFields} />
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div><label className="text-sm">اسم القناة</label><input type="text" name="name" value={formData.name} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
-                <div><label className="text-sm">الفئة</label><input type="text" name="category" value={formData.category} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
-                <div><label className="text-sm">رابط اللوجو</label><input type="url" name="logo" value={formData.logo} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                <div><label className="text-sm">اسم القناة</label><input type="text" name="name" value={formData.name} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.name} /></div>
+                <div><label className="text-sm">الفئة</label><input type="text" name="category" value={formData.category} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.category} /></div>
+                <div><label className="text-sm">رابط اللوجو</label><input type="url" name="logo" value={formData.logo} onChange={handleChange} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.logo} /></div>
             </div>
+            <FieldError message={errors.urls} />
             <h3 className="text-lg font-semibold pt-4 border-t border-gray-700">روابط البث</h3>
             {formData.urls.map((item, index) => (
-                <div key={index} className="flex items-end gap-2">
-                    <div className="flex-1"><label className="text-sm">الرابط</label><input type="url" value={item.url} onChange={e => handleUrlChange(index, 'url', e.target.value)} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
-                    <div><label className="text-sm">الجودة</label><select value={item.quality} onChange={e => handleUrlChange(index, 'quality', e.target.value)} className="w-full mt-1 p-2 bg-gray-700 rounded-md"><option>HD</option><option>FHD</option><option>4K</option><option>SD</option><option>Multi</option></select></div>
-                    <button type="button" onClick={() => removeUrlField(index)} disabled={formData.urls.length <= 1} className="p-2 h-10 bg-red-600/50 hover:bg-red-600 rounded-md disabled:opacity-50"><i className="fas fa-times"></i></button>
+                <div key={index}>
+                    <div className="flex items-end gap-2">
+                        <div className="flex-1"><label className="text-sm">الرابط</label><input type="url" value={item.url} onChange={e => handleUrlChange(index, 'url', e.target.value)} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                        <div><label className="text-sm">الجودة</label><select value={item.quality} onChange={e => handleUrlChange(index, 'quality', e.target.value)} className="w-full mt-1 p-2 bg-gray-700 rounded-md"><option>HD</option><option>FHD</option><option>4K</option><option>SD</option><option>Multi</option></select></div>
+                        <button type="button" onClick={() => removeUrlField(index)} disabled={formData.urls.length <= 1} className="p-2 h-10 bg-red-600/50 hover:bg-red-600 rounded-md disabled:opacity-50"><i className="fas fa-times"></i></button>
+                    </div>
+                    <FieldError message={errors[`urls[${index}]`] || errors[`urls[${index}].url`] || errors[`urls[${index}].quality`]} />
                 </div>
             ))}
             <button type="button" onClick={addUrlField} className="text-blue-400 hover:text-blue-300">+ إضافة رابط آخر</button>
@@ -388,5 +1074,972 @@ const ChannelForm = ({ channel = null, onComplete }) => {
     );
 };
 
+const sortLeagues = (list) => [...list].sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+
+const LeaguesView = ({ leagues, setLeagues, channels, canEdit }) => {
+    const [formData, setFormData] = useState({ id: '', name: '' });
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const onLeagueUpdate = (updated) => setLeagues(p => sortLeagues(p.map(l => l.id === updated.id ? updated : l)));
+
+    const handleDelete = async (id) => {
+        if (!confirm('هل أنت متأكد؟')) return;
+        try {
+            await api.call(`/api/leagues/${id}`, 'DELETE');
+            setLeagues(p => p.filter(l => l.id !== id));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        try {
+            const maxPriority = leagues.reduce((max, l) => Math.max(max, l.priority), 0);
+            const created = await api.call('/api/leagues', 'POST', { id: Number(formData.id), name: formData.name, priority: maxPriority + 10 });
+            setLeagues(p => sortLeagues([...p, created]));
+            setFormData({ id: '', name: '' });
+        } catch (err) {
+            setError(err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            {canEdit && (
+                <form onSubmit={handleAdd} className="p-3 bg-gray-800 rounded-lg space-y-3">
+                    <FormErrors error={error} />
+                    <div className="flex items-end gap-3">
+                        <div className="w-32"><label className="text-sm">رقم الدوري</label><input type="number" min="1" value={formData.id} onChange={e => setFormData(p => ({ ...p, id: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                        <div className="flex-1"><label className="text-sm">الاسم</label><input type="text" value={formData.name} onChange={e => setFormData(p => ({ ...p, name: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                        <button type="submit" disabled={loading} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md disabled:opacity-50"><i className="fas fa-plus ml-2"></i>إضافة دوري</button>
+                    </div>
+                </form>
+            )}
+            {leagues.length === 0 ? (
+                <p className="text-center py-10 text-gray-500">لا توجد دوريات.</p>
+            ) : (
+                <div className="space-y-px">
+                    {leagues.map(league => <LeagueRow key={league.id} league={league} channels={channels} canEdit={canEdit} onUpdate={onLeagueUpdate} onDelete={() => handleDelete(league.id)} />)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const LeagueRow = ({ league, channels, canEdit, onUpdate, onDelete }) => {
+    const [draft, setDraft] = useState({ display_name: league.display_name || '', priority: league.priority, default_channels: league.default_channels || [] });
+    const [showChannels, setShowChannels] = useState(false);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const isDirty = draft.display_name !== (league.display_name || '')
+        || Number(draft.priority) !== league.priority
+        || JSON.stringify(draft.default_channels) !== JSON.stringify(league.default_channels || []);
+
+    const save = async (changes) => {
+        setSaving(true);
+        setError(null);
+        try {
+            onUpdate(await api.call(`/api/leagues/${league.id}`, 'PUT', changes));
+        } catch (err) {
+            setError(err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const saveDraft = () => save({ display_name: draft.display_name.trim() || null, priority: Number(draft.priority), default_channels: draft.default_channels });
+    const toggleChannel = (id) => setDraft(p => ({ ...p, default_channels: p.default_channels.includes(id) ? p.default_channels.filter(c => c !== id) : [...p.default_channels, id] }));
+
+    return (
+        <div className={`p-3 bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg ${league.enabled ? '' : 'opacity-60'}`}>
+            <div className="flex items-center gap-3">
+                {league.logo ? <img src={league.logo} alt={league.name} className="w-8 h-8 object-contain"/> : <i className="fas fa-trophy w-8 text-center text-gray-500"></i>}
+                <div className="flex-1 min-w-0">
+                    <p className="font-bold truncate">{league.name} <span className="text-xs text-gray-500">#{league.id}</span></p>
+                    <p className="text-xs text-gray-400">{league.country || '—'}</p>
+                </div>
+                <input type="text" value={draft.display_name} onChange={e => setDraft(p => ({ ...p, display_name: e.target.value }))} disabled={!canEdit} placeholder="اسم العرض" className="w-40 p-2 bg-gray-700 rounded-md text-sm" />
+                <input type="number" value={draft.priority} onChange={e => setDraft(p => ({ ...p, priority: e.target.value }))} disabled={!canEdit} title="الأولوية" className="w-20 p-2 bg-gray-700 rounded-md text-sm" />
+                <button onClick={() => setShowChannels(p => !p)} title="القنوات الافتراضية" className="text-gray-400 hover:text-white px-2"><i className="fas fa-broadcast-tower"></i> <span className="text-xs">{draft.default_channels.length}</span></button>
+                {canEdit && <button onClick={() => save({ enabled: !league.enabled })} disabled={saving} title={league.enabled ? 'تعطيل' : 'تفعيل'} className={`px-2 ${league.enabled ? 'text-green-400' : 'text-gray-500'}`}><i className={`fas ${league.enabled ? 'fa-toggle-on' : 'fa-toggle-off'} text-xl`}></i></button>}
+                {canEdit && isDirty && <button onClick={saveDraft} disabled={saving} className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded-md text-sm disabled:opacity-50">حفظ</button>}
+                {canEdit && <button onClick={onDelete} className="text-red-500 hover:text-red-400 px-2"><i className="fas fa-trash"></i></button>}
+            </div>
+            {error && <div className="mt-2"><FormErrors error={error} /></div>}
+            {showChannels && (
+                <div className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-2">
+                    {channels.map(ch => (
+                        <label key={ch.id} className={`flex items-center gap-2 p-2 rounded-md text-sm ${canEdit ? 'cursor-pointer' : ''} ${draft.default_channels.includes(ch.id) ? 'bg-blue-600/50' : 'bg-gray-700/50'}`}>
+                            <input type="checkbox" checked={draft.default_channels.includes(ch.id)} onChange={() => toggleChannel(ch.id)} disabled={!canEdit} className="accent-blue-500" />
+                            {ch.name}
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const TEAM_SIDE_LABELS = { any: 'أي ملعب', home: 'على أرضه', away: 'خارج أرضه' };
+const EMPTY_RULE = { name: '', enabled: true, league_id: '', team: '', team_side: 'any', country: '', date_from: '', date_to: '', channel_ids: [] };
+
+// Form state -> API body; empty optional fields become null
+const toRuleBody = (draft) => ({
+    name: draft.name,
+    enabled: draft.enabled,
+    league_id: draft.league_id ? Number(draft.league_id) : null,
+    team: draft.team.trim() || null,
+    team_side: draft.team_side,
+    country: draft.country.trim() || null,
+    date_from: draft.date_from || null,
+    date_to: draft.date_to || null,
+    channel_ids: draft.channel_ids
+});
+
+const LinkRulesView = ({ leagues, channels, canEdit }) => {
+    const [rules, setRules] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [applying, setApplying] = useState(false);
+
+    const load = useCallback(async () => {
+        try {
+            setRules(await api.call('/api/link-rules'));
+        } catch (err) {
+            alert("خطأ في جلب القواعد: " + err.message);
+            setRules(p => p || []);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleSaved = () => { setEditing(null); load(); };
+
+    const handleDelete = async (id) => {
+        if (!confirm('هل أنت متأكد؟')) return;
+        try {
+            await api.call(`/api/link-rules/${id}`, 'DELETE');
+            setRules(p => p.filter(r => r.id !== id));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            const updated = await api.call(`/api/link-rules/${rule.id}`, 'PUT', { enabled: !rule.enabled });
+            setRules(p => p.map(r => r.id === updated.id ? updated : r));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleApply = async () => {
+        setApplying(true);
+        try {
+            const result = await api.call('/api/link-rules/apply', 'POST');
+            alert(`تم فحص ${result.checked} مباراة قادمة وتحديث ${result.updated}.`);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        } finally {
+            setApplying(false);
+        }
+    };
+
+    if (rules === null) return <div className="text-center py-10"><i className="fas fa-spinner fa-spin text-2xl text-gray-500"></i></div>;
+
+    const leagueName = (id) => { const l = leagues.find(l => Number(l.id) === Number(id)); return l ? (l.display_name || l.name) : `#${id}`; };
+    const channelName = (id) => channels.find(ch => String(ch.id) === String(id))?.name || `#${id}`;
+    const describe = (rule) => [
+        rule.league_id != null && leagueName(rule.league_id),
+        rule.team && `${rule.team} (${TEAM_SIDE_LABELS[rule.team_side]})`,
+        rule.country,
+        (rule.date_from || rule.date_to) && `${rule.date_from || '…'} → ${rule.date_to || '…'}`
+    ].filter(Boolean).join(' · ');
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-400">تربط القواعد القنوات بالمباريات الجديدة أثناء المزامنة. المباريات التي رُبطت يدوياً لا تتغير.</p>
+            {canEdit && editing === null && (
+                <div className="flex gap-2">
+                    <button onClick={() => setEditing(EMPTY_RULE)} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md"><i className="fas fa-plus ml-2"></i>قاعدة جديدة</button>
+                    <button onClick={handleApply} disabled={applying} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md disabled:opacity-50">
+                        <i className={`fas ${applying ? 'fa-spinner fa-spin' : 'fa-magic'} ml-2`}></i>تطبيق على المباريات القادمة
+                    </button>
+                </div>
+            )}
+            {editing !== null && <LinkRuleForm rule={editing} leagues={leagues} channels={channels} canEdit={canEdit} onSaved={handleSaved} onCancel={() => setEditing(null)} />}
+            {rules.length === 0 ? (
+                <p className="text-center py-10 text-gray-500">لا توجد قواعد.</p>
+            ) : (
+                <div className="space-y-px">
+                    {rules.map(rule => (
+                        <div key={rule.id} className={`flex items-center gap-3 p-3 bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg ${rule.enabled ? '' : 'opacity-60'}`}>
+                            <div className="flex-1 min-w-0">
+                                <p className="font-bold truncate">{rule.name}</p>
+                                <p className="text-xs text-gray-400">{describe(rule)}</p>
+                                <p className="text-xs text-blue-300"><i className="fas fa-broadcast-tower ml-1"></i>{rule.channel_ids.map(channelName).join('، ')}</p>
+                            </div>
+                            <button onClick={() => setEditing(rule)} title={canEdit ? 'تعديل' : 'معاينة'} className="text-blue-400 hover:text-blue-300 px-2"><i className={`fas ${canEdit ? 'fa-edit' : 'fa-eye'}`}></i></button>
+                            {canEdit && <button onClick={() => handleToggle(rule)} title={rule.enabled ? 'تعطيل' : 'تفعيل'} className={`px-2 ${rule.enabled ? 'text-green-400' : 'text-gray-500'}`}><i className={`fas ${rule.enabled ? 'fa-toggle-on' : 'fa-toggle-off'} text-xl`}></i></button>}
+                            {canEdit && <button onClick={() => handleDelete(rule.id)} className="text-red-500 hover:text-red-400 px-2"><i className="fas fa-trash"></i></button>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const LinkRuleForm = ({ rule, leagues, channels, canEdit, onSaved, onCancel }) => {
+    const isEditMode = !!rule.id;
+    const [draft, setDraft] = useState({
+        ...EMPTY_RULE,
+        ...Object.fromEntries(Object.entries(rule).filter(([, v]) => v !== null)),
+        league_id: rule.league_id ?? ''
+    });
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [preview, setPreview] = useState(null);
+    const [previewing, setPreviewing] = useState(false);
+    const errors = error ? fieldErrors(error) : {};
+    const set = (field) => (e) => setDraft(p => ({ ...p, [field]: e.target.value }));
+    const toggleChannel = (id) => setDraft(p => ({ ...p, channel_ids: p.channel_ids.includes(id) ? p.channel_ids.filter(c => c !== id) : [...p.channel_ids, id] }));
+    const channelName = (id) => channels.find(ch => String(ch.id) === String(id))?.name || `#${id}`;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            if (isEditMode) await api.call(`/api/link-rules/${rule.id}`, 'PUT', toRuleBody(draft));
+            else await api.call('/api/link-rules', 'POST', toRuleBody(draft));
+            onSaved();
+        } catch (err) {
+            setError(err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handlePreview = async () => {
+        setPreviewing(true);
+        setError(null);
+        try {
+            const { name, ...body } = toRuleBody(draft);
+            setPreview(await api.call('/api/link-rules/preview', 'POST', body));
+        } catch (err) {
+            setError(err);
+        } finally {
+            setPreviewing(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-4 bg-gray-800 rounded-lg space-y-3">
+            {error && !error.details?.length && <FormErrors error={error} />}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div><label className="text-sm">اسم القاعدة</label><input type="text" value={draft.name} onChange={set('name')} required disabled={!canEdit} className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.name} /></div>
+                <div><label className="text-sm">الدوري</label>
+                    <select value={draft.league_id} onChange={set('league_id')} disabled={!canEdit} className="w-full mt-1 p-2 bg-gray-700 rounded-md">
+                        <option value="">أي دوري</option>
+                        {leagues.map(l => <option key={l.id} value={l.id}>{l.display_name || l.name}</option>)}
+                    </select>
+                    <FieldError message={errors.league_id} />
+                </div>
+                <div><label className="text-sm">الدولة</label><input type="text" value={draft.country} onChange={set('country')} disabled={!canEdit} placeholder="England" dir="ltr" className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.country} /></div>
+                <div><label className="text-sm">الفريق</label><input type="text" value={draft.team} onChange={set('team')} disabled={!canEdit} placeholder="Arsenal" dir="ltr" className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.team} /></div>
+                <div><label className="text-sm">مكان المباراة</label>
+                    <select value={draft.team_side} onChange={set('team_side')} disabled={!canEdit || !draft.team.trim()} className="w-full mt-1 p-2 bg-gray-700 rounded-md">
+                        {Object.entries(TEAM_SIDE_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="flex gap-2">
+                    <div className="flex-1"><label className="text-sm">من</label><input type="date" value={draft.date_from} onChange={set('date_from')} disabled={!canEdit} className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                    <div className="flex-1"><label className="text-sm">إلى</label><input type="date" value={draft.date_to} onChange={set('date_to')} disabled={!canEdit} className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.date_to} /></div>
+                </div>
+            </div>
+            <FieldError message={errors.body} />
+            <div>
+                <label className="text-sm">القنوات</label>
+                <div className="mt-1 grid grid-cols-2 sm:grid-cols-3 gap-2">
+                    {channels.map(ch => (
+                        <label key={ch.id} className={`flex items-center gap-2 p-2 rounded-md text-sm ${canEdit ? 'cursor-pointer' : ''} ${draft.channel_ids.includes(ch.id) ? 'bg-blue-600/50' : 'bg-gray-700/50'}`}>
+                            <input type="checkbox" checked={draft.channel_ids.includes(ch.id)} onChange={() => toggleChannel(ch.id)} disabled={!canEdit} className="accent-blue-500" />
+                            {ch.name}
+                        </label>
+                    ))}
+                </div>
+                <FieldError message={errors.channel_ids || Object.entries(errors).find(([f]) => f.startsWith('channel_ids['))?.[1]} />
+            </div>
+            {preview && (
+                <div className="p-3 bg-gray-900/50 rounded-md text-sm">
+                    <p className="font-bold mb-2">المباريات القادمة المتأثرة: {preview.length}</p>
+                    {preview.length === 0 ? <p className="text-gray-500">لا توجد مباريات قادمة تطابق القاعدة.</p> : (
+                        <ul className="space-y-1 max-h-60 overflow-y-auto">
+                            {preview.map(m => (
+                                <li key={m.matchId} className="flex items-center justify-between gap-2">
+                                    <span><span className="text-gray-400">{formatDateTime(m.kickoffTime)}</span> · {m.homeTeam} - {m.awayTeam} <span className="text-xs text-gray-500">({m.competition})</span></span>
+                                    {m.linkedManually
+                                        ? <span className="text-xs text-yellow-300">مربوطة يدوياً</span>
+                                        : <span className="text-xs text-green-300">{m.addedChannels.length ? `+ ${m.addedChannels.map(channelName).join('، ')}` : 'مربوطة مسبقاً'}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+            <footer className="flex justify-end gap-2">
+                <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md">إلغاء</button>
+                <button type="button" onClick={handlePreview} disabled={previewing} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md disabled:opacity-50"><i className={`fas ${previewing ? 'fa-spinner fa-spin' : 'fa-eye'} ml-2`}></i>معاينة</button>
+                {canEdit && <button type="submit" disabled={saving} className="px-6 py-2 bg-green-600 hover:bg-green-500 rounded-md disabled:opacity-50">{saving ? '...' : (isEditMode ? 'حفظ التعديلات' : 'إضافة القاعدة')}</button>}
+            </footer>
+        </form>
+    );
+};
+
+const RUN_KIND_LABELS = { window: 'النافذة اليومية', range: 'نطاق تواريخ', season: 'موسم', live: 'مباشر', retention: 'تنظيف المباريات القديمة' };
+const RUN_TRIGGER_LABELS = { auto: 'تلقائي', manual: 'يدوي', cron: 'مجدول' };
+const CRON_JOB_LABELS = { sync: 'المزامنة اليومية', live: 'النتائج المباشرة', retention: 'تنظيف المباريات القديمة', streams: 'فحص البث', webhooks: 'إرسال Webhooks' };
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString('ar-EG') : '—';
+
+// Previews and (for super admins) runs the retention job that archives or deletes old matches
+const RetentionPanel = ({ canRun, onRun }) => {
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [running, setRunning] = useState(false);
+    const verb = preview?.mode === 'delete' ? 'حذف' : 'أرشفة';
+
+    const loadPreview = async () => {
+        setLoading(true);
+        try {
+            setPreview(await api.call('/api/retention/preview'));
+        } catch (err) {
+            alert("خطأ في المعاينة: " + err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRun = async () => {
+        if (!confirm(`سيتم ${verb} ${preview.total} مباراة. هل أنت متأكد؟`)) return;
+        setRunning(true);
+        try {
+            const result = await api.call('/api/retention/run', 'POST');
+            alert(result.message);
+            setPreview(null);
+            onRun();
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-gray-800 rounded-lg space-y-3">
+            <div className="flex items-center justify-between gap-3">
+                <div>
+                    <p className="font-bold">تنظيف المباريات القديمة</p>
+                    {preview && <p className="text-xs text-gray-400">أقدم من {preview.days} يومًا، و{preview.linkedDays} يومًا للمباريات المنتهية المرتبطة بقنوات · الوضع: {verb}</p>}
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={loadPreview} disabled={loading} className="px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded-md disabled:opacity-50"><i className={`fas ${loading ? 'fa-spinner fa-spin' : 'fa-eye'} ml-2`}></i>معاينة</button>
+                    {canRun && <button onClick={handleRun} disabled={!preview?.total || running} className="px-3 py-2 bg-red-600 hover:bg-red-500 rounded-md disabled:opacity-50"><i className={`fas ${running ? 'fa-spinner fa-spin' : 'fa-broom'} ml-2`}></i>تشغيل</button>}
+                </div>
+            </div>
+            {preview && (
+                <div className="space-y-2 text-sm">
+                    <p>سيتم {verb} <span className="font-bold">{preview.total}</span> مباراة{preview.kept > 0 && <span className="text-gray-400"> · يُحتفظ بـ {preview.kept} مباراة مرتبطة بقنوات</span>}</p>
+                    {preview.matches.length > 0 && (
+                        <ul className="max-h-48 overflow-y-auto space-y-1">
+                            {preview.matches.map(m => (
+                                <li key={m.matchId} className="flex justify-between gap-2 p-2 bg-gray-700/50 rounded-md">
+                                    <span>{m.homeTeam} - {m.awayTeam} <span className="text-xs text-gray-400">· {m.competition}</span></span>
+                                    <span className="text-xs text-gray-400">{formatDateTime(m.kickoffTime)}{m.linked && <i className="fas fa-link mr-2" title="مرتبطة بقنوات"></i>}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {preview.total > preview.matches.length && <p className="text-xs text-gray-500">تُعرض أول {preview.matches.length} مباراة فقط.</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const QUOTA_BLOCK_LABELS = { RATE_LIMITED: 'تم بلوغ حد الطلبات في الدقيقة', QUOTA_EXHAUSTED: 'نفدت حصة الطلبات اليومية' };
+
+const formatQuota = (remaining, limit) => remaining == null ? '—' : `${remaining}${limit != null ? ` / ${limit}` : ''}`;
+
+// API-Football request quota as last reported by the provider
+const QuotaPanel = ({ quota }) => {
+    const lowDaily = quota.dailyRemaining != null && quota.dailyRemaining <= quota.reserve;
+    return (
+        <div className={`p-4 rounded-lg space-y-2 ${quota.blockedUntil ? 'bg-red-900/40 border border-red-700' : lowDaily ? 'bg-yellow-900/30 border border-yellow-700' : 'bg-gray-800'}`}>
+            <div className="flex items-center justify-between gap-3">
+                <p className="font-bold">حصة طلبات API-Football</p>
+                <p className="text-xs text-gray-400">آخر تحديث: {formatDateTime(quota.updatedAt)}</p>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-sm">
+                <p><span className="text-gray-400">المتبقي اليوم: </span><span className="font-mono" dir="ltr">{formatQuota(quota.dailyRemaining, quota.dailyLimit)}</span></p>
+                <p><span className="text-gray-400">المتبقي في الدقيقة: </span><span className="font-mono" dir="ltr">{formatQuota(quota.minuteRemaining, quota.minuteLimit)}</span></p>
+                <p><span className="text-gray-400">المحجوز للمزامنة اليدوية: </span><span className="font-mono">{quota.reserve}</span></p>
+            </div>
+            {quota.blockedUntil && <p className="text-xs text-red-300">{QUOTA_BLOCK_LABELS[quota.blockedReason] || quota.blockedReason} · تُستأنف الطلبات في {formatDateTime(quota.blockedUntil)}</p>}
+            {!quota.blockedUntil && lowDaily && <p className="text-xs text-yellow-300">الحصة اليومية بلغت الاحتياطي؛ المزامنة التلقائية متوقفة حتى الغد.</p>}
+        </div>
+    );
+};
+
+const SyncRunsView = ({ canRunRetention }) => {
+    const [status, setStatus] = useState(null);
+    const [runs, setRuns] = useState(null);
+    const [failedOnly, setFailedOnly] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            const [statusData, runsData] = await Promise.all([
+                api.call('/api/sync/status'),
+                api.call(`/api/sync/runs?limit=30${failedOnly ? '&failed=true' : ''}`)
+            ]);
+            setStatus(statusData);
+            setRuns(runsData);
+        } catch (err) {
+            alert("خطأ في جلب سجل المزامنة: " + err.message);
+            setRuns(p => p || []);
+        }
+    }, [failedOnly]);
+
+    useEffect(() => { load(); }, [load]);
+
+    return (
+        <div className="space-y-4">
+            {status && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                    <div className="p-4 bg-gray-800 rounded-lg">
+                        <p className="text-xs text-gray-400">آخر مزامنة ناجحة</p>
+                        <p className="font-bold">{formatDateTime(status.lastSuccessfulSync)}</p>
+                        {status.running && <p className="text-xs text-blue-400 mt-1"><i className="fas fa-spinner fa-spin ml-1"></i>مزامنة قيد التشغيل</p>}
+                    </div>
+                    <div className="p-4 bg-gray-800 rounded-lg">
+                        <p className="text-xs text-gray-400">آخر تحديث للنتائج المباشرة</p>
+                        <p className="font-bold">{formatDateTime(status.lastLiveSync)}</p>
+                    </div>
+                    <div className="p-4 bg-gray-800 rounded-lg">
+                        <p className="text-xs text-gray-400">آخر تشغيل مجدول</p>
+                        <p className="font-bold">{status.lastCronRun ? formatDateTime(status.lastCronRun.at) : 'لم يُشغَّل بعد'}</p>
+                        {status.lastCronRun && <p className="text-xs text-gray-400 mt-1">{CRON_JOB_LABELS[status.lastCronRun.job] || status.lastCronRun.job}</p>}
+                    </div>
+                    <div className={`p-4 rounded-lg ${status.lastFailure ? 'bg-red-900/40 border border-red-700' : 'bg-gray-800'}`}>
+                        <p className="text-xs text-gray-400">آخر فشل</p>
+                        <p className="font-bold">{status.lastFailure ? formatDateTime(status.lastFailure.started_at) : 'لا يوجد'}</p>
+                        {status.lastFailure && <p className="text-xs text-red-300 truncate" dir="ltr">{status.lastFailure.message}</p>}
+                    </div>
+                </div>
+            )}
+            {status?.quota && <QuotaPanel quota={status.quota} />}
+            <RetentionPanel canRun={canRunRetention} onRun={load} />
+            <div className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm text-gray-300">
+                    <input type="checkbox" checked={failedOnly} onChange={e => setFailedOnly(e.target.checked)} className="accent-blue-500" />
+                    الفاشلة فقط
+                </label>
+                <button onClick={load} className="text-gray-400 hover:text-white"><i className="fas fa-redo"></i></button>
+            </div>
+            {runs === null ? (
+                <div className="text-center py-10"><i className="fas fa-spinner fa-spin text-3xl text-gray-500"></i></div>
+            ) : runs.length === 0 ? (
+                <p className="text-center py-10 text-gray-500">لا توجد عمليات مزامنة.</p>
+            ) : (
+                <div className="space-y-px">
+                    {runs.map(run => {
+                        const failed = run.success === false;
+                        const unfinished = !run.finished_at;
+                        return (
+                            <div key={run.id} className="bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg">
+                                <div onClick={() => setExpandedId(p => p === run.id ? null : run.id)} className="flex items-center gap-4 p-3 cursor-pointer hover:bg-gray-800">
+                                    <i className={`fas w-5 text-center ${unfinished ? 'fa-spinner fa-spin text-blue-400' : failed ? 'fa-times-circle text-red-500' : run.errors?.length ? 'fa-exclamation-triangle text-yellow-400' : 'fa-check-circle text-green-500'}`}></i>
+                                    <div className="flex-1">
+                                        <p className="font-semibold">{RUN_KIND_LABELS[run.kind] || run.kind} <span className="text-xs text-gray-400">· {RUN_TRIGGER_LABELS[run.trigger] || run.trigger}{run.triggered_by ? ` (${run.triggered_by})` : ''}</span></p>
+                                        <p className="text-xs text-gray-400">{formatDateTime(run.started_at)}{run.duration_ms != null && ` · ${(run.duration_ms / 1000).toFixed(1)}s`} · {run.api_calls} طلب</p>
+                                    </div>
+                                    <div className="flex gap-3 text-xs font-mono" dir="ltr">
+                                        <span className="text-green-400" title="جديدة">+{run.new_count}</span>
+                                        <span className="text-yellow-400" title="معدلة">~{run.changed_count}</span>
+                                        <span className="text-gray-400" title="بدون تغيير">={run.unchanged_count}</span>
+                                        <span className="text-red-400" title="محذوفة">-{run.dropped_count}</span>
+                                    </div>
+                                </div>
+                                {expandedId === run.id && (
+                                    <div className="p-3 border-t border-gray-700 text-xs space-y-1" dir="ltr">
+                                        <p className="text-gray-300">{run.message || '—'}</p>
+                                        {run.dates?.length > 0 && <p className="text-gray-400">Dates: {run.dates.join(', ')}</p>}
+                                        {run.errors?.map((e, i) => <p key={i} className="text-red-400 font-mono">{e.date ? `${e.date}: ` : ''}{e.message}</p>)}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const WEBHOOK_EVENT_LABELS = {
+    'match.kickoff': 'انطلاق المباراة',
+    'match.goal': 'هدف',
+    'match.full_time': 'نهاية المباراة',
+    'match.channels_linked': 'تغيير القنوات',
+    ping: 'اختبار'
+};
+const DELIVERY_STATUS_LABELS = { pending: 'قيد الانتظار', delivered: 'تم التسليم', failed: 'فشل' };
+const DELIVERY_STATUS_STYLES = { pending: 'text-yellow-400', delivered: 'text-green-400', failed: 'text-red-400' };
+const EMPTY_WEBHOOK = { name: '', url: '', events: ['match.kickoff', 'match.goal', 'match.full_time'], enabled: true };
+
+// Webhook subscriptions and their delivery log (super admins only)
+const WebhooksView = () => {
+    const [webhooks, setWebhooks] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [shownSecret, setShownSecret] = useState(null);
+    // Full secrets by webhook id; the API sends one only when it is generated (create and rotate)
+    const [secrets, setSecrets] = useState({});
+    const [logKey, setLogKey] = useState(0);
+
+    const load = useCallback(async () => {
+        try {
+            setWebhooks(await api.call('/api/webhooks'));
+        } catch (err) {
+            alert("خطأ في جلب الـ Webhooks: " + err.message);
+            setWebhooks(p => p || []);
+        }
+    }, []);
+
+    useEffect(() => { load(); }, [load]);
+
+    const replace = (updated) => setWebhooks(p => p.map(w => w.id === updated.id ? updated : w));
+
+    const handleSaved = (saved, isNew) => {
+        setEditing(null);
+        if (isNew) {
+            setSecrets(p => ({ ...p, [saved.id]: saved.secret }));
+            setShownSecret(saved.id);
+        }
+        load();
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('سيتم حذف الـ Webhook وسجل إرساله. هل أنت متأكد؟')) return;
+        try {
+            await api.call(`/api/webhooks/${id}`, 'DELETE');
+            setWebhooks(p => p.filter(w => w.id !== id));
+            setLogKey(k => k + 1);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleToggle = async (webhook) => {
+        try {
+            replace(await api.call(`/api/webhooks/${webhook.id}`, 'PUT', { enabled: !webhook.enabled }));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleRotate = async (webhook) => {
+        if (!confirm('سيتوقف المفتاح الحالي عن العمل فوراً. هل أنت متأكد؟')) return;
+        try {
+            const { secret, ...rotated } = await api.call(`/api/webhooks/${webhook.id}/rotate-secret`, 'POST');
+            replace({ ...webhook, ...rotated });
+            setSecrets(p => ({ ...p, [webhook.id]: secret }));
+            setShownSecret(webhook.id);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handlePing = async (webhook) => {
+        try {
+            const delivery = await api.call(`/api/webhooks/${webhook.id}/ping`, 'POST');
+            alert(delivery.status === 'delivered' ? `تم الإرسال بنجاح (HTTP ${delivery.response_status}).` : `فشل الإرسال: ${delivery.error}`);
+            setLogKey(k => k + 1);
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    if (webhooks === null) return <div className="text-center py-10"><i className="fas fa-spinner fa-spin text-2xl text-gray-500"></i></div>;
+
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-400">تُرسل أحداث المباريات كطلبات POST بصيغة JSON موقّعة بالترويسة X-Webhook-Signature، وتُعاد المحاولة تلقائياً عند الفشل.</p>
+            {editing === null && <button onClick={() => setEditing(EMPTY_WEBHOOK)} className="px-4 py-2 bg-blue-600 hover:bg-blue-500 rounded-md"><i className="fas fa-plus ml-2"></i>Webhook جديد</button>}
+            {editing !== null && <WebhookForm webhook={editing} onSaved={handleSaved} onCancel={() => setEditing(null)} />}
+            {webhooks.length === 0 ? (
+                <p className="text-center py-6 text-gray-500">لا توجد Webhooks.</p>
+            ) : (
+                <div className="space-y-px">
+                    {webhooks.map(webhook => (
+                        <div key={webhook.id} className={`p-3 bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg ${webhook.enabled ? '' : 'opacity-60'}`}>
+                            <div className="flex items-center gap-3">
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-bold truncate">{webhook.name}</p>
+                                    <p className="text-xs text-gray-400 truncate" dir="ltr">{webhook.url}</p>
+                                    <p className="text-xs text-blue-300">{webhook.events.map(e => WEBHOOK_EVENT_LABELS[e] || e).join('، ')}</p>
+                                </div>
+                                <button onClick={() => handlePing(webhook)} title="إرسال حدث تجريبي" className="text-gray-300 hover:text-white px-2"><i className="fas fa-paper-plane"></i></button>
+                                <button onClick={() => setShownSecret(p => p === webhook.id ? null : webhook.id)} title="مفتاح التوقيع" className="text-gray-300 hover:text-white px-2"><i className="fas fa-key"></i></button>
+                                <button onClick={() => setEditing(webhook)} title="تعديل" className="text-blue-400 hover:text-blue-300 px-2"><i className="fas fa-edit"></i></button>
+                                <button onClick={() => handleToggle(webhook)} title={webhook.enabled ? 'تعطيل' : 'تفعيل'} className={`px-2 ${webhook.enabled ? 'text-green-400' : 'text-gray-500'}`}><i className={`fas ${webhook.enabled ? 'fa-toggle-on' : 'fa-toggle-off'} text-xl`}></i></button>
+                                <button onClick={() => handleDelete(webhook.id)} className="text-red-500 hover:text-red-400 px-2"><i className="fas fa-trash"></i></button>
+                            </div>
+                            {shownSecret === webhook.id && (
+                                <div className="mt-2 text-xs space-y-1">
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-gray-400">مفتاح التوقيع:</span>
+                                        <code className="flex-1 p-2 bg-gray-900 rounded break-all" dir="ltr">{secrets[webhook.id] || webhook.secretHint}</code>
+                                        <button onClick={() => handleRotate(webhook)} className="px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded-md"><i className="fas fa-sync-alt ml-1"></i>تغيير</button>
+                                    </div>
+                                    <p className="text-gray-500">{secrets[webhook.id] ? 'انسخ المفتاح الآن، فلن يظهر كاملاً مرة أخرى.' : 'يظهر المفتاح كاملاً مرة واحدة فقط عند إنشائه أو تغييره.'}</p>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+            <WebhookDeliveries key={logKey} webhooks={webhooks} />
+        </div>
+    );
+};
+
+const WebhookForm = ({ webhook, onSaved, onCancel }) => {
+    const isEditMode = !!webhook.id;
+    const [draft, setDraft] = useState({ name: webhook.name, url: webhook.url, events: webhook.events });
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const errors = error ? fieldErrors(error) : {};
+    const toggleEvent = (type) => setDraft(p => ({ ...p, events: p.events.includes(type) ? p.events.filter(e => e !== type) : [...p.events, type] }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+        try {
+            const saved = isEditMode
+                ? await api.call(`/api/webhooks/${webhook.id}`, 'PUT', draft)
+                : await api.call('/api/webhooks', 'POST', draft);
+            onSaved(saved, !isEditMode);
+        } catch (err) {
+            setError(err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-4 bg-gray-800 rounded-lg space-y-3">
+            <FormErrors error={error} />
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <div><label className="text-sm">الاسم</label><input type="text" value={draft.name} onChange={e => setDraft(p => ({ ...p, name: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.name} /></div>
+                <div><label className="text-sm">الرابط</label><input type="url" value={draft.url} onChange={e => setDraft(p => ({ ...p, url: e.target.value }))} required placeholder="https://example.com/hooks/matches" dir="ltr" className="w-full mt-1 p-2 bg-gray-700 rounded-md" /><FieldError message={errors.url} /></div>
+            </div>
+            <div>
+                <label className="text-sm">الأحداث</label>
+                <div className="flex flex-wrap gap-3 mt-1">
+                    {Object.keys(WEBHOOK_EVENT_LABELS).filter(type => type !== 'ping').map(type => (
+                        <label key={type} className="flex items-center gap-2 text-sm text-gray-300">
+                            <input type="checkbox" checked={draft.events.includes(type)} onChange={() => toggleEvent(type)} className="accent-blue-500" />
+                            {WEBHOOK_EVENT_LABELS[type]}
+                        </label>
+                    ))}
+                </div>
+                <FieldError message={errors.events} />
+            </div>
+            <footer className="flex justify-end gap-2">
+                <button type="button" onClick={onCancel} className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded-md">إلغاء</button>
+                <button type="submit" disabled={saving} className="px-6 py-2 bg-green-600 hover:bg-green-500 rounded-md disabled:opacity-50">{saving ? '...' : (isEditMode ? 'حفظ التعديلات' : 'إضافة')}</button>
+            </footer>
+        </form>
+    );
+};
+
+const WebhookDeliveries = ({ webhooks }) => {
+    const [deliveries, setDeliveries] = useState(null);
+    const [status, setStatus] = useState('');
+    const [webhookId, setWebhookId] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+    const webhookName = (id) => webhooks.find(w => String(w.id) === String(id))?.name || `#${id}`;
+
+    const load = useCallback(async () => {
+        const params = new URLSearchParams({ limit: '50' });
+        if (status) params.set('status', status);
+        if (webhookId) params.set('webhookId', webhookId);
+        try {
+            setDeliveries(await api.call(`/api/webhooks/deliveries?${params}`));
+        } catch (err) {
+            alert("خطأ في جلب سجل الإرسال: " + err.message);
+            setDeliveries(p => p || []);
+        }
+    }, [status, webhookId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleRetry = async (delivery) => {
+        try {
+            const updated = await api.call(`/api/webhooks/deliveries/${delivery.id}/retry`, 'POST');
+            setDeliveries(p => p.map(d => d.id === updated.id ? updated : d));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between gap-2">
+                <p className="font-bold">سجل الإرسال</p>
+                <div className="flex items-center gap-2 text-sm">
+                    <select value={webhookId} onChange={e => setWebhookId(e.target.value)} className="p-2 bg-gray-700 rounded-md">
+                        <option value="">كل الـ Webhooks</option>
+                        {webhooks.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+                    </select>
+                    <select value={status} onChange={e => setStatus(e.target.value)} className="p-2 bg-gray-700 rounded-md">
+                        <option value="">كل الحالات</option>
+                        {Object.entries(DELIVERY_STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <button onClick={load} className="text-gray-400 hover:text-white px-2"><i className="fas fa-redo"></i></button>
+                </div>
+            </div>
+            {deliveries === null ? (
+                <div className="text-center py-6"><i className="fas fa-spinner fa-spin text-2xl text-gray-500"></i></div>
+            ) : deliveries.length === 0 ? (
+                <p className="text-center py-6 text-gray-500">لا توجد عمليات إرسال.</p>
+            ) : (
+                <div className="space-y-px">
+                    {deliveries.map(delivery => (
+                        <div key={delivery.id} className="bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg">
+                            <div onClick={() => setExpandedId(p => p === delivery.id ? null : delivery.id)} className="flex items-center gap-3 p-3 cursor-pointer hover:bg-gray-800">
+                                <span className={`text-xs w-24 ${DELIVERY_STATUS_STYLES[delivery.status]}`}>{DELIVERY_STATUS_LABELS[delivery.status]}</span>
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-semibold truncate">{WEBHOOK_EVENT_LABELS[delivery.event_type] || delivery.event_type} <span className="text-xs text-gray-400">· {webhookName(delivery.webhook_id)}</span></p>
+                                    <p className="text-xs text-gray-400">
+                                        {formatDateTime(delivery.created_at)} · {delivery.attempts} محاولة
+                                        {delivery.status === 'pending' && delivery.next_attempt_at && ` · المحاولة التالية ${formatDateTime(delivery.next_attempt_at)}`}
+                                    </p>
+                                </div>
+                                {delivery.response_status != null && <span className="text-xs font-mono text-gray-400">HTTP {delivery.response_status}</span>}
+                                {delivery.status !== 'delivered' && <button onClick={e => { e.stopPropagation(); handleRetry(delivery); }} title="إعادة الإرسال الآن" className="text-blue-400 hover:text-blue-300 px-2"><i className="fas fa-redo"></i></button>}
+                            </div>
+                            {expandedId === delivery.id && (
+                                <div className="p-3 border-t border-gray-700 text-xs space-y-1" dir="ltr">
+                                    {delivery.error && <p className="text-red-400">{delivery.error}</p>}
+                                    <pre className="p-2 bg-gray-900 rounded overflow-x-auto">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ENTITY_LABELS = { channel: 'قناة', match: 'مباراة', league: 'دوري', link_rule: 'قاعدة ربط', admin_user: 'مستخدم', sync: 'مزامنة', webhook: 'Webhook' };
+const METHOD_COLORS = { POST: 'text-green-400', PUT: 'text-yellow-400', DELETE: 'text-red-400' };
+
+// Returns the top-level keys whose values differ between two row snapshots
+const diffKeys = (before, after) => {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]));
+};
+
+const AuditLogView = () => {
+    const [entries, setEntries] = useState(null);
+    const [filters, setFilters] = useState({ entityType: '', actor: '', entityId: '' });
+    const [hasMore, setHasMore] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const PAGE_SIZE = 50;
+
+    const load = useCallback(async (before = null) => {
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        Object.entries(filters).forEach(([k, v]) => { if (v) params.set(k, v); });
+        if (before) params.set('before', before);
+        try {
+            const page = await api.call(`/api/audit-log?${params}`);
+            setEntries(p => before ? [...p, ...page] : page);
+            setHasMore(page.length === PAGE_SIZE);
+        } catch (err) {
+            alert("خطأ في جلب السجل: " + err.message);
+            setEntries(p => p || []);
+        }
+    }, [filters]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleFilterChange = (e) => setFilters(p => ({ ...p, [e.target.name]: e.target.value }));
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 p-3 bg-gray-800 rounded-lg">
+                <select name="entityType" value={filters.entityType} onChange={handleFilterChange} className="p-2 bg-gray-700 rounded-md">
+                    <option value="">كل الأنواع</option>
+                    {Object.entries(ENTITY_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <input name="actor" value={filters.actor} onChange={handleFilterChange} placeholder="المستخدم" className="p-2 bg-gray-700 rounded-md" />
+                <input name="entityId" value={filters.entityId} onChange={handleFilterChange} placeholder="المعرف" className="p-2 bg-gray-700 rounded-md" />
+            </div>
+            {entries === null ? (
+                <div className="text-center py-10"><i className="fas fa-spinner fa-spin text-3xl text-gray-500"></i></div>
+            ) : entries.length === 0 ? (
+                <p className="text-center py-10 text-gray-500">لا توجد سجلات.</p>
+            ) : (
+                <div className="space-y-px">
+                    {entries.map(entry => (
+                        <div key={entry.id} className="bg-gray-800/50 first:rounded-t-lg last:rounded-b-lg">
+                            <div onClick={() => setExpandedId(p => p === entry.id ? null : entry.id)} className="flex items-center gap-4 p-3 cursor-pointer hover:bg-gray-800">
+                                <span className={`font-mono text-xs font-bold w-14 ${METHOD_COLORS[entry.method] || ''}`}>{entry.method}</span>
+                                <div className="flex-1">
+                                    <p className="font-semibold">{ENTITY_LABELS[entry.entity_type] || entry.entity_type} {entry.entity_id && <span className="text-gray-400">#{entry.entity_id}</span>}</p>
+                                    <p className="text-xs text-gray-400 font-mono" dir="ltr">{entry.route}</p>
+                                </div>
+                                <div className="text-left text-xs text-gray-400">
+                                    <p>{entry.actor_username || '—'}</p>
+                                    <p>{new Date(entry.created_at).toLocaleString('ar-EG')}</p>
+                                </div>
+                            </div>
+                            {expandedId === entry.id && (
+                                <div className="p-3 border-t border-gray-700 text-xs font-mono space-y-2" dir="ltr">
+                                    {diffKeys(entry.before, entry.after).map(key => (
+                                        <div key={key}>
+                                            <p className="font-bold text-gray-300">{key}</p>
+                                            <p className="text-red-400 break-all">- {JSON.stringify(entry.before?.[key]) ?? '∅'}</p>
+                                            <p className="text-green-400 break-all">+ {JSON.stringify(entry.after?.[key]) ?? '∅'}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+            {hasMore && (
+                <div className="text-center">
+                    <button onClick={() => load(entries[entries.length - 1].id)} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded-md">تحميل المزيد</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ManageUsersModal = ({ currentUser, onClose }) => {
+    const [users, setUsers] = useState(null);
+    const [formData, setFormData] = useState({ username: '', password: '', role: 'viewer' });
+    const [loading, setLoading] = useState(false);
+
+    const loadUsers = useCallback(async () => {
+        try {
+            setUsers(await api.call('/api/admin-users'));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+            setUsers([]);
+        }
+    }, []);
+
+    useEffect(() => { loadUsers(); }, [loadUsers]);
+
+    const updateUser = async (id, changes) => {
+        try {
+            const updated = await api.call(`/api/admin-users/${id}`, 'PUT', changes);
+            setUsers(p => p.map(u => u.id === updated.id ? updated : u));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const revokeSessions = async (id) => {
+        try {
+            await api.call(`/api/admin-users/${id}/revoke-sessions`, 'POST');
+            alert('تم إنهاء جميع الجلسات.');
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const deleteUser = async (id) => {
+        if (!confirm('هل أنت متأكد؟')) return;
+        try {
+            await api.call(`/api/admin-users/${id}`, 'DELETE');
+            setUsers(p => p.filter(u => u.id !== id));
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        try {
+            const created = await api.call('/api/admin-users', 'POST', formData);
+            setUsers(p => [...p, created].sort((a, b) => a.username.localeCompare(b.username)));
+            setFormData({ username: '', password: '', role: 'viewer' });
+        } catch (err) {
+            alert("خطأ: " + err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div className="w-full max-w-3xl bg-gray-800 rounded-lg shadow-xl flex flex-col" onClick={e => e.stopPropagation()}>
+                <header className="p-4 border-b border-gray-700">
+                    <h2 className="text-xl font-bold">إدارة المستخدمين</h2>
+                </header>
+                <div className="p-6 max-h-[70vh] overflow-y-auto space-y-6">
+                    {users === null ? (
+                        <div className="text-center"><i className="fas fa-spinner fa-spin text-2xl text-gray-500"></i></div>
+                    ) : (
+                        <div className="space-y-3">
+                            {users.map(u => (
+                                <div key={u.id} className={`flex items-center gap-4 p-3 bg-gray-700/50 rounded-md ${u.disabled ? 'opacity-50' : ''}`}>
+                                    <div className="flex-1">
+                                        <p className="font-bold">{u.username}</p>
+                                        {u.disabled && <p className="text-xs text-red-400">معطل</p>}
+                                    </div>
+                                    <select value={u.role} onChange={e => updateUser(u.id, { role: e.target.value })} disabled={u.id === currentUser.id} className="p-2 bg-gray-700 rounded-md">
+                                        {ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                                    </select>
+                                    <button onClick={() => updateUser(u.id, { disabled: !u.disabled })} disabled={u.id === currentUser.id} title={u.disabled ? 'تفعيل' : 'تعطيل'} className="text-yellow-400 hover:text-yellow-300 px-2 disabled:opacity-30"><i className={`fas ${u.disabled ? 'fa-user-check' : 'fa-user-slash'}`}></i></button>
+                                    <button onClick={() => revokeSessions(u.id)} title="إنهاء الجلسات" className="text-blue-400 hover:text-blue-300 px-2"><i className="fas fa-user-clock"></i></button>
+                                    <button onClick={() => deleteUser(u.id)} disabled={u.id === currentUser.id} title="حذف" className="text-red-500 hover:text-red-400 px-2 disabled:opacity-30"><i className="fas fa-trash"></i></button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <form onSubmit={handleSubmit} className="pt-4 border-t border-gray-700 space-y-4">
+                        <h3 className="text-lg font-semibold">إضافة مستخدم</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div><label className="text-sm">اسم المستخدم</label><input type="text" value={formData.username} onChange={e => setFormData(p => ({ ...p, username: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                            <div><label className="text-sm">كلمة المرور</label><input type="password" value={formData.password} onChange={e => setFormData(p => ({ ...p, password: e.target.value }))} required className="w-full mt-1 p-2 bg-gray-700 rounded-md" /></div>
+                            <div><label className="text-sm">الصلاحية</label><select value={formData.role} onChange={e => setFormData(p => ({ ...p, role: e.target.value }))} className="w-full mt-1 p-2 bg-gray-700 rounded-md">{ROLES.map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}</select></div>
+                        </div>
+                        <footer className="flex justify-end">
+                            <button type="submit" disabled={loading} className="px-6 py-2 bg-green-600 hover:bg-green-500 rounded-md disabled:opacity-50">{loading ? '...' : 'إضافة'}</button>
+                        </footer>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 
 ReactDOM.render(<App />, document.getElementById('root'));
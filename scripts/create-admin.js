@@ -0,0 +1,24 @@
+// Creates (or resets) an admin account from the command line.
+// Usage: node scripts/create-admin.js <username> <password> [role]
+import { ROLES, hashPassword } from "../lib/auth.js";
+import { storage } from "../lib/storage/index.js";
+
+const [username, password, role = 'super_admin'] = process.argv.slice(2);
+
+if (!username || !password) {
+    console.error('Usage: node scripts/create-admin.js <username> <password> [role]');
+    process.exit(1);
+}
+if (!ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}.`);
+    process.exit(1);
+}
+
+let data;
+try {
+    data = await storage.adminUsers.upsertByUsername({ username, password_hash: hashPassword(password), role, disabled: false });
+} catch (error) {
+    console.error('Failed to create admin user:', error.message);
+    process.exit(1);
+}
+console.log(`Admin user ready: ${data.username} (${data.role}, id ${data.id})`);
@@ -0,0 +1,25 @@
+// Runs the app locally without Supabase or API-Football: in-memory storage seeded from
+// fixtures/seed/storage.json, and match data read from fixtures/ by the file provider.
+// Usage: node scripts/dev-server.js
+// PORT, DEV_ADMIN_USERNAME and DEV_ADMIN_PASSWORD override the defaults; any STORAGE_* or
+// FOOTBALL_PROVIDER already set in the environment is respected.
+process.env.STORAGE_BACKEND ||= 'memory';
+process.env.STORAGE_SEED_FILE ||= 'fixtures/seed/storage.json';
+process.env.FOOTBALL_PROVIDER ||= 'file';
+
+// Imported after the defaults above, since storage and provider are chosen at import time
+const { default: app } = await import('../api/index.js');
+const { storage } = await import('../lib/storage/index.js');
+const { hashPassword } = await import('../lib/auth.js');
+
+const PORT = Number(process.env.PORT) || 3000;
+const username = process.env.DEV_ADMIN_USERNAME || 'admin';
+const password = process.env.DEV_ADMIN_PASSWORD || 'admin-password';
+
+// Only the throwaway memory store gets a default account
+if (storage.name === 'memory') {
+    await storage.adminUsers.upsertByUsername({ username, password_hash: hashPassword(password), role: 'super_admin', disabled: false });
+    console.log(`Dev login: ${username} / ${password} (super_admin)`);
+}
+
+app.listen(PORT, () => console.log(`Dev server (${storage.name} storage, ${process.env.FOOTBALL_PROVIDER} provider) on http://localhost:${PORT}`));
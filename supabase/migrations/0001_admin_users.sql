@@ -0,0 +1,21 @@
+-- Named admin accounts and their login sessions (replaces the shared ADMIN_PANEL_PASSKEY)
+
+create table if not exists admin_users (
+    id bigint generated always as identity primary key,
+    username text not null unique,
+    password_hash text not null,
+    role text not null check (role in ('viewer', 'channel_editor', 'super_admin')),
+    disabled boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists admin_sessions (
+    id bigint generated always as identity primary key,
+    token_hash text not null unique,
+    user_id bigint not null references admin_users(id) on delete cascade,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists admin_sessions_user_id_idx on admin_sessions(user_id);
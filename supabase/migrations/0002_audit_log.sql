@@ -0,0 +1,17 @@
+-- Trail of every admin mutation with the row state before and after
+
+create table if not exists audit_log (
+    id bigint generated always as identity primary key,
+    created_at timestamptz not null default now(),
+    actor_id bigint references admin_users(id) on delete set null,
+    actor_username text,
+    method text not null,
+    route text not null,
+    entity_type text not null,
+    entity_id text,
+    before jsonb,
+    after jsonb
+);
+
+create index if not exists audit_log_created_at_idx on audit_log(created_at desc);
+create index if not exists audit_log_entity_idx on audit_log(entity_type, entity_id);
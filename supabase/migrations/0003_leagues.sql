@@ -0,0 +1,65 @@
+-- Supported leagues, managed from the admin panel (replaces CONFIG.SUPPORTED_LEAGUES in sync.js)
+
+create table if not exists leagues (
+    id bigint primary key, -- API-Football league id
+    name text not null,
+    display_name text,
+    country text,
+    logo text,
+    enabled boolean not null default true,
+    priority integer not null default 1000, -- lower values are listed first
+    default_channels jsonb not null default '[]'::jsonb, -- channel ids linked to newly synced fixtures
+    updated_at timestamptz not null default now()
+);
+
+-- Seed with the previously hardcoded list, keeping its order as the initial priority.
+-- Names are placeholders; sync fills in the provider's name, country and logo.
+insert into leagues (id, name, priority) values
+    (39, 'League 39', 10),
+    (61, 'League 61', 20),
+    (140, 'League 140', 30),
+    (78, 'League 78', 40),
+    (135, 'League 135', 50),
+    (94, 'League 94', 60),
+    (5, 'League 5', 70),
+    (2, 'League 2', 80),
+    (3, 'League 3', 90),
+    (531, 'League 531', 100),
+    (308, 'League 308', 110),
+    (54, 'League 54', 120),
+    (307, 'League 307', 130),
+    (826, 'League 826', 140),
+    (186, 'League 186', 150),
+    (514, 'League 514', 160),
+    (516, 'League 516', 170),
+    (202, 'League 202', 180),
+    (511, 'League 511', 190),
+    (714, 'League 714', 200),
+    (895, 'League 895', 210),
+    (233, 'League 233', 220),
+    (539, 'League 539', 230),
+    (200, 'League 200', 240),
+    (201, 'League 201', 250),
+    (822, 'League 822', 260),
+    (6, 'League 6', 270),
+    (36, 'League 36', 280),
+    (538, 'League 538', 290),
+    (953, 'League 953', 300),
+    (19, 'League 19', 310),
+    (1163, 'League 1163', 320),
+    (29, 'League 29', 330),
+    (934, 'League 934', 340),
+    (768, 'League 768', 350),
+    (860, 'League 860', 360),
+    (807, 'League 807', 370),
+    (1132, 'League 1132', 380),
+    (17, 'League 17', 390),
+    (18, 'League 18', 400),
+    (24, 'League 24', 410),
+    (1129, 'League 1129', 420),
+    (7, 'League 7', 430),
+    (35, 'League 35', 440),
+    (12, 'League 12', 450),
+    (20, 'League 20', 460),
+    (533, 'League 533', 470)
+on conflict (id) do nothing;
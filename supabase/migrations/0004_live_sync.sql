@@ -0,0 +1,5 @@
+-- Elapsed minute for in-progress matches, and a freshness marker for the live-score sync
+
+alter table matches add column if not exists elapsed integer;
+
+alter table sync_metadata add column if not exists last_live_sync timestamptz;
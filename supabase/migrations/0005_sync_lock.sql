@@ -0,0 +1,4 @@
+-- Lease-style lock so only one sync runs at a time; expired leases are free to take
+
+alter table sync_metadata add column if not exists sync_lock_owner text;
+alter table sync_metadata add column if not exists sync_lock_until timestamptz;
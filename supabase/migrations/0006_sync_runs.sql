@@ -0,0 +1,22 @@
+-- One row per sync run (window, range, season or live), including failed ones
+
+create table if not exists sync_runs (
+    id bigint generated always as identity primary key,
+    kind text not null check (kind in ('window', 'range', 'season', 'live')),
+    trigger text not null check (trigger in ('auto', 'manual', 'cron')),
+    triggered_by text,
+    started_at timestamptz not null default now(),
+    finished_at timestamptz, -- null while running, or if the run died
+    success boolean,
+    message text,
+    dates jsonb not null default '[]'::jsonb,
+    new_count integer not null default 0,
+    changed_count integer not null default 0,
+    unchanged_count integer not null default 0,
+    dropped_count integer not null default 0,
+    api_calls integer not null default 0,
+    errors jsonb not null default '[]'::jsonb, -- [{ date?, message }]
+    duration_ms integer
+);
+
+create index if not exists sync_runs_started_at_idx on sync_runs(started_at desc);
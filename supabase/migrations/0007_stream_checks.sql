@@ -0,0 +1,15 @@
+-- Latest health probe of every channel stream URL, and when all channels were last checked
+
+create table if not exists stream_checks (
+    id bigint generated always as identity primary key,
+    channel_id text not null, -- channels.id as text; rows are removed with the channel by the API
+    url text not null,
+    status text not null check (status in ('up', 'down')),
+    http_status integer,
+    response_ms integer,
+    error text,
+    checked_at timestamptz not null default now(),
+    unique (channel_id, url)
+);
+
+alter table sync_metadata add column if not exists last_stream_check timestamptz;
@@ -0,0 +1,21 @@
+-- Rules that link channels to fixtures automatically during sync, and a marker for hand-set links
+
+create table if not exists link_rules (
+    id bigint generated always as identity primary key,
+    name text not null,
+    enabled boolean not null default true,
+    league_id bigint,           -- API-Football league id
+    team text,                  -- team name, compared case-insensitively
+    team_side text not null default 'any' check (team_side in ('any', 'home', 'away')),
+    country text,               -- competition country
+    date_from date,             -- inclusive match-day scope
+    date_to date,
+    channel_ids jsonb not null default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Links set through the panel are never replaced by rules. Existing links cannot be told apart from
+-- league defaults any more, so they are all treated as hand-set.
+alter table matches add column if not exists "linkedManually" boolean not null default false;
+update matches set "linkedManually" = true where "broadcastChannels"::text not in ('[]', '{}');
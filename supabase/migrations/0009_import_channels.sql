@@ -0,0 +1,25 @@
+-- Applies a channel import in one transaction: every update and insert succeeds, or none does.
+-- creates: [{ name, category, logo, urls }], updates: [{ id, name, category, logo, urls }]
+
+create or replace function import_channels(creates jsonb, updates jsonb)
+returns setof channels
+language plpgsql
+as $$
+declare
+    item jsonb;
+begin
+    for item in select * from jsonb_array_elements(updates) loop
+        return query
+            update channels
+            set name = item->>'name', category = item->>'category', logo = item->>'logo', urls = item->'urls'
+            where id::text = item->>'id'
+            returning *;
+    end loop;
+    for item in select * from jsonb_array_elements(creates) loop
+        return query
+            insert into channels (name, category, logo, urls)
+            values (item->>'name', item->>'category', item->>'logo', item->'urls')
+            returning *;
+    end loop;
+end;
+$$;
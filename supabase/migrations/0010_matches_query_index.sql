@@ -0,0 +1,3 @@
+-- GET /api/matches pages through matches by (kickoffTime, matchId), usually within a date range
+
+create index if not exists matches_kickoff_time_match_id_idx on matches ("kickoffTime", "matchId");
@@ -0,0 +1,35 @@
+-- Old matches are moved here by the retention job (MATCH_RETENTION_MODE=archive). The whole row is
+-- kept as jsonb so the archive does not have to follow later changes to the matches table.
+
+create table if not exists matches_archive (
+    "matchId" text primary key,
+    "kickoffTime" timestamptz not null,
+    data jsonb not null,
+    archived_at timestamptz not null default now()
+);
+
+create index if not exists matches_archive_kickoff_time_idx on matches_archive ("kickoffTime");
+
+-- Copies the given matches into the archive and deletes them, in one transaction
+create or replace function archive_matches(match_ids text[])
+returns integer
+language plpgsql
+as $$
+declare
+    moved integer;
+begin
+    insert into matches_archive ("matchId", "kickoffTime", data)
+    select m."matchId"::text, m."kickoffTime", to_jsonb(m)
+    from matches m
+    where m."matchId"::text = any(match_ids)
+    on conflict ("matchId") do update set "kickoffTime" = excluded."kickoffTime", data = excluded.data, archived_at = now();
+
+    delete from matches where "matchId"::text = any(match_ids);
+    get diagnostics moved = row_count;
+    return moved;
+end;
+$$;
+
+-- Retention runs are recorded alongside syncs
+alter table sync_runs drop constraint if exists sync_runs_kind_check;
+alter table sync_runs add constraint sync_runs_kind_check check (kind in ('window', 'range', 'season', 'live', 'retention'));
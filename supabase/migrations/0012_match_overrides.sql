@@ -0,0 +1,9 @@
+-- Manually created matches (matchId "manual-<uuid>") and admin overrides that sync never writes.
+-- overrides: { title, hidden, featured, kickoffTime }; a kickoff override is also applied to
+-- "kickoffTime", with the provider's value kept in "providerKickoffTime".
+
+alter table matches add column if not exists source text not null default 'api' check (source in ('api', 'manual'));
+alter table matches add column if not exists overrides jsonb not null default '{}'::jsonb;
+alter table matches add column if not exists "providerKickoffTime" timestamptz;
+
+update matches set "providerKickoffTime" = "kickoffTime" where "providerKickoffTime" is null and source = 'api';
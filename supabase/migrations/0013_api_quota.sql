@@ -0,0 +1,10 @@
+-- API-Football request quota from the latest response headers, shared by every instance.
+-- api_blocked_until is set after a 429 (a minute) or an exhausted daily plan (next 00:00 UTC).
+
+alter table sync_metadata add column if not exists api_daily_limit integer;
+alter table sync_metadata add column if not exists api_daily_remaining integer;
+alter table sync_metadata add column if not exists api_minute_limit integer;
+alter table sync_metadata add column if not exists api_minute_remaining integer;
+alter table sync_metadata add column if not exists api_quota_updated_at timestamptz;
+alter table sync_metadata add column if not exists api_blocked_until timestamptz;
+alter table sync_metadata add column if not exists api_blocked_reason text check (api_blocked_reason in ('RATE_LIMITED', 'QUOTA_EXHAUSTED'));
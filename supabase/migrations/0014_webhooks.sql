@@ -0,0 +1,31 @@
+-- Outbound webhooks for match events, and a log of every delivery with its retry state
+
+create table if not exists webhooks (
+    id bigint generated always as identity primary key,
+    name text not null,
+    url text not null,
+    secret text not null,                           -- HMAC-SHA256 key for X-Webhook-Signature
+    events jsonb not null default '[]'::jsonb,      -- subscribed event types, e.g. ["match.goal"]
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+    id bigint generated always as identity primary key,
+    webhook_id bigint not null references webhooks(id) on delete cascade,
+    event_id uuid not null,                         -- shared by every delivery of one event
+    event_type text not null,
+    payload jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+    attempts integer not null default 0,
+    next_attempt_at timestamptz default now(),      -- null once delivered or failed
+    last_attempt_at timestamptz,
+    response_status integer,
+    response_ms integer,
+    error text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries(next_attempt_at) where status = 'pending';
+create index if not exists webhook_deliveries_webhook_idx on webhook_deliveries(webhook_id, id desc);
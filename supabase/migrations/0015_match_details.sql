@@ -0,0 +1,14 @@
+-- Fixture details API-Football already returns with every fixture, and on-demand events and line-ups
+
+alter table matches add column if not exists round text;
+alter table matches add column if not exists venue jsonb;   -- { name, city }
+alter table matches add column if not exists referee text;
+alter table matches add column if not exists score jsonb;   -- { halftime, extratime, penalty }, each { home, away } or null
+
+-- Fetched one match at a time through the admin API; removed together with the match
+create table if not exists match_details (
+    "matchId" text primary key,
+    events jsonb not null default '[]'::jsonb,   -- goals and cards: [{ minute, extra, type, detail, teamId, team, player, assist }]
+    lineups jsonb not null default '[]'::jsonb,  -- per team: [{ teamId, team, logo, formation, coach, startXI, substitutes }]
+    fetched_at timestamptz not null default now()
+);
@@ -0,0 +1,4 @@
+-- Heartbeat of the scheduled jobs (api/cron/*): when Vercel Cron last called one, and which
+
+alter table sync_metadata add column if not exists last_cron_run timestamptz;
+alter table sync_metadata add column if not exists last_cron_job text;
@@ -1,120 +1,365 @@
-import { createClient } from "@supabase/supabase-js";
-import fetch from "node-fetch";
-
-const API_FOOTBALL_KEY = process.env.API_FOOTBALL_KEY;
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+import crypto from "crypto";
+import { availableRequests, describeQuotaShortage, isQuotaError } from "./lib/apiQuota.js";
+import { sameInstant, sameValue } from "./lib/compare.js";
+import { resolveLinks } from "./lib/linkRules.js";
+import { isManualMatch, mergeSyncedMatch } from "./lib/matchOverrides.js";
+import { createProvider } from "./lib/providers/index.js";
+import { storage } from "./lib/storage/index.js";
+import { DEFAULT_TIMEZONE, addDays, todayIn } from "./lib/time.js";
+import { matchEvents, publishEvents } from "./lib/webhooks.js";
 
 const CONFIG = {
-    SUPPORTED_LEAGUES: [39, 61, 140, 78, 135, 94, 5, 2, 3, 531, 308, 54, 307, 826, 186, 514, 516, 202, 511, 714, 895, 233, 539, 200, 201, 822, 6, 36, 538, 953, 19, 1163, 29, 934, 768, 860, 807, 1132, 17, 18, 24, 1129, 7, 35, 12, 20, 533],
-    API_BASE_URL: 'https://v3.football.api-sports.io',
-    REQUEST_TIMEOUT: 25000,
     RATE_LIMIT_DELAY: 600,
-    MAX_RETRIES: 3
+    // Match days (matchDate) and the sync window follow this timezone's calendar
+    TIMEZONE: DEFAULT_TIMEZONE,
+    // Default sync window, in days around today
+    SYNC_DAYS_BEFORE: Number(process.env.SYNC_DAYS_BEFORE ?? 1),
+    SYNC_DAYS_AFTER: Number(process.env.SYNC_DAYS_AFTER ?? 1),
+    // Dates fetched in parallel per batch; batches are spaced by RATE_LIMIT_DELAY
+    DATES_PER_BATCH: 3,
+    // No new batch is started past this point; with one worst-case batch after it, a run still ends
+    // within maxDuration in vercel.json
+    RUN_TIME_BUDGET: 45000,
+    MAX_RANGE_DAYS: 366,
+    // A crashed or frozen run releases the lock implicitly once this expires. Runs renew it before each
+    // batch, so it has to outlast one batch: MAX_RETRIES requests of up to REQUEST_TIMEOUT each, plus
+    // backoff (about 77s with the settings in lib/providers/apiSports.js)
+    SYNC_LOCK_TTL: 120000,
+    // Stored live matches missing from the live feed are looked up by id only if they kicked off this
+    // recently; older ones are left to the window sync rather than costing a request every live run
+    LIVE_REFETCH_HOURS: 6
 };
 
-// ... (Helper functions like delay, makeApiRequest, transformFixtureData remain the same)
+export const LIVE_STATUSES = ['1H', 'HT', '2H', 'ET', 'BT', 'P', 'SUSP', 'INT', 'LIVE'];
+export const UPCOMING_STATUSES = ['TBD', 'NS'];
+// Statuses after which a fixture will not change again
+export const FINAL_STATUSES = ['FT', 'AET', 'PEN', 'PST', 'CANC', 'ABD', 'AWD', 'WO'];
+
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const makeApiRequest = async (url, retryCount = 0) => {
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT);
-        const response = await fetch(url, {
-            headers: { 'x-apisports-key': API_FOOTBALL_KEY },
-            signal: controller.signal
-        });
-        clearTimeout(timeoutId);
-        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
-        const data = await response.json();
-        if (data.errors && Object.keys(data.errors).length > 0) {
-            console.warn(`API returned errors:`, data.errors);
+// Selected by FOOTBALL_PROVIDER; see lib/providers/index.js
+const provider = createProvider({ timezone: CONFIG.TIMEZONE });
+
+// Enabled leagues keyed by API-Football league id
+const fetchEnabledLeagues = async () => {
+    const data = await storage.leagues.listEnabled();
+    return new Map(data.map(l => [Number(l.id), l]));
+};
+
+// Applies the league's display name override to a transformed match
+const applyLeagueSettings = (match, league) => {
+    if (league.display_name) match.competition.name = league.display_name;
+    return match;
+};
+
+const listDates = (from, to) => {
+    const dates = [];
+    for (let d = from; d <= to; d = addDays(d, 1)) dates.push(d);
+    return dates;
+};
+
+export const getDefaultSyncWindow = () => {
+    const today = todayIn(CONFIG.TIMEZONE);
+    return { from: addDays(today, -CONFIG.SYNC_DAYS_BEFORE), to: addDays(today, CONFIG.SYNC_DAYS_AFTER) };
+};
+
+// Number of calendar days covered by an inclusive YYYY-MM-DD range
+export const countRangeDays = (from, to) => Math.round((new Date(to) - new Date(from)) / 864e5) + 1;
+
+export const MAX_SYNC_RANGE_DAYS = CONFIG.MAX_RANGE_DAYS;
+
+const onlyEnabledLeagues = (matches, leagues) => matches.filter(m => leagues.has(Number(m.competition.id)));
+
+const fetchMatchesBySeason = async (leagueId, season, leagues, run) =>
+    onlyEnabledLeagues(await provider.fetchMatchesBySeason(leagueId, season, run), leagues);
+
+const fetchMatchesByDate = async (date, leagues, run) =>
+    onlyEnabledLeagues(await provider.fetchMatchesByDate(date, run), leagues);
+
+// Keeps the leagues table's name, country and logo in step with what the provider reports
+const refreshLeagueDetails = async (matches, leagues) => {
+    const seen = new Map();
+    for (const { competition } of matches) {
+        const league = leagues.get(competition.id);
+        if (league.name !== competition.name || league.country !== competition.country || league.logo !== competition.logo) {
+            seen.set(competition.id, { id: competition.id, name: competition.name, country: competition.country, logo: competition.logo, updated_at: new Date().toISOString() });
         }
-        return data.response || [];
+    }
+    if (seen.size === 0) return;
+    await storage.leagues.upsertMany([...seen.values()]).catch(error => console.error("Failed to refresh league details:", error));
+};
+
+// --- Sync lock ---
+// One run at a time (daily, backfill or live), coordinated through sync_metadata.sync_lock_*.
+
+// Claims the lock if it is free or expired; resolves to the owner token, or null when it is held
+const acquireSyncLock = async () => {
+    const now = new Date();
+    const owner = crypto.randomUUID();
+    const until = new Date(now.getTime() + CONFIG.SYNC_LOCK_TTL).toISOString();
+    return await storage.syncMetadata.acquireLock({ owner, until, now: now.toISOString() }) ? owner : null;
+};
+
+// Pushes the expiry of a held lock out by another TTL; throws if the lock was lost (it expired and
+// another run took it), so this run stops instead of overlapping that one
+const renewSyncLock = async (owner) => {
+    const until = new Date(Date.now() + CONFIG.SYNC_LOCK_TTL).toISOString();
+    if (!await storage.syncMetadata.renewLock({ owner, until })) throw new Error('Lost the sync lock to another run.');
+};
+
+const releaseSyncLock = (owner) => storage.syncMetadata.releaseLock(owner).catch(error => console.error("Failed to release sync lock:", error));
+
+// True when a sync_metadata row shows an unexpired lock
+export const isSyncLocked = (meta) => !!meta?.sync_lock_until && new Date(meta.sync_lock_until) > new Date();
+
+// True when some stored fixture kicked off recently (last 4 hours) and has not reached a final status
+export const hasMatchesInProgress = (now = new Date()) => {
+    const windowStart = new Date(now.getTime() - 4 * 36e5).toISOString();
+    return storage.matches.hasUnfinishedBetween(windowStart, now.toISOString(), FINAL_STATUSES);
+};
+
+// --- Sync run history ---
+// Every run that gets the lock is persisted to sync_runs: inserted when it starts, completed when it ends.
+// A row left without finished_at belongs to a run that crashed or timed out.
+
+export const SYNC_TRIGGERS = ['auto', 'manual', 'cron'];
+
+const startSyncRun = async (kind, { trigger = 'manual', triggeredBy = null } = {}) => {
+    const run = {
+        id: null, kind, trigger, triggeredBy, startedAt: new Date(),
+        dates: [], errors: [], apiCalls: 0, events: [],
+        counts: { new: 0, changed: 0, unchanged: 0, dropped: 0 }
+    };
+    try {
+        const row = await storage.syncRuns.create({ kind, trigger, triggered_by: triggeredBy, started_at: run.startedAt.toISOString() });
+        run.id = row.id;
     } catch (error) {
-        if (retryCount < CONFIG.MAX_RETRIES - 1) {
-            const backoff = CONFIG.RATE_LIMIT_DELAY * Math.pow(2, retryCount);
-            await delay(backoff);
-            return makeApiRequest(url, retryCount + 1);
-        }
-        console.error(`Failed API request to ${url} after ${CONFIG.MAX_RETRIES} retries.`, error);
-        throw error;
+        console.error("Failed to record sync run start:", error);
     }
+    return run;
+};
+
+const finishSyncRun = async (run, result) => {
+    if (!run.id) return;
+    await storage.syncRuns.update(run.id, {
+        finished_at: new Date().toISOString(),
+        success: result.success,
+        message: result.message,
+        dates: run.dates,
+        new_count: run.counts.new,
+        changed_count: run.counts.changed,
+        unchanged_count: run.counts.unchanged,
+        dropped_count: run.counts.dropped,
+        api_calls: run.apiCalls,
+        errors: result.error ? [...run.errors, { message: result.error }] : run.errors,
+        duration_ms: Date.now() - run.startedAt.getTime()
+    }).catch(error => console.error("Failed to record sync run result:", error));
 };
 
-const transformFixtureData = (fixture) => {
+// Run statistics in the shape returned to API callers
+const runStats = (run) => ({
+    ...run.counts,
+    updated: run.counts.new + run.counts.changed + run.counts.unchanged,
+    apiCalls: run.apiCalls,
+    errors: run.errors,
+    duration: Date.now() - run.startedAt.getTime()
+});
+
+// Runs `execute(run)` holding the sync lock and records it in sync_runs. Also used by other jobs
+// that must not overlap a sync (see lib/retention.js). `execute` calls run.renewLock() before each
+// step that may take long (see SYNC_LOCK_TTL). Once the lock is released, webhook events the run
+// collected are published and any deliveries due for a retry are sent with them.
+export const withSyncLock = async (kind, context, execute) => {
+    let owner;
     try {
-        const { fixture: { id, date, status }, teams: { home, away }, goals, league } = fixture;
-        if (!id || !date || !home?.name || !away?.name || !league?.name) return null;
-        return {
-            matchId: id.toString(), externalId: id, kickoffTime: date,
-            matchDate: new Date(date).toISOString().slice(0, 10),
-            status: status.short || 'NS', statusText: status.long || 'Not Started',
-            homeTeam: { name: home.name, logo: home.logo, goals: goals.home },
-            awayTeam: { name: away.name, logo: away.logo, goals: goals.away },
-            competition: { name: league.name, logo: league.logo, country: league.country },
-            broadcastChannels: [], lastUpdated: new Date().toISOString(), syncedAt: new Date().toISOString()
-        };
+        owner = await acquireSyncLock();
     } catch (error) {
-        console.error(`Failed to transform fixture ID ${fixture?.fixture?.id}:`, error);
-        return null;
+        console.error('Failed to acquire sync lock:', error);
+        return { success: false, message: 'Could not acquire the sync lock.', error: error.message };
+    }
+    if (!owner) return { success: false, locked: true, message: 'Another sync is already running.' };
+    let run, result;
+    try {
+        run = await startSyncRun(kind, context);
+        run.renewLock = () => renewSyncLock(owner);
+        result = await execute(run);
+        await finishSyncRun(run, result);
+    } finally {
+        await releaseSyncLock(owner);
     }
+    await publishEvents(run.events);
+    return { ...result, runId: run.id };
 };
 
-const fetchMatchesByDate = async (date) => {
-    const url = `${CONFIG.API_BASE_URL}/fixtures?date=${date}`;
-    const fixtures = await makeApiRequest(url);
-    if (!Array.isArray(fixtures)) return [];
-    
-    return fixtures
-        .filter(f => f?.league?.id && CONFIG.SUPPORTED_LEAGUES.includes(f.league.id))
-        .map(transformFixtureData)
-        .filter(Boolean);
+// Records a run that never got going (lock held elsewhere, or no API quota left) as a failed run,
+// so scheduled runs that did nothing still show up in the history
+export const recordSkippedRun = async (kind, context, result) => {
+    const run = await startSyncRun(kind, context);
+    await finishSyncRun(run, result);
+    return { ...result, runId: run.id };
 };
 
+// Provider-derived fields compared to tell a changed fixture from an unchanged one
+const DIFF_FIELDS = ['kickoffTime', 'matchDate', 'status', 'statusText', 'elapsed', 'homeTeam', 'awayTeam', 'competition', 'round', 'venue', 'referee', 'score'];
+const TIME_FIELDS = ['kickoffTime'];
+const sameField = (field, a, b) => TIME_FIELDS.includes(field) ? sameInstant(a, b) : sameValue(a, b);
 
-export const synchronizeMatchesData = async () => {
+// Links each fixture (see resolveLinks), keeps its overrides (see mergeSyncedMatch), upserts the batch,
+// tallies new / changed / unchanged fixtures and collects their webhook events on the run
+const upsertMatches = async (fetched, leagues, run) => {
+    const ids = fetched.map(m => m.matchId);
+    const existingMatches = await storage.matches.findByIds(ids);
+    const rules = await storage.linkRules.listEnabled();
+
+    const existingMap = new Map(existingMatches.map(m => [m.matchId, m]));
+    const matches = fetched.map(match => mergeSyncedMatch(match, existingMap.get(match.matchId), CONFIG.TIMEZONE));
+    for (const match of matches) {
+        const existing = existingMap.get(match.matchId);
+        if (!existing) run.counts.new++;
+        else if (DIFF_FIELDS.every(field => sameField(field, existing[field], match[field]))) run.counts.unchanged++;
+        else run.counts.changed++;
+    }
+
+    // The transformed fixture has no overrides column, so the upsert leaves the stored one untouched
+    const matchesToUpsert = matches.map(newMatch => ({
+        ...newMatch,
+        broadcastChannels: resolveLinks(newMatch, existingMap.get(newMatch.matchId), leagues.get(newMatch.competition.id), rules),
+        lastUpdated: new Date().toISOString()
+    }));
+
+    await storage.matches.upsertMany(matchesToUpsert);
+    for (const match of matchesToUpsert) {
+        const existing = existingMap.get(match.matchId);
+        if (existing) run.events.push(...matchEvents(existing, { ...existing, ...match }));
+    }
+    return matchesToUpsert;
+};
+
+// --- Request budget ---
+
+// A "skipped" result, without taking the lock or recording a run, when the API quota leaves this
+// trigger no requests at all (see lib/apiQuota.js); otherwise null. A failure to read the quota is
+// returned as a failed result, like a failure to take the lock, so callers never see a rejection.
+const skipForQuota = async (trigger) => {
+    try {
+        if (await availableRequests({ trigger }) > 0) return null;
+        const reason = await describeQuotaShortage();
+        return { success: false, skipped: true, message: `Sync skipped. ${reason}`, error: reason };
+    } catch (error) {
+        console.error('Failed to read the API quota:', error);
+        return { success: false, message: 'Could not read the API quota.', error: error.message };
+    }
+};
+
+/**
+ * Fetches and upserts fixtures for one of:
+ *  - the default window (no options): SYNC_DAYS_BEFORE..SYNC_DAYS_AFTER around today
+ *  - a date range: { from, to } (YYYY-MM-DD, inclusive)
+ *  - a whole season of one league: { league, season }
+ * Date ranges are fetched in batches; when the run's time budget or the API quota is spent, the
+ * unfinished part is returned as `remaining` so the caller can continue with another request.
+ */
+export const synchronizeMatchesData = async ({ trigger = 'manual', triggeredBy = null, ...options } = {}) => {
+    const skipped = await skipForQuota(trigger);
+    if (skipped) return skipped;
+    const kind = options.league ? 'season' : options.from ? 'range' : 'window';
+    return withSyncLock(kind, { trigger, triggeredBy }, run => runMatchesSync(options, run));
+};
+
+// Counts stored fixtures on the given dates that the provider no longer returned
+const countDroppedMatches = async (dates, fetchedMatches) => {
+    if (dates.length === 0) return 0;
+    const fetchedIds = new Set(fetchedMatches.map(m => m.matchId));
+    const data = await storage.matches.findByDates(dates);
+    return data.filter(m => !isManualMatch(m) && !fetchedIds.has(m.matchId)).length;
+};
+
+const runMatchesSync = async ({ from, to, league, season }, run) => {
     const startTime = Date.now();
-    const today = new Date();
-    const dates = [
-        new Date(new Date().setDate(today.getDate() - 1)).toISOString().slice(0, 10),
-        new Date().toISOString().slice(0, 10),
-        new Date(new Date().setDate(today.getDate() + 1)).toISOString().slice(0, 10)
-    ];
+    const isDefaultWindow = !from && !league;
 
     try {
-        const results = await Promise.all(dates.map(date => fetchMatchesByDate(date)));
-        const allNewMatches = results.flat();
+        const leagues = await fetchEnabledLeagues();
+        if (leagues.size === 0) {
+            return { success: true, message: 'Sync skipped. No leagues are enabled.' };
+        }
+
+        const fetchedMatches = [];
+        let remaining = null;
+        let deferredReason = null;
+        if (league) {
+            if (!leagues.has(league)) {
+                return { success: false, message: `League ${league} is not enabled.`, error: 'League not enabled.' };
+            }
+            fetchedMatches.push(...await fetchMatchesBySeason(league, season, leagues, run));
+        } else {
+            const window = from ? { from, to: to || from } : getDefaultSyncWindow();
+            const dates = listDates(window.from, window.to);
+            for (let i = 0; i < dates.length;) {
+                if (i > 0) {
+                    if (Date.now() - startTime > CONFIG.RUN_TIME_BUDGET) {
+                        remaining = { from: dates[i], to: window.to };
+                        break;
+                    }
+                    await delay(CONFIG.RATE_LIMIT_DELAY);
+                }
+                // One request per date, so a batch never asks for more than the quota allows
+                const allowance = await availableRequests(run);
+                if (allowance === 0) {
+                    remaining = { from: dates[i], to: window.to };
+                    deferredReason = await describeQuotaShortage();
+                    break;
+                }
+                const batch = dates.slice(i, i + Math.min(CONFIG.DATES_PER_BATCH, allowance));
+                i += batch.length;
+                await run.renewLock();
+                // A failing date is recorded on the run and does not abort the others
+                const results = await Promise.allSettled(batch.map(date => fetchMatchesByDate(date, leagues, run)));
+                results.forEach((result, j) => {
+                    run.dates.push(batch[j]);
+                    if (result.status === 'fulfilled') fetchedMatches.push(...result.value);
+                    else run.errors.push({ date: batch[j], message: result.reason?.message || String(result.reason) });
+                });
+                // Hitting a limit ends the run; the first date it cost us is where the next run resumes
+                const limited = results.findIndex(result => result.status === 'rejected' && isQuotaError(result.reason));
+                if (limited !== -1) {
+                    remaining = { from: batch[limited], to: window.to };
+                    deferredReason = results[limited].reason.message;
+                    break;
+                }
+            }
+            if (run.dates.length > 0 && run.errors.length === run.dates.length) {
+                throw new Error(`All ${run.dates.length} date(s) failed to fetch.`);
+            }
+            const failedDates = new Set(run.errors.map(e => e.date));
+            run.counts.dropped = await countDroppedMatches(run.dates.filter(d => !failedDates.has(d)), fetchedMatches);
+        }
+
+        await refreshLeagueDetails(fetchedMatches, leagues);
+        const allNewMatches = fetchedMatches.map(match => applyLeagueSettings(match, leagues.get(match.competition.id)));
+
+        const deferredNote = deferredReason ? ` Deferred from ${remaining.from}: ${deferredReason}` : '';
+        const matchesToUpsert = allNewMatches.length > 0 ? await upsertMatches(allNewMatches, leagues, run) : [];
+
+        // Only a complete default-window run counts towards freshness (an empty one too, or every panel
+        // visit would wait on a new sync); backfills leave the auto-sync schedule alone
+        if (isDefaultWindow && run.errors.length === 0 && !remaining) {
+            await storage.syncMetadata.update({ last_successful_sync: new Date().toISOString() })
+                .catch(error => console.error("Failed to update sync timestamp:", error));
+        }
 
-        if (allNewMatches.length === 0) {
-            return { success: true, message: 'Sync complete. No new matches found.' };
+        if (matchesToUpsert.length === 0) {
+            return { success: true, message: `Sync complete. No new matches found.${deferredNote}`, stats: runStats(run), remaining };
         }
 
-        const { data: existingMatches, error: fetchError } = await supabase.from('matches').select('matchId, broadcastChannels');
-        if (fetchError) throw fetchError;
-        
-        const existingMap = new Map(existingMatches.map(m => [m.matchId, m]));
-
-        const matchesToUpsert = allNewMatches.map(newMatch => ({
-            ...newMatch,
-            broadcastChannels: existingMap.get(newMatch.matchId)?.broadcastChannels || [],
-            lastUpdated: new Date().toISOString()
-        }));
-
-        const { error: upsertError } = await supabase.from('matches').upsert(matchesToUpsert, { onConflict: 'matchId' });
-        if (upsertError) throw upsertError;
-        
-        // *** NEW: Update sync metadata on successful sync ***
-        const { error: metaError } = await supabase.from('sync_metadata').update({ last_successful_sync: new Date().toISOString() }).eq('id', 1);
-        if (metaError) console.error("Failed to update sync timestamp:", metaError);
-        
         const duration = Date.now() - startTime;
         return {
             success: true,
-            message: `Successfully synced ${matchesToUpsert.length} matches in ${duration}ms.`,
-            stats: { updated: matchesToUpsert.length, duration }
+            message: (run.errors.length > 0
+                ? `Synced ${matchesToUpsert.length} matches in ${duration}ms; ${run.errors.length} date(s) failed.`
+                : `Successfully synced ${matchesToUpsert.length} matches in ${duration}ms.`) + deferredNote,
+            stats: runStats(run),
+            remaining
         };
 
     } catch (error) {
@@ -122,3 +367,55 @@ export const synchronizeMatchesData = async () => {
         return { success: false, message: 'Error during sync process.', error: error.message };
     }
 };
+
+// --- Live score sync ---
+
+/**
+ * Refreshes only in-progress fixtures: one request to the provider's live feed, plus a lookup by id
+ * for matches we still have as live but which have dropped out of the feed (i.e. just finished).
+ * Freshness is tracked in sync_metadata.last_live_sync, separately from the daily window sync.
+ */
+export const synchronizeLiveScores = async ({ trigger = 'manual', triggeredBy = null } = {}) => {
+    const skipped = await skipForQuota(trigger);
+    if (skipped) return skipped;
+    return withSyncLock('live', { trigger, triggeredBy }, runLiveSync);
+};
+
+const runLiveSync = async (run) => {
+    const startTime = Date.now();
+    try {
+        const leagues = await fetchEnabledLeagues();
+        if (leagues.size === 0) {
+            return { success: true, message: 'Live sync skipped. No leagues are enabled.' };
+        }
+
+        const liveMatches = onlyEnabledLeagues(await provider.fetchLiveMatches(run), leagues);
+        const liveIds = new Set(liveMatches.map(m => m.matchId));
+
+        const storedLive = await storage.matches.findByStatuses(LIVE_STATUSES);
+        const refetchSince = Date.now() - CONFIG.LIVE_REFETCH_HOURS * 36e5;
+        // Manual matches are not known to the provider; admins move them along by hand
+        const endedIds = onlyEnabledLeagues(storedLive, leagues)
+            .filter(m => !isManualMatch(m) && !liveIds.has(m.matchId) && new Date(m.kickoffTime).getTime() >= refetchSince)
+            .map(m => m.matchId);
+
+        if (endedIds.length > 0) await run.renewLock();
+        const endedMatches = endedIds.length > 0 ? onlyEnabledLeagues(await provider.fetchMatchesByIds(endedIds, run), leagues) : [];
+
+        const updatedMatches = [...liveMatches, ...endedMatches].map(match => applyLeagueSettings(match, leagues.get(match.competition.id)));
+        if (updatedMatches.length > 0) await upsertMatches(updatedMatches, leagues, run);
+
+        await storage.syncMetadata.update({ last_live_sync: new Date().toISOString() })
+            .catch(error => console.error("Failed to update live sync timestamp:", error));
+
+        const duration = Date.now() - startTime;
+        return {
+            success: true,
+            message: `Live sync updated ${updatedMatches.length} matches in ${duration}ms.`,
+            stats: { ...runStats(run), live: liveMatches.length, ended: endedMatches.length }
+        };
+    } catch (error) {
+        console.error('Live sync error:', error);
+        return { success: false, message: 'Error during live sync.', error: error.message };
+    }
+};
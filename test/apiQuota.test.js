@@ -0,0 +1,73 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+import { availableRequests, describeQuotaShortage, getQuotaStatus, recordQuota, recordQuotaBlock } from "../lib/apiQuota.js";
+import { storage } from "../lib/storage/index.js";
+import { synchronizeLiveScores, synchronizeMatchesData } from "../sync.js";
+
+// API_FOOTBALL_DAILY_RESERVE, as pinned in setup.js
+const RESERVE = 20;
+
+const quotaHeaders = ({ daily, minute }) => new Headers({
+    'x-ratelimit-requests-limit': '100',
+    'x-ratelimit-requests-remaining': String(daily),
+    'X-RateLimit-Limit': '60',
+    'X-RateLimit-Remaining': String(minute)
+});
+
+beforeEach(async () => {
+    await storage.syncMetadata.update({
+        api_daily_limit: null, api_daily_remaining: null, api_minute_limit: null, api_minute_remaining: null,
+        api_quota_updated_at: null, api_blocked_until: null, api_blocked_reason: null
+    });
+});
+
+test('an unknown quota does not limit requests', async () => {
+    assert.equal(await availableRequests({ trigger: 'cron' }), Infinity);
+});
+
+test('response headers set the shared quota', async () => {
+    await recordQuota(quotaHeaders({ daily: 42, minute: 7 }));
+    const quota = await getQuotaStatus();
+    assert.deepEqual([quota.dailyLimit, quota.dailyRemaining, quota.minuteLimit, quota.minuteRemaining], [100, 42, 60, 7]);
+});
+
+test('only manual runs may use the daily reserve', async () => {
+    await recordQuota(quotaHeaders({ daily: RESERVE + 5, minute: 60 }));
+    assert.equal(await availableRequests({ trigger: 'manual' }), RESERVE + 5);
+    assert.equal(await availableRequests({ trigger: 'cron' }), 5);
+    assert.equal(await availableRequests({ trigger: 'auto' }), 5);
+});
+
+test('the per-minute limit caps every trigger', async () => {
+    await recordQuota(quotaHeaders({ daily: 90, minute: 3 }));
+    assert.equal(await availableRequests({ trigger: 'manual' }), 3);
+});
+
+test('a 429 blocks requests until the block expires', async () => {
+    await recordQuotaBlock('RATE_LIMITED');
+    assert.equal(await availableRequests({ trigger: 'manual' }), 0);
+    assert.match(await describeQuotaShortage(), /per-minute limit/);
+});
+
+test('automatic syncs are skipped without a run once only the reserve is left', async () => {
+    await recordQuota(quotaHeaders({ daily: RESERVE, minute: 10 }));
+    const result = await synchronizeMatchesData({ trigger: 'cron' });
+    assert.equal(result.skipped, true);
+    assert.equal(result.runId, undefined);
+    assert.match(result.message, /reserve/);
+});
+
+test('a failure to read the quota resolves to a failed result', async () => {
+    const { get } = storage.syncMetadata;
+    storage.syncMetadata.get = async () => { throw new Error('connection refused'); };
+    try {
+        for (const sync of [synchronizeMatchesData, synchronizeLiveScores]) {
+            const result = await sync({ trigger: 'auto' });
+            assert.equal(result.success, false);
+            assert.equal(result.error, 'connection refused');
+        }
+    } finally {
+        storage.syncMetadata.get = get;
+    }
+});
@@ -0,0 +1,120 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import app from "../api/index.js";
+import { hasRole, hashPassword, verifyPassword } from "../lib/auth.js";
+import { storage } from "../lib/storage/index.js";
+
+const PASSWORD = 'correct-horse';
+const USERS = { viewer: 'viewer', editor: 'channel_editor', admin: 'super_admin' };
+
+let server, baseUrl;
+const tokens = {};
+const ids = {};
+
+const request = (path, { token, method = 'GET', body } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+});
+
+const login = async (username, password = PASSWORD) => request('/api/auth/login', { method: 'POST', body: { username, password } });
+
+before(async () => {
+    for (const [username, role] of Object.entries(USERS)) {
+        ids[username] = (await storage.adminUsers.create({ username, role, password_hash: hashPassword(PASSWORD) })).id;
+    }
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    for (const username of Object.keys(USERS)) tokens[username] = (await (await login(username)).json()).token;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('passwords are hashed and verified', () => {
+    const stored = hashPassword(PASSWORD);
+    assert.notEqual(stored, PASSWORD);
+    assert.equal(verifyPassword(PASSWORD, stored), true);
+    assert.equal(verifyPassword('wrong', stored), false);
+});
+
+test('roles are ordered viewer < channel_editor < super_admin', () => {
+    assert.equal(hasRole({ role: 'super_admin' }, 'channel_editor'), true);
+    assert.equal(hasRole({ role: 'channel_editor' }, 'channel_editor'), true);
+    assert.equal(hasRole({ role: 'viewer' }, 'channel_editor'), false);
+    assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('login rejects a wrong password', async () => {
+    assert.equal((await login('viewer', 'wrong')).status, 401);
+});
+
+test('admin routes need a valid session', async () => {
+    assert.equal((await request('/api/channels')).status, 401);
+    assert.equal((await request('/api/channels', { token: 'not-a-session' })).status, 401);
+    assert.equal((await request('/api/channels', { token: tokens.viewer })).status, 200);
+});
+
+test('writes need at least the channel_editor role', async () => {
+    const channel = { name: 'Test', category: 'Sports', logo: 'https://example.com/logo.png', urls: [{ url: 'https://example.com/live.m3u8', quality: 'HD' }] };
+    assert.equal((await request('/api/channels', { token: tokens.viewer, method: 'POST', body: channel })).status, 403);
+    assert.equal((await request('/api/channels', { token: tokens.editor, method: 'POST', body: channel })).status, 201);
+});
+
+test('deleting a channel removes its stream checks', async () => {
+    const channel = await storage.channels.create({ name: 'Checked', category: 'Sports', logo: null, urls: [] });
+    await storage.streamChecks.replaceForChannel(channel.id, [{ channel_id: channel.id, url: 'https://example.com/live.m3u8', status: 'up' }]);
+    assert.equal((await request(`/api/channels/${channel.id}`, { token: tokens.editor, method: 'DELETE' })).status, 200);
+    assert.deepEqual(await storage.streamChecks.findByChannelIds([channel.id]), []);
+});
+
+test('deleting a missing channel, league or link rule answers 404 and is not audited', async () => {
+    const audited = (await storage.auditLog.list({ limit: 100 })).length;
+    for (const path of ['/api/channels/9999', '/api/leagues/9999', '/api/link-rules/9999']) {
+        assert.equal((await request(path, { token: tokens.editor, method: 'DELETE' })).status, 404);
+    }
+    assert.equal((await storage.auditLog.list({ limit: 100 })).length, audited);
+});
+
+test('a link rule preview accepts an empty rule', async () => {
+    assert.equal((await request('/api/link-rules/preview', { token: tokens.viewer, method: 'POST', body: {} })).status, 200);
+    assert.equal((await request('/api/link-rules/preview', { token: tokens.viewer, method: 'POST', body: { league_id: 0 } })).status, 400);
+});
+
+test('user management is limited to super_admin', async () => {
+    assert.equal((await request('/api/admin-users', { token: tokens.editor })).status, 403);
+    assert.equal((await request('/api/admin-users', { token: tokens.admin })).status, 200);
+});
+
+test('webhook secrets are returned only when generated', async () => {
+    const created = await (await request('/api/webhooks', { token: tokens.admin, method: 'POST', body: { name: 'Hook', url: 'https://example.com/hook', events: ['match.goal'] } })).json();
+    assert.match(created.secret, /^whsec_/);
+    const [listed] = await (await request('/api/webhooks', { token: tokens.admin })).json();
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.secretHint, `whsec_…${created.secret.slice(-4)}`);
+    const edited = await (await request(`/api/webhooks/${created.id}`, { token: tokens.admin, method: 'PUT', body: { name: 'Renamed' } })).json();
+    assert.equal(edited.secret, undefined);
+    const rotated = await (await request(`/api/webhooks/${created.id}/rotate-secret`, { token: tokens.admin, method: 'POST' })).json();
+    assert.notEqual(rotated.secret, created.secret);
+});
+
+test('a super_admin cannot disable or demote their own account', async () => {
+    const path = `/api/admin-users/${ids.admin}`;
+    assert.equal((await request(path, { token: tokens.admin, method: 'PUT', body: { disabled: true } })).status, 400);
+    assert.equal((await request(path, { token: tokens.admin, method: 'PUT', body: { role: 'viewer' } })).status, 400);
+});
+
+test('disabling a user ends their sessions', async () => {
+    const response = await request(`/api/admin-users/${ids.viewer}`, { token: tokens.admin, method: 'PUT', body: { disabled: true } });
+    assert.equal(response.status, 200);
+    assert.equal((await request('/api/channels', { token: tokens.viewer })).status, 401);
+    assert.equal((await login('viewer')).status, 401);
+});
+
+test('the public API needs no session and rejects impossible dates', async () => {
+    assert.equal((await request('/api/public/matches?date=2024-05-19')).status, 200);
+    const response = await request('/api/public/matches?date=2024-02-31');
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).details[0].field, 'date');
+});
@@ -0,0 +1,50 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { diffChannels, parseCsv, toCsv } from "../lib/channelTransfer.js";
+
+const channels = [
+    { id: 1, name: 'Sports, HD', category: 'Sports', logo: 'https://example.com/1.png', urls: [{ url: 'https://example.com/a.m3u8', quality: 'HD' }, { url: 'https://example.com/b.m3u8', quality: 'SD' }] },
+    { id: 2, name: 'The "News"', category: 'News', logo: '', urls: [{ url: 'https://example.com/n.m3u8', quality: 'HD' }] }
+];
+
+test('CSV has one row per stream URL and reads back into the same channels', () => {
+    const csv = toCsv(channels);
+    assert.equal(csv.split('\r\n')[0], 'id,name,category,logo,url,quality');
+    assert.match(csv, /^1,"Sports, HD",/m);
+    assert.match(csv, /^2,"The ""News""",/m);
+    assert.deepEqual(parseCsv(csv), channels);
+});
+
+test('rows without an id are grouped by name; a byte order mark and quoted line breaks are handled', () => {
+    const csv = '﻿name,category,logo,url,quality\n"Two\nLines",Sports,,https://example.com/1,HD\ntwo\nlines,,,,\n"Two\nLines",Sports,,https://example.com/2,SD\n';
+    const [channel, ...rest] = parseCsv(csv);
+    assert.equal(channel.name, 'Two\nLines');
+    assert.equal(channel.id, undefined);
+    assert.deepEqual(channel.urls.map(u => u.url), ['https://example.com/1', 'https://example.com/2']);
+    assert.equal(rest.length, 2);
+});
+
+test('a header missing columns is rejected', () => {
+    assert.throws(() => parseCsv('id,name,url\n1,A,https://example.com\n'), /missing column\(s\): category, logo, quality/);
+});
+
+test('imports are matched by id, then by name, and compared field by field', () => {
+    const imported = [
+        { ...channels[0], logo: 'https://example.com/new.png' },
+        { id: 99, name: 'the "news"', category: 'News', logo: '', urls: channels[1].urls },
+        { name: 'Fresh', category: 'Movies', logo: '', urls: [] }
+    ];
+    const { changes, errors } = diffChannels(imported, channels);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(changes.map(c => [c.action, c.id, c.fields]), [
+        ['update', 1, ['logo']],
+        ['update', 2, ['name']],
+        ['create', null, ['name', 'category', 'logo', 'urls']]
+    ]);
+});
+
+test('two imported channels matching the same one are an error', () => {
+    const { errors } = diffChannels([channels[0], { name: 'SPORTS, HD', urls: [] }], channels);
+    assert.deepEqual(errors.map(e => e.field), ['channels[1]']);
+});
@@ -0,0 +1,50 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { storage } from "../lib/storage/index.js";
+
+// lib/cron.js reads CRON_SECRET when it loads, so the app is imported once the secret is set
+const SECRET = 'cron-secret';
+process.env.CRON_SECRET = SECRET;
+const { default: app } = await import("../api/index.js");
+const { isCronRequest } = await import("../lib/cron.js");
+
+let server, baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const cron = (job, token) => fetch(`${baseUrl}/api/cron/${job}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+test('only the configured bearer token counts as a cron request', () => {
+    assert.equal(isCronRequest({ headers: { authorization: `Bearer ${SECRET}` } }), true);
+    assert.equal(isCronRequest({ headers: { authorization: 'Bearer wrong' } }), false);
+    assert.equal(isCronRequest({ headers: { authorization: SECRET } }), false);
+    assert.equal(isCronRequest({ headers: {} }), false);
+});
+
+test('cron routes reject a missing or wrong secret and unknown jobs', async () => {
+    assert.equal((await cron('webhooks')).status, 401);
+    assert.equal((await cron('webhooks', 'wrong')).status, 401);
+    assert.equal((await cron('nothing', SECRET)).status, 404);
+});
+
+test('a cron job runs and stamps the schedule', async () => {
+    const response = await cron('webhooks', SECRET);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).success, true);
+    const meta = await storage.syncMetadata.get();
+    assert.equal(meta.last_cron_job, 'webhooks');
+    assert.ok(meta.last_cron_run);
+});
+
+test('the live job is idle while no match is in progress', async () => {
+    const response = await cron('live', SECRET);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).idle, true);
+});
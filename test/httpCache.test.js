@@ -0,0 +1,50 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import express from "express";
+import { after, before, test } from "node:test";
+import { CACHE_POLICIES, latestTimestamp, sendCached } from "../lib/httpCache.js";
+
+const UPDATED = '2024-05-19T17:00:00.500Z';
+
+let server, baseUrl;
+
+before(async () => {
+    const app = express();
+    app.get('/data', (req, res) => sendCached(req, res, { matches: [1, 2] }, { policy: 'public', lastModified: UPDATED }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const get = (headers = {}) => fetch(`${baseUrl}/data`, { headers });
+
+test('a response carries an ETag, Last-Modified and the named policy', async () => {
+    const response = await get();
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { matches: [1, 2] });
+    assert.match(response.headers.get('etag'), /^"[\w-]+"$/);
+    assert.equal(response.headers.get('last-modified'), new Date(UPDATED).toUTCString());
+    assert.equal(response.headers.get('cache-control'), CACHE_POLICIES.public);
+});
+
+test('a matching If-None-Match gets 304 with no body', async () => {
+    const etag = (await get()).headers.get('etag');
+    const response = await get({ 'If-None-Match': `"other", W/${etag}` });
+    assert.equal(response.status, 304);
+    assert.equal(await response.text(), '');
+    assert.equal((await get({ 'If-None-Match': '"other"' })).status, 200);
+});
+
+test('If-Modified-Since is compared to the second and ignored when an ETag is sent', async () => {
+    const lastModified = new Date(UPDATED).toUTCString();
+    assert.equal((await get({ 'If-Modified-Since': lastModified })).status, 304);
+    assert.equal((await get({ 'If-Modified-Since': new Date('2024-05-19T16:59:59Z').toUTCString() })).status, 200);
+    assert.equal((await get({ 'If-Modified-Since': lastModified, 'If-None-Match': '"other"' })).status, 200);
+});
+
+test('the latest timestamp ignores missing and invalid values', () => {
+    assert.equal(latestTimestamp(null, '2024-05-19T10:00:00Z', 'not a date', '2024-05-18T10:00:00Z'), '2024-05-19T10:00:00.000Z');
+    assert.equal(latestTimestamp(null, undefined), null);
+});
@@ -0,0 +1,23 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildM3u } from "../lib/iptv.js";
+
+const channel = { id: 1, name: 'Sports', category: 'Sports', logo: 'https://example.com/logo.png', urls: [{ url: 'https://example.com/live.m3u8', quality: 'HD' }] };
+
+test('each stream URL becomes one entry under its category', () => {
+    const lines = buildM3u([channel, { ...channel, id: 2, name: 'News', category: 'News' }], { epgUrl: 'https://example.com/epg.xml' }).trim().split('\n');
+    assert.deepEqual(lines, [
+        '#EXTM3U url-tvg="https://example.com/epg.xml"',
+        '#EXTINF:-1 tvg-id="channel-2" tvg-name="News" tvg-logo="https://example.com/logo.png" group-title="News",News',
+        'https://example.com/live.m3u8',
+        '#EXTINF:-1 tvg-id="channel-1" tvg-name="Sports" tvg-logo="https://example.com/logo.png" group-title="Sports",Sports',
+        'https://example.com/live.m3u8'
+    ]);
+});
+
+test('stored values with line breaks cannot add entries', () => {
+    const playlist = buildM3u([{ ...channel, name: 'Sports\n#EXTINF:-1,Fake', urls: [{ url: 'https://example.com/a.m3u8\r\n#EXTINF:-1,Injected\r\nhttps://evil.example/', quality: 'HD' }] }]);
+    assert.equal(playlist.split('\n').filter(line => line.startsWith('#EXTINF')).length, 1);
+    assert.equal(playlist.trim().split('\n').length, 3);
+});
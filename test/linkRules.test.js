@@ -0,0 +1,50 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { automaticChannels, resolveLinks, ruleApplies } from "../lib/linkRules.js";
+import { storage } from "../lib/storage/index.js";
+import { synchronizeMatchesData } from "../sync.js";
+
+const match = {
+    status: 'NS',
+    matchDate: '2024-05-19',
+    homeTeam: { name: 'Arsenal' },
+    awayTeam: { name: 'Everton' },
+    competition: { id: 39, country: 'England' },
+    broadcastChannels: []
+};
+
+test('a rule applies only when every scope it sets matches', () => {
+    assert.equal(ruleApplies({ league_id: 39 }, match), true);
+    assert.equal(ruleApplies({ league_id: 140 }, match), false);
+    assert.equal(ruleApplies({ country: ' england ' }, match), true);
+    assert.equal(ruleApplies({ team: 'arsenal', team_side: 'home' }, match), true);
+    assert.equal(ruleApplies({ team: 'Arsenal', team_side: 'away' }, match), false);
+    assert.equal(ruleApplies({ team: 'Everton' }, match), true);
+    assert.equal(ruleApplies({ date_from: '2024-05-20' }, match), false);
+    assert.equal(ruleApplies({ league_id: 39, date_to: '2024-05-19' }, match), true);
+});
+
+test('automatic links combine league defaults and matching rules without duplicates', () => {
+    const rules = [{ league_id: 39, channel_ids: [2, 1] }, { team: 'Chelsea', channel_ids: [5] }];
+    assert.deepEqual(automaticChannels(match, { default_channels: [1] }, rules), [1, 2]);
+});
+
+test('hand-set links and links of started fixtures are kept', () => {
+    const rules = [{ league_id: 39, channel_ids: [2] }];
+    assert.deepEqual(resolveLinks(match, { ...match, broadcastChannels: [9], linkedManually: true }, null, rules), [9]);
+    assert.deepEqual(resolveLinks({ ...match, status: '1H' }, { ...match, broadcastChannels: [9] }, null, rules), [9]);
+    assert.deepEqual(resolveLinks(match, { ...match, broadcastChannels: [9] }, null, rules), [2]);
+});
+
+test('a sync links new fixtures through league defaults and enabled rules', async () => {
+    const [main, arsenal, unused] = await Promise.all(['Main', 'Arsenal TV', 'Unused'].map(name => storage.channels.create({ name, category: 'Sports', logo: null, urls: [] })));
+    await storage.leagues.create({ id: 39, name: 'Premier League', default_channels: [main.id] });
+    await storage.linkRules.create({ name: 'Arsenal', team: 'Arsenal', channel_ids: [arsenal.id] });
+    await storage.linkRules.create({ name: 'Disabled', league_id: 39, channel_ids: [unused.id], enabled: false });
+
+    const result = await synchronizeMatchesData({ from: '2024-05-19', to: '2024-05-19' });
+    assert.equal(result.success, true);
+    assert.deepEqual((await storage.matches.get('1035550')).broadcastChannels, [main.id, arsenal.id]);
+    assert.deepEqual((await storage.matches.get('1035548')).broadcastChannels, [main.id]);
+});
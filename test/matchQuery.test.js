@@ -0,0 +1,69 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { listMatchesPage, parseMatchQuery } from "../lib/matchQuery.js";
+import { storage } from "../lib/storage/index.js";
+
+const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const match = (matchId, kickoffTime) => ({
+    matchId, kickoffTime, matchDate: kickoffTime.slice(0, 10), status: 'NS', statusText: 'Not Started',
+    homeTeam: { name: `Home ${matchId}` }, awayTeam: { name: `Away ${matchId}` }, competition: { id: 39, name: 'Premier League' },
+    broadcastChannels: []
+});
+
+before(async () => {
+    await storage.matches.upsertMany([
+        match('1', '2024-05-19T14:00:00.000Z'),
+        match('2', '2024-05-19T14:00:00.000Z'),
+        match('3', '2024-05-19T16:30:00.000Z'),
+        match('4', '2024-05-20T19:00:00.000Z'),
+        match('5', '2024-05-21T19:00:00.000Z')
+    ]);
+});
+
+test('pages follow each other by cursor without gaps or repeats', async () => {
+    const seen = [];
+    let cursor;
+    do {
+        const { filters, errors } = parseMatchQuery({ limit: '2', ...(cursor ? { cursor } : {}) }, 'UTC');
+        assert.deepEqual(errors, []);
+        const page = await listMatchesPage(filters);
+        seen.push(...page.matches.map(m => m.matchId));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['1', '2', '3', '4', '5']);
+});
+
+test('days are calendar days in the requested timezone', () => {
+    const { filters } = parseMatchQuery({ date: '2024-05-19' }, 'Asia/Riyadh');
+    assert.equal(filters.from, '2024-05-18T21:00:00.000Z');
+    assert.equal(filters.to, '2024-05-19T21:00:00.000Z');
+});
+
+test('invalid filters are reported per field', () => {
+    const { errors } = parseMatchQuery({ date: '2024-02-30', league: '39,x', status: 'soon', limit: '0' }, 'UTC');
+    assert.deepEqual(errors.map(e => e.field), ['date', 'league', 'status', 'limit']);
+});
+
+test('cursors that could alter the storage filter are rejected', () => {
+    const crafted = [
+        'not base64 json',
+        cursorOf(['2024-05-19T14:00:00.000Z', '1),status.eq.FT']),
+        cursorOf(['2024-05-19T14:00:00.000Z",matchId.gt."0', '1']),
+        cursorOf(['2024-05-19', '1']),
+        cursorOf(['2024-05-19T14:00:00.000Z', null]),
+        cursorOf(['2024-05-19T14:00:00.000Z', { or: 1 }])
+    ];
+    for (const cursor of crafted) {
+        assert.deepEqual(parseMatchQuery({ cursor }, 'UTC').errors, [{ field: 'cursor', message: 'Is not a valid cursor.' }], cursor);
+    }
+});
+
+test('cursors accept the timestamp formats storage returns', () => {
+    for (const kickoffTime of ['2024-05-19T14:00:00.000Z', '2024-05-19T14:00:00+00:00']) {
+        const { filters, errors } = parseMatchQuery({ cursor: cursorOf([kickoffTime, 'manual-0b7c']) }, 'UTC');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(filters.after, { kickoffTime, matchId: 'manual-0b7c' });
+    }
+});
@@ -0,0 +1,51 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { previewRetention, runRetention } from "../lib/retention.js";
+import { storage } from "../lib/storage/index.js";
+
+// Default settings: archive mode, 30 days, linked finished matches kept for 180
+const daysAgo = (days) => new Date(Date.now() - days * 864e5).toISOString();
+
+const match = (matchId, days, { status = 'FT', broadcastChannels = [] } = {}) => ({
+    matchId: String(matchId),
+    matchDate: daysAgo(days).slice(0, 10),
+    kickoffTime: daysAgo(days),
+    status,
+    homeTeam: { name: 'Home' },
+    awayTeam: { name: 'Away' },
+    competition: { id: 39, name: 'Premier League' },
+    broadcastChannels
+});
+
+// More old matches than one run batch, so a run has to go round more than once
+const OLD = 450;
+
+before(async () => {
+    await storage.matches.upsertMany(Array.from({ length: OLD }, (_, i) => match(1000 + i, 40 + (i % 100))));
+    await storage.matches.upsertMany([
+        match('linked-recent', 90, { broadcastChannels: [1] }),
+        match('linked-old', 200, { broadcastChannels: [1] }),
+        match('linked-unfinished', 90, { status: 'NS', broadcastChannels: [1] }),
+        match('current', 5)
+    ]);
+});
+
+test('a preview counts every candidate but lists only the first ones', async () => {
+    const preview = await previewRetention();
+    assert.equal(preview.total, OLD + 2);
+    assert.equal(preview.kept, 1);
+    assert.equal(preview.matches.length, 200);
+    assert.equal(preview.matches[0].matchId, 'linked-old');
+});
+
+test('a run archives every candidate in batches and keeps linked finished matches', async () => {
+    const result = await runRetention();
+    assert.equal(result.success, true);
+    assert.equal(result.stats.removed, OLD + 2);
+    assert.equal(await storage.matches.get('1000'), null);
+    assert.equal(await storage.matches.get('linked-unfinished'), null);
+    assert.ok(await storage.matches.get('linked-recent'));
+    assert.ok(await storage.matches.get('current'));
+    assert.equal((await previewRetention()).total, 0);
+});
@@ -0,0 +1,11 @@
+import { fileURLToPath } from "url";
+
+// Imported first by every test file: storage and provider are chosen when their modules load, so the
+// environment has to be in place before anything from the app is imported. Each file runs in its own
+// process and starts from an empty in-memory store; match data comes from the recorded fixtures.
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.STORAGE_SEED_FILE;
+process.env.FOOTBALL_PROVIDER = 'file';
+process.env.FIXTURES_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+// Settings some tests depend on, pinned so the developer's own environment cannot change them
+process.env.API_FOOTBALL_DAILY_RESERVE = '20';
@@ -0,0 +1,87 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import { storage } from "../lib/storage/index.js";
+import { synchronizeMatchesData } from "../sync.js";
+
+// fixtures/2024-05-19.json: Man City 3-1 West Ham (1035548) and Arsenal 2-1 Everton (1035550), both FT
+const DAY = { from: '2024-05-19', to: '2024-05-19' };
+
+before(async () => {
+    await storage.leagues.create({ id: 39, name: 'Premier League' });
+});
+
+test('a range sync stores the fixtures of each day', async () => {
+    const result = await synchronizeMatchesData(DAY);
+    assert.equal(result.success, true);
+    assert.equal(result.stats.new, 2);
+
+    const match = await storage.matches.get('1035548');
+    assert.equal(match.status, 'FT');
+    assert.equal(match.matchDate, '2024-05-19');
+    assert.equal(match.homeTeam.name, 'Manchester City');
+    assert.equal(match.homeTeam.goals, 3);
+    assert.equal(match.awayTeam.goals, 1);
+});
+
+test('syncing the same fixtures again counts them as unchanged', async () => {
+    const result = await synchronizeMatchesData(DAY);
+    assert.equal(result.success, true);
+    assert.deepEqual([result.stats.new, result.stats.changed, result.stats.unchanged], [0, 0, 2]);
+});
+
+test('kickoff times stored in another ISO format still count as unchanged', async () => {
+    // Supabase returns timestamptz columns as "2024-05-19T15:00:00+00:00"
+    const { kickoffTime } = await storage.matches.get('1035548');
+    await storage.matches.update('1035548', { kickoffTime: kickoffTime.replace(/\.000Z$/, '+00:00') });
+    assert.match((await storage.matches.get('1035548')).kickoffTime, /\+00:00$/);
+
+    const result = await synchronizeMatchesData(DAY);
+    assert.deepEqual([result.stats.changed, result.stats.unchanged], [0, 2]);
+});
+
+test('a sync keeps overrides and hand-set links', async () => {
+    const { providerKickoffTime } = await storage.matches.get('1035548');
+    const overrides = { title: 'Final day', kickoffTime: '2024-05-19T16:00:00.000Z' };
+    await storage.matches.update('1035548', { overrides, broadcastChannels: [7], linkedManually: true });
+
+    await synchronizeMatchesData(DAY);
+    const match = await storage.matches.get('1035548');
+    assert.deepEqual(match.overrides, overrides);
+    assert.equal(match.kickoffTime, overrides.kickoffTime);
+    assert.equal(match.providerKickoffTime, providerKickoffTime);
+    assert.deepEqual(match.broadcastChannels, [7]);
+});
+
+test('a complete default-window run marks the data fresh even without fixtures', async () => {
+    await storage.syncMetadata.update({ last_successful_sync: null });
+    const result = await synchronizeMatchesData();
+    assert.equal(result.success, true);
+    assert.equal(result.stats.new, 0);
+    assert.ok((await storage.syncMetadata.get()).last_successful_sync);
+});
+
+test('a range sync leaves the freshness time alone', async () => {
+    await storage.syncMetadata.update({ last_successful_sync: null });
+    await synchronizeMatchesData(DAY);
+    assert.equal((await storage.syncMetadata.get()).last_successful_sync, null);
+});
+
+test('a sync does not start while another one holds the lock', async () => {
+    await storage.syncMetadata.update({ sync_lock_owner: 'elsewhere', sync_lock_until: new Date(Date.now() + 60000).toISOString() });
+    const result = await synchronizeMatchesData(DAY);
+    assert.equal(result.locked, true);
+    await storage.syncMetadata.update({ sync_lock_owner: null, sync_lock_until: null });
+});
+
+test('a run that lost its lock to another one stops', async () => {
+    const { renewLock } = storage.syncMetadata;
+    storage.syncMetadata.renewLock = async () => false;
+    try {
+        const result = await synchronizeMatchesData(DAY);
+        assert.equal(result.success, false);
+        assert.match(result.error, /Lost the sync lock/);
+    } finally {
+        storage.syncMetadata.renewLock = renewLock;
+    }
+});
@@ -0,0 +1,40 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { adminUserSchema, channelSchema, manualMatchSchema, validate } from "../lib/validation.js";
+
+const channel = { name: ' Sports ', category: 'Sports\n', logo: 'https://example.com/logo.png', urls: [{ url: 'https://example.com/live.m3u8', quality: 'HD' }] };
+
+test('strings are stored trimmed, nested ones included', () => {
+    const { value, errors } = validate(channelSchema, channel);
+    assert.deepEqual(errors, []);
+    assert.deepEqual([value.name, value.category], ['Sports', 'Sports']);
+
+    const team = (name) => ({ name, logo: null, goals: null });
+    const match = validate(manualMatchSchema, {
+        kickoffTime: '2024-05-19T15:00:00Z', homeTeam: team(' Arsenal'), awayTeam: team('Everton '), competition: { name: ' Friendly ' }
+    });
+    assert.deepEqual(match.errors, []);
+    assert.deepEqual([match.value.homeTeam.name, match.value.awayTeam.name, match.value.competition.name], ['Arsenal', 'Everton', 'Friendly']);
+});
+
+test('whitespace alone does not count as a value', () => {
+    const { errors } = validate(channelSchema, { ...channel, name: '   ' });
+    assert.deepEqual(errors, [{ field: 'name', message: 'Must not be empty.' }]);
+});
+
+test('passwords are kept as typed', () => {
+    const { value, errors } = validate(adminUserSchema, { username: ' editor ', password: ' secret words ', role: 'viewer' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual([value.username, value.password], ['editor', ' secret words ']);
+});
+
+test('unknown and missing fields are reported together', () => {
+    const { errors } = validate(channelSchema, { name: 'Sports', extra: 1 });
+    assert.deepEqual(errors.map(e => e.field), ['extra', 'category', 'logo', 'urls']);
+});
+
+test('URLs with line breaks or control characters are rejected', () => {
+    const { errors } = validate(channelSchema, { ...channel, urls: [{ url: 'https://example.com/live.m3u8\n#EXTINF:-1,Injected', quality: 'HD' }] });
+    assert.deepEqual(errors, [{ field: 'urls[0].url', message: 'Must not contain line breaks or control characters.' }]);
+});
@@ -0,0 +1,92 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { storage } from "../lib/storage/index.js";
+import { deliverDue, matchEvents, signPayload } from "../lib/webhooks.js";
+
+const SECRET = 'whsec_test';
+
+const match = {
+    matchId: '1035548', kickoffTime: '2024-05-19T15:00:00.000Z', status: 'NS', statusText: 'Not Started',
+    homeTeam: { name: 'Manchester City', goals: null }, awayTeam: { name: 'West Ham', goals: null },
+    competition: { id: 39, name: 'Premier League' }, broadcastChannels: []
+};
+
+// A receiver answering with the next queued status (200 once the queue is empty) and keeping what it got
+let server, url;
+const statuses = [];
+const received = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() ?? 200).end();
+        });
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('a signature is an HMAC of the timestamp and body', () => {
+    const body = '{"id":"1"}';
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+    assert.equal(signPayload(SECRET, body, 1700000000), `t=1700000000,v1=${expected}`);
+});
+
+test('match changes become kickoff, goal, full-time and link events', () => {
+    const live = { ...match, status: '1H', homeTeam: { ...match.homeTeam, goals: 0 }, awayTeam: { ...match.awayTeam, goals: 0 } };
+    assert.deepEqual(matchEvents(match, live).map(e => e.type), ['match.kickoff']);
+
+    const scored = { ...live, homeTeam: { ...live.homeTeam, goals: 1 } };
+    const [goal] = matchEvents(live, scored);
+    assert.equal(goal.type, 'match.goal');
+    assert.deepEqual(goal.data.previous, { homeGoals: 0, awayGoals: 0 });
+
+    const finished = { ...scored, status: 'FT', broadcastChannels: [3] };
+    assert.deepEqual(matchEvents(scored, finished).map(e => e.type), ['match.full_time', 'match.channels_linked']);
+    assert.deepEqual(matchEvents(null, finished), []);
+});
+
+test('a failed delivery is retried later and then delivered', async () => {
+    const webhook = await storage.webhooks.create({ name: 'Receiver', url, secret: SECRET, events: ['match.goal'] });
+    const payload = { id: 'evt-1', type: 'match.goal', data: {} };
+    const [delivery] = await storage.webhookDeliveries.createMany([{ webhook_id: webhook.id, event_id: 'evt-1', event_type: 'match.goal', payload }]);
+
+    statuses.push(500);
+    assert.deepEqual(await deliverDue(), { delivered: 0, retrying: 1, failed: 0 });
+    const retry = await storage.webhookDeliveries.get(delivery.id);
+    assert.deepEqual([retry.status, retry.attempts, retry.response_status], ['pending', 1, 500]);
+    assert.ok(new Date(retry.next_attempt_at).getTime() > Date.now() + 50000);
+
+    // Not due yet: nothing is sent
+    assert.deepEqual(await deliverDue(), { delivered: 0, retrying: 0, failed: 0 });
+    assert.equal(received.length, 1);
+
+    await storage.webhookDeliveries.update(delivery.id, { next_attempt_at: new Date().toISOString() });
+    assert.deepEqual(await deliverDue(), { delivered: 1, retrying: 0, failed: 0 });
+    assert.equal((await storage.webhookDeliveries.get(delivery.id)).attempts, 2);
+
+    const { headers, body } = received.at(-1);
+    assert.equal(body, JSON.stringify(payload));
+    const timestamp = headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+    assert.equal(headers['x-webhook-signature'], signPayload(SECRET, body, timestamp));
+});
+
+test('a delivery still failing after the last retry is marked failed', async () => {
+    const webhook = await storage.webhooks.create({ name: 'Broken', url, secret: SECRET, events: ['match.goal'] });
+    const [delivery] = await storage.webhookDeliveries.createMany([{ webhook_id: webhook.id, event_id: 'evt-2', event_type: 'match.goal', payload: {} }]);
+    await storage.webhookDeliveries.update(delivery.id, { attempts: 5 });
+
+    statuses.push(503);
+    assert.deepEqual(await deliverDue(), { delivered: 0, retrying: 0, failed: 1 });
+    const failed = await storage.webhookDeliveries.get(delivery.id);
+    assert.deepEqual([failed.status, failed.attempts, failed.next_attempt_at], ['failed', 6, null]);
+});